@@ -1,14 +1,62 @@
 // src/App.js
 
-import React from 'react';
+import React, { useMemo } from 'react';
 import NeuralNetworkViz from './components/NeuralNetworkViz/NeuralNetworkViz';
-import { Container } from '@mui/material';
+import LessonList from './components/Lessons/LessonList';
+import LessonPage from './components/Lessons/LessonPage';
+import ComparePage from './components/Compare/ComparePage';
+import EmbeddedNetwork from './components/Embed/EmbeddedNetwork';
+import AppearanceMenu from './components/Appearance/AppearanceMenu';
+import useAppearance from './components/Appearance/useAppearance';
+import { Box, Button, Container, CssBaseline, ThemeProvider } from '@mui/material';
+import { BrowserRouter, NavLink, Navigate, Route, Routes } from 'react-router-dom';
+import { createAppTheme } from './theme';
+
+const navButtonSx = { '&.active': { fontWeight: 700, textDecoration: 'underline' } };
+
+// The site itself: navigation, appearance settings and the explorer, lesson and comparison pages
+const Site = () => {
+  const { mode, resolvedMode, palette, setMode, setPalette } = useAppearance();
+  const theme = useMemo(() => createAppTheme({ mode: resolvedMode, palette }), [resolvedMode, palette]);
+
+  return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      <Container maxWidth="lg" style={{ marginTop: '2rem', marginBottom: '2rem' }}>
+        <Box component="nav" display="flex" gap={1} mb={2} aria-label="Main">
+          <Button component={NavLink} to="/" end sx={navButtonSx}>
+            Explorer
+          </Button>
+          <Button component={NavLink} to="/lessons" sx={navButtonSx}>
+            Lessons
+          </Button>
+          <Button component={NavLink} to="/compare" sx={navButtonSx}>
+            Compare
+          </Button>
+          <Box flexGrow={1} />
+          <AppearanceMenu mode={mode} palette={palette} onModeChange={setMode} onPaletteChange={setPalette} />
+        </Box>
+        <Routes>
+          <Route path="/" element={<NeuralNetworkViz persistSession />} />
+          <Route path="/lessons" element={<LessonList />} />
+          <Route path="/lessons/:lessonId" element={<LessonPage />} />
+          <Route path="/compare" element={<ComparePage />} />
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
+      </Container>
+    </ThemeProvider>
+  );
+};
 
 function App() {
   return (
-    <Container maxWidth="lg" style={{ marginTop: '2rem', marginBottom: '2rem' }}>
-      <NeuralNetworkViz />
-    </Container>
+    <BrowserRouter>
+      <Routes>
+        {/* For iframes in other pages; it takes its theme from the embed URL, not the site's settings */}
+        <Route path="/embed" element={<EmbeddedNetwork />} />
+        <Route path="*" element={<Site />} />
+      </Routes>
+    </BrowserRouter>
   );
 }
 
@@ -1,8 +1,34 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the neural network explorer', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/interactive neural network explorer/i)).toBeInTheDocument();
+  expect(screen.getByRole('application', { name: 'Neural Network Visualization' })).toBeInTheDocument();
+});
+
+test('switches to dark mode and a colorblind-safe palette and remembers the choice', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Appearance' }));
+  fireEvent.click(screen.getByRole('menuitemradio', { name: 'Dark' }));
+  fireEvent.click(screen.getByRole('menuitemradio', { name: 'Blue and orange (colorblind safe)' }));
+
+  expect(screen.getByRole('menuitemradio', { name: 'Dark' })).toHaveAttribute('aria-checked', 'true');
+  expect(JSON.parse(window.localStorage.getItem('neural-network-explorer:appearance'))).toEqual({
+    mode: 'dark',
+    palette: 'blue-orange',
+  });
+  // The explanations name the palette's colors
+  expect(screen.getByText(/blue connections amplify signals, dashed orange connections invert them/)).toBeInTheDocument();
+  // CssBaseline paints the page in the dark theme's background
+  expect(getComputedStyle(document.body).backgroundColor).toBe('rgb(18, 18, 18)');
+});
+
+test('falls back to the default appearance when the stored one is not a real choice', () => {
+  window.localStorage.setItem('neural-network-explorer:appearance', JSON.stringify({ mode: 'toString', palette: 'constructor' }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Appearance' }));
+  expect(screen.getByRole('menuitemradio', { name: 'Match system' })).toHaveAttribute('aria-checked', 'true');
+  expect(screen.getByRole('menuitemradio', { name: 'Green and red' })).toHaveAttribute('aria-checked', 'true');
 });
@@ -0,0 +1,54 @@
+// src/components/Appearance/AppearanceMenu.js
+
+import React, { useId, useState } from 'react';
+import { Button, ListSubheader, Menu, MenuItem } from '@mui/material';
+import PaletteIcon from '@mui/icons-material/Palette';
+import { PALETTES } from '../NeuralNetworkViz/colors';
+import { COLOR_MODES } from './useAppearance';
+
+// Color mode and diagram palette choices for the navigation bar
+const AppearanceMenu = ({ mode, palette, onModeChange, onPaletteChange }) => {
+  const menuId = useId();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  return (
+    <>
+      <Button
+        startIcon={<PaletteIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        aria-controls={anchorEl ? menuId : undefined}
+        aria-haspopup="true"
+      >
+        Appearance
+      </Button>
+      <Menu id={menuId} anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <ListSubheader>Color mode</ListSubheader>
+        {Object.entries(COLOR_MODES).map(([id, label]) => (
+          <MenuItem
+            key={id}
+            role="menuitemradio"
+            aria-checked={mode === id}
+            selected={mode === id}
+            onClick={() => onModeChange(id)}
+          >
+            {label}
+          </MenuItem>
+        ))}
+        <ListSubheader>Weight and activation colors</ListSubheader>
+        {Object.entries(PALETTES).map(([id, { label }]) => (
+          <MenuItem
+            key={id}
+            role="menuitemradio"
+            aria-checked={palette === id}
+            selected={palette === id}
+            onClick={() => onPaletteChange(id)}
+          >
+            {label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default AppearanceMenu;
@@ -0,0 +1,41 @@
+// src/components/Appearance/useAppearance.js
+
+import { useCallback, useEffect, useState } from 'react';
+import { useMediaQuery } from '@mui/material';
+import { DEFAULT_PALETTE, PALETTES } from '../NeuralNetworkViz/colors';
+import { readJson, writeJson } from '../../utils/storage';
+
+const APPEARANCE_STORAGE_KEY = 'neural-network-explorer:appearance';
+
+export const COLOR_MODES = { system: 'Match system', light: 'Light', dark: 'Dark' };
+
+const DEFAULT_APPEARANCE = { mode: 'system', palette: DEFAULT_PALETTE };
+
+// Settings that don't check out fall back to the defaults on their own
+const readAppearance = () => {
+  const stored = readJson(APPEARANCE_STORAGE_KEY);
+  return {
+    mode: Object.hasOwn(COLOR_MODES, stored?.mode) ? stored.mode : DEFAULT_APPEARANCE.mode,
+    palette: Object.hasOwn(PALETTES, stored?.palette) ? stored.palette : DEFAULT_APPEARANCE.palette,
+  };
+};
+
+// Color mode ('system', 'light' or 'dark') and diagram palette, remembered in localStorage.
+// `resolvedMode` is the mode to draw in, with 'system' following the operating system setting.
+const useAppearance = () => {
+  const [appearance, setAppearance] = useState(readAppearance);
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+
+  useEffect(() => {
+    writeJson(APPEARANCE_STORAGE_KEY, appearance);
+  }, [appearance]);
+
+  const setMode = useCallback((mode) => setAppearance((prev) => ({ ...prev, mode })), []);
+  const setPalette = useCallback((palette) => setAppearance((prev) => ({ ...prev, palette })), []);
+
+  const resolvedMode = appearance.mode === 'system' ? (prefersDark ? 'dark' : 'light') : appearance.mode;
+
+  return { ...appearance, resolvedMode, setMode, setPalette };
+};
+
+export default useAppearance;
@@ -0,0 +1,128 @@
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import ComparePage from './ComparePage';
+import NeuralNetworkViz from '../NeuralNetworkViz/NeuralNetworkViz';
+import { getCanvasText } from '../../testUtils/mockCanvas';
+import { getDuplicateIds } from '../../testUtils/duplicateIds';
+
+const LocationSearch = () => <output aria-label="Search">{useLocation().search}</output>;
+
+const renderCompare = () =>
+  render(
+    <MemoryRouter initialEntries={['/compare']}>
+      <ComparePage />
+      <LocationSearch />
+    </MemoryRouter>
+  );
+
+const getSide = (name) => screen.getByRole('region', { name });
+const getSideCanvasText = (name) =>
+  getCanvasText(within(getSide(name)).getByRole('application', { name: 'Neural Network Visualization' }));
+
+describe('ComparePage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('compares two networks on shared inputs and copies parameters across', () => {
+    renderCompare();
+    const weights = screen.getByRole('table', { name: 'Weights compared' });
+    expect(within(weights).getByText('No differences')).toBeInTheDocument();
+
+    fireEvent.click(within(getSide('Left network')).getByRole('button', { name: 'Presets for the left network' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /^OR/ }));
+    // The OR preset has no hidden layer, so its weights go straight to the output
+    expect(within(weights).getByRole('row', { name: /^A->O/ })).toHaveTextContent('A->O6.00——');
+    expect(within(weights).getByRole('row', { name: /^H1->O/ })).toHaveTextContent('H1->O—0.50—');
+
+    // Both sides follow the shared inputs: OR fires for A alone, the default network gives 0.65
+    fireEvent.change(screen.getByRole('slider', { name: 'Input A' }), { target: { value: 1 } });
+    expect(getSideCanvasText('Left network')).toContain('Activation: 0.95');
+    expect(getSideCanvasText('Right network')).toContain('Activation: 0.65');
+    const activations = screen.getByRole('table', { name: 'Activations compared' });
+    expect(within(activations).getByRole('row', { name: /^O/ })).toHaveTextContent('O0.950.65-0.30');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy to Right' }));
+    expect(getSideCanvasText('Right network')).toContain('Activation: 0.95');
+    expect(within(weights).getByText('No differences')).toBeInTheDocument();
+    expect(screen.getByText(/^Differing: 0 of 2 weights, 0 of 1 biases, 0 of 1 activations/)).toBeInTheDocument();
+  });
+
+  test('gives every element on the page its own id', () => {
+    renderCompare();
+    expect(getDuplicateIds()).toEqual([]);
+    const [left, right] = screen.getAllByRole('application', { name: 'Neural Network Visualization' });
+    expect(left).toHaveAccessibleDescription(/arrow keys/);
+    expect(right).toHaveAccessibleDescription(/arrow keys/);
+    expect(left.getAttribute('aria-describedby')).not.toBe(right.getAttribute('aria-describedby'));
+  });
+
+  test('keeps ids apart for explorers showing all their controls', () => {
+    render(
+      <MemoryRouter>
+        <NeuralNetworkViz />
+        <NeuralNetworkViz />
+      </MemoryRouter>
+    );
+    expect(getDuplicateIds()).toEqual([]);
+    // Menus only carry their ids while open
+    const [firstExport, secondExport] = screen.getAllByRole('button', { name: 'Export Image' });
+    fireEvent.click(firstExport);
+    fireEvent.click(secondExport);
+    expect(getDuplicateIds()).toEqual([]);
+  });
+
+  test('edits a preset loaded into one side from where its values are', () => {
+    renderCompare();
+    fireEvent.click(within(getSide('Left network')).getByRole('button', { name: 'Presets for the left network' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /^XOR/ }));
+    const canvas = within(getSide('Left network')).getByRole('application', { name: 'Neural Network Visualization' });
+    fireEvent.focus(canvas);
+    // A, B and then the A->H1 connection, which XOR sets to 6
+    fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+    fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+    fireEvent.keyDown(canvas, { key: 'ArrowDown' });
+    const weights = screen.getByRole('table', { name: 'Weights compared' });
+    expect(within(weights).getByRole('row', { name: /^A->H1/ })).toHaveTextContent(/^A->H15\.950\.50/);
+  });
+
+  test('undoes only the diagram that has the focus', () => {
+    renderCompare();
+    const nudgeWeight = (side) => {
+      const canvas = within(getSide(side)).getByRole('application', { name: 'Neural Network Visualization' });
+      fireEvent.focus(canvas);
+      // A, B and then the A->H1 connection
+      fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+      fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+      fireEvent.keyDown(canvas, { key: 'ArrowUp' });
+      fireEvent.blur(canvas);
+      return canvas;
+    };
+    nudgeWeight('Left network');
+    const right = nudgeWeight('Right network');
+    const weights = screen.getByRole('table', { name: 'Weights compared' });
+    expect(within(weights).getByText('No differences')).toBeInTheDocument();
+
+    fireEvent.keyDown(right, { key: 'z', ctrlKey: true });
+    const row = within(weights).getByRole('row', { name: /^A->H1/ });
+    expect(row).toHaveTextContent(/^A->H10\.\d\d0\.50-/);
+    // With nothing focused the page's undo is left alone
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(within(weights).getByRole('row', { name: /^A->H1/ })).toHaveTextContent(row.textContent);
+  });
+
+  test('leaves the page URL alone, since it holds two networks', async () => {
+    jest.useFakeTimers();
+    try {
+      renderCompare();
+      const canvas = within(getSide('Right network')).getByRole('application', { name: 'Neural Network Visualization' });
+      fireEvent.focus(canvas);
+      fireEvent.keyDown(canvas, { key: 'ArrowUp' });
+      expect(screen.getByText('Input A: 0.05')).toBeInTheDocument();
+      act(() => {
+        jest.advanceTimersByTime(1000);
+      });
+      expect(screen.getByRole('status', { name: 'Search' })).toHaveTextContent(/^$/);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+// src/components/Compare/ComparePage.js
+
+import React, { useMemo, useState } from 'react';
+import { Box, Button, Card, CardContent, CardHeader, Slider, Typography } from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+import NeuralNetworkViz from '../NeuralNetworkViz/NeuralNetworkViz';
+import PresetsMenu from '../Presets/PresetsMenu';
+import NetworkDiff from './NetworkDiff';
+import { buildInputs, createNetwork } from '../../engine';
+
+const SIDES = {
+  left: { title: 'Left network', other: 'right', copyLabel: 'Copy to Right' },
+  right: { title: 'Right network', other: 'left', copyLabel: 'Copy to Left' },
+};
+
+// The architecture and parameters of a network, without its inputs
+const withoutInputs = ({ architecture, weights, biases }) => ({ architecture, weights, biases });
+
+// Two networks side by side, each with its own architecture and parameters but both fed the same
+// inputs, and a table of what differs between them
+const ComparePage = () => {
+  const [sides, setSides] = useState(() => ({
+    left: withoutInputs(createNetwork()),
+    right: withoutInputs(createNetwork()),
+  }));
+  const [inputs, setInputs] = useState(() => createNetwork().inputs);
+
+  // Each side gets the shared value of every input it has
+  const left = useMemo(() => ({ ...sides.left, inputs: buildInputs(sides.left.architecture, inputs) }), [sides.left, inputs]);
+  const right = useMemo(() => ({ ...sides.right, inputs: buildInputs(sides.right.architecture, inputs) }), [sides.right, inputs]);
+  const networks = { left, right };
+  const sharedInputs = { ...right.inputs, ...left.inputs };
+
+  // An input moved on either diagram moves on both
+  const changeSide = (side, network) => {
+    setSides((prev) => ({ ...prev, [side]: withoutInputs(network) }));
+    setInputs((prev) => ({ ...prev, ...network.inputs }));
+  };
+
+  // Presets bring their own parameters but leave the shared inputs alone
+  const loadPreset = (side, network) => setSides((prev) => ({ ...prev, [side]: withoutInputs(network) }));
+
+  const copyParameters = (from) => setSides((prev) => ({ ...prev, [SIDES[from].other]: prev[from] }));
+
+  return (
+    <Card variant="outlined" sx={{ padding: 4, backgroundColor: 'background.paper' }}>
+      <CardHeader
+        title={
+          <Typography variant="h4" component="h1" align="center">
+            Compare Two Networks
+          </Typography>
+        }
+      />
+      <CardContent>
+        <Typography variant="body1" color="text.primary" paragraph>
+          Both networks see the same inputs, so any difference in their outputs comes from their weights, biases and
+          architecture. Load a preset into either side or drag on the diagrams to change them, and the table below
+          shows exactly what differs.
+        </Typography>
+
+        <Box mb={4} maxWidth={480}>
+          <Typography variant="h5" gutterBottom>
+            Shared Inputs
+          </Typography>
+          {Object.entries(sharedInputs).map(([id, value]) => (
+            <Box key={id} mb={1}>
+              <Typography gutterBottom>
+                Input {id}: {value.toFixed(2)}
+              </Typography>
+              <Slider
+                aria-label={`Input ${id}`}
+                value={value}
+                min={0}
+                max={1}
+                step={0.01}
+                onChange={(event, newValue) => setInputs((prev) => ({ ...prev, [id]: newValue }))}
+                valueLabelDisplay="auto"
+              />
+            </Box>
+          ))}
+        </Box>
+
+        <Box display="flex" flexWrap="wrap" gap={3} mb={6}>
+          {Object.entries(SIDES).map(([side, { title, copyLabel }]) => (
+            <Box key={side} component="section" aria-label={title} flex="1 1 360px" minWidth={0}>
+              <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                <Typography variant="h5" component="h2" flexGrow={1}>
+                  {title}
+                </Typography>
+                <PresetsMenu
+                  network={networks[side]}
+                  onLoad={({ network }) => loadPreset(side, network)}
+                  label={`Presets for the ${title.toLowerCase()}`}
+                  canSave={false}
+                />
+                <Button
+                  variant="outlined"
+                  startIcon={side === 'right' ? <ArrowBackIcon /> : null}
+                  endIcon={side === 'left' ? <ArrowForwardIcon /> : null}
+                  onClick={() => copyParameters(side)}
+                >
+                  {copyLabel}
+                </Button>
+              </Box>
+              <NeuralNetworkViz
+                value={networks[side]}
+                onChange={(network) => changeSide(side, network)}
+                showText={false}
+                showControls={false}
+                framed={false}
+              />
+            </Box>
+          ))}
+        </Box>
+
+        <NetworkDiff left={left} right={right} />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ComparePage;
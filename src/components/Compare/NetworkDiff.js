@@ -0,0 +1,102 @@
+// src/components/Compare/NetworkDiff.js
+
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+  useTheme,
+} from '@mui/material';
+import { compareNetworks } from '../../engine';
+import { getWeightColor } from '../NeuralNetworkViz/colors';
+
+// Differences that would show as 0.00 are treated as equal
+const TOLERANCE = 0.005;
+
+const SECTIONS = [
+  { id: 'weights', title: 'Weights' },
+  { id: 'biases', title: 'Biases' },
+  { id: 'activations', title: 'Activations' },
+];
+
+const f = (value) => (value === null ? '—' : value.toFixed(2));
+const signed = (value) => (value > 0 ? `+${value.toFixed(2)}` : value.toFixed(2));
+
+const differs = ({ difference }) => difference === null || Math.abs(difference) >= TOLERANCE;
+
+// Table of every weight, bias and activation of two networks, highlighting those that differ and
+// by how much (right minus left)
+const NetworkDiff = ({ left, right }) => {
+  const theme = useTheme();
+  const [onlyDifferences, setOnlyDifferences] = useState(true);
+  const comparison = useMemo(() => compareNetworks(left, right), [left, right]);
+
+  const counts = SECTIONS.map(({ id, title }) => `${comparison[id].filter(differs).length} of ${comparison[id].length} ${title.toLowerCase()}`);
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        What Differs
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Differences are right minus left. A dash marks a neuron or connection only one of the networks has.
+      </Typography>
+      <Typography gutterBottom>Differing: {counts.join(', ')}.</Typography>
+      <FormControlLabel
+        control={<Switch checked={onlyDifferences} onChange={(event) => setOnlyDifferences(event.target.checked)} />}
+        label="Only show differences"
+      />
+      <Box display="flex" flexWrap="wrap" gap={3} alignItems="flex-start">
+        {SECTIONS.map(({ id, title }) => {
+          const rows = onlyDifferences ? comparison[id].filter(differs) : comparison[id];
+          return (
+            <Table key={id} size="small" aria-label={`${title} compared`} sx={{ width: 'auto', minWidth: 280 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>{title}</TableCell>
+                  <TableCell align="right">Left</TableCell>
+                  <TableCell align="right">Right</TableCell>
+                  <TableCell align="right">Difference</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((row) => (
+                  <TableRow key={row.key} selected={differs(row)}>
+                    <TableCell component="th" scope="row">
+                      {row.key}
+                    </TableCell>
+                    <TableCell align="right">{f(row.left)}</TableCell>
+                    <TableCell align="right">{f(row.right)}</TableCell>
+                    <TableCell
+                      align="right"
+                      sx={
+                        differs(row) && row.difference !== null
+                          ? { fontWeight: 700, color: getWeightColor(Math.sign(row.difference), theme.network?.palette) }
+                          : undefined
+                      }
+                    >
+                      {row.difference === null ? '—' : signed(row.difference)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {rows.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={4}>No differences</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default NetworkDiff;
@@ -0,0 +1,113 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import EmbeddedNetwork from './EmbeddedNetwork';
+import { EMBED_PROTOCOL, parseEmbedUrl, parseHostMessage } from './embedProtocol';
+import { createNetwork, encodeNetworkToUrl, serializeNetwork } from '../../engine';
+import { getCanvasText } from '../../testUtils/mockCanvas';
+
+const renderEmbed = (search = '') => {
+  render(
+    <MemoryRouter initialEntries={[`/embed${search}`]}>
+      <Routes>
+        <Route path="/embed" element={<EmbeddedNetwork />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+// jsdom's window is its own parent, so the embed's messages to the host arrive here
+const sendFromHost = (data) => {
+  act(() => {
+    window.dispatchEvent(new MessageEvent('message', { data, source: window, origin: 'http://localhost' }));
+  });
+};
+
+const postedMessages = (spy) => spy.mock.calls.map(([message]) => message);
+
+describe('embed protocol', () => {
+  test('reads host messages and ignores unrelated traffic', () => {
+    expect(parseHostMessage({ type: 'setNetwork' })).toEqual({ ignore: true });
+    expect(parseHostMessage('hello')).toEqual({ ignore: true });
+    expect(parseHostMessage({ protocol: EMBED_PROTOCOL, type: 'reset' })).toEqual({ error: 'Unknown message type "reset"' });
+    expect(parseHostMessage({ protocol: EMBED_PROTOCOL, type: 'configure', options: { showText: 'yes' } })).toEqual({
+      error: '"showText" must be true or false',
+    });
+    expect(parseHostMessage({ protocol: EMBED_PROTOCOL, type: 'configure', options: { mode: 'dark', size: 3 } })).toEqual({
+      type: 'configure',
+      options: { mode: 'dark' },
+    });
+    expect(parseHostMessage({ protocol: EMBED_PROTOCOL, type: 'setNetwork', network: {} }).error).toMatch(/^Invalid network: /);
+  });
+
+  test('reads the starting configuration from the URL', () => {
+    const network = createNetwork();
+    const config = parseEmbedUrl(
+      new URLSearchParams({ controls: '1', mode: 'sepia', net: encodeNetworkToUrl(network), origin: 'https://host.example' })
+    );
+    expect(config.options).toMatchObject({ showText: false, showControls: true, framed: false, mode: 'light' });
+    expect(config.errors).toEqual(['"mode" must be one of light, dark']);
+    expect(config.network).toEqual(network);
+    expect(config.origin).toBe('https://host.example');
+
+    // Names every object inherits are not palettes
+    expect(parseEmbedUrl(new URLSearchParams({ palette: 'constructor' })).errors).toEqual([
+      '"palette" must be one of classic, blue-orange, viridis',
+    ]);
+  });
+});
+
+describe('EmbeddedNetwork', () => {
+  let postMessage;
+  beforeEach(() => {
+    postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    postMessage.mockRestore();
+  });
+
+  test('shows just the diagram and talks to the host page', () => {
+    renderEmbed();
+    expect(screen.queryByText('Interactive Neural Network Explorer')).not.toBeInTheDocument();
+    expect(screen.queryByRole('slider')).not.toBeInTheDocument();
+    expect(postedMessages(postMessage)).toEqual([
+      { protocol: EMBED_PROTOCOL, type: 'ready', network: serializeNetwork(createNetwork()) },
+    ]);
+
+    // The host replaces the network; the diagram follows without echoing a change back
+    const network = createNetwork(undefined, { weights: { 'H1->O': 2, 'H2->O': 2 } });
+    sendFromHost({ protocol: EMBED_PROTOCOL, type: 'setNetwork', network: serializeNetwork(network) });
+    // sigmoid(0.5 + 0.5 * 2 + 0.5 * 2) at the output
+    expect(getCanvasText(screen.getByRole('application', { name: 'Neural Network Visualization' }))).toContain(
+      'Activation: 0.88'
+    );
+    expect(postMessage).toHaveBeenCalledTimes(1);
+
+    // Editing on the diagram reports the change
+    const canvas = screen.getByRole('application', { name: 'Neural Network Visualization' });
+    fireEvent.focus(canvas);
+    fireEvent.keyDown(canvas, { key: 'ArrowUp' });
+    const change = postedMessages(postMessage).at(-1);
+    expect(change).toMatchObject({ protocol: EMBED_PROTOCOL, type: 'change', network: { inputs: { A: 0.05, B: 0 } } });
+
+    sendFromHost({ protocol: EMBED_PROTOCOL, type: 'getNetwork' });
+    expect(postedMessages(postMessage).at(-1)).toEqual({ ...change, type: 'network' });
+
+    sendFromHost({ protocol: EMBED_PROTOCOL, type: 'configure', options: { showControls: true } });
+    expect(screen.getByRole('slider', { name: 'Input A' })).toBeInTheDocument();
+
+    sendFromHost({ protocol: EMBED_PROTOCOL, type: 'setNetwork', network: { version: 1 } });
+    expect(postedMessages(postMessage).at(-1)).toEqual({
+      protocol: EMBED_PROTOCOL,
+      type: 'error',
+      error: expect.stringMatching(/^Invalid network: /),
+    });
+  });
+
+  test('only talks to the origin in its URL', () => {
+    renderEmbed('?origin=https://host.example');
+    expect(postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'ready' }), 'https://host.example');
+    // Messages from any other origin are ignored
+    sendFromHost({ protocol: EMBED_PROTOCOL, type: 'getNetwork' });
+    expect(postMessage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,74 @@
+// src/components/Embed/EmbeddedNetwork.js
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { CssBaseline, ThemeProvider } from '@mui/material';
+import { useSearchParams } from 'react-router-dom';
+import NeuralNetworkViz from '../NeuralNetworkViz/NeuralNetworkViz';
+import { createNetwork, serializeNetwork } from '../../engine';
+import { createAppTheme } from '../../theme';
+import { createEmbedMessage, parseEmbedUrl, parseHostMessage } from './embedProtocol';
+
+// The explorer on its own, for an iframe in another page. It is configured from its URL and by
+// messages from the host page, and tells the host about every change; the README documents the
+// messages.
+const EmbeddedNetwork = () => {
+  const [searchParams] = useSearchParams();
+  const [config] = useState(() => parseEmbedUrl(searchParams));
+  const [options, setOptions] = useState(config.options);
+  const [network, setNetwork] = useState(() => config.network ?? createNetwork());
+  const theme = useMemo(() => createAppTheme({ mode: options.mode, palette: options.palette }), [options.mode, options.palette]);
+
+  const networkRef = useRef(network);
+  networkRef.current = network;
+
+  // With an `origin`, messages only go to that origin and only its messages are read
+  const post = useCallback(
+    (type, payload) => window.parent.postMessage(createEmbedMessage(type, payload), config.origin ?? '*'),
+    [config.origin]
+  );
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.source !== window.parent || (config.origin && event.origin !== config.origin)) return;
+      const message = parseHostMessage(event.data);
+      if (message.ignore) return;
+      if (message.error) {
+        post('error', { error: message.error });
+      } else if (message.type === 'configure') {
+        setOptions((prev) => ({ ...prev, ...message.options }));
+      } else if (message.type === 'setNetwork') {
+        setNetwork(message.state);
+      } else if (message.type === 'getNetwork') {
+        post('network', { network: serializeNetwork(networkRef.current) });
+      }
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [config.origin, post]);
+
+  // Announce the starting network once the listener is in place, then any problems with the URL
+  useEffect(() => {
+    post('ready', { network: serializeNetwork(networkRef.current) });
+    config.errors.forEach((error) => post('error', { error }));
+  }, [config.errors, post]);
+
+  const handleChange = (next) => {
+    setNetwork(next);
+    post('change', { network: serializeNetwork(next) });
+  };
+
+  return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      <NeuralNetworkViz
+        value={network}
+        onChange={handleChange}
+        showText={options.showText}
+        showControls={options.showControls}
+        framed={options.framed}
+      />
+    </ThemeProvider>
+  );
+};
+
+export default EmbeddedNetwork;
@@ -0,0 +1,94 @@
+// src/components/Embed/embedProtocol.js
+
+import { NETWORK_URL_PARAM, decodeNetworkFromUrl, parseNetworkState } from '../../engine';
+import { DEFAULT_PALETTE, PALETTES } from '../NeuralNetworkViz/colors';
+
+// Every message in either direction carries this, so the embed and the host page can ignore
+// unrelated postMessage traffic. The number changes if a message's meaning ever does.
+export const EMBED_PROTOCOL = 'neural-network-viz/1';
+
+export const DEFAULT_EMBED_OPTIONS = {
+  showText: false,
+  showControls: false,
+  framed: false,
+  mode: 'light',
+  palette: DEFAULT_PALETTE,
+};
+
+const MODES = ['light', 'dark'];
+const FLAGS = { text: 'showText', controls: 'showControls', frame: 'framed' };
+
+/**
+ * Check display options sent by a host page, keeping only those that are known and valid.
+ * @returns {{ options: Object } | { error: string }}
+ */
+export const parseEmbedOptions = (options) => {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return { error: 'Expected "options" to be an object' };
+  }
+  const flag = Object.values(FLAGS).find((key) => key in options && typeof options[key] !== 'boolean');
+  if (flag) return { error: `"${flag}" must be true or false` };
+  if ('mode' in options && !MODES.includes(options.mode)) {
+    return { error: `"mode" must be one of ${MODES.join(', ')}` };
+  }
+  if ('palette' in options && !Object.hasOwn(PALETTES, options.palette)) {
+    return { error: `"palette" must be one of ${Object.keys(PALETTES).join(', ')}` };
+  }
+  const known = [...Object.values(FLAGS), 'mode', 'palette'];
+  return { options: Object.fromEntries(Object.entries(options).filter(([key]) => known.includes(key))) };
+};
+
+/**
+ * Starting configuration from the embed URL's query string: `text`, `controls` and `frame`
+ * (1 or 0), `mode`, `palette`, `origin` (the only host origin to talk to) and the network in
+ * the same `net` parameter shared links use. Invalid values are left at their defaults.
+ * @returns {{ options: Object, origin: string | null, network: Object | null, errors: string[] }}
+ */
+export const parseEmbedUrl = (searchParams) => {
+  const options = { ...DEFAULT_EMBED_OPTIONS };
+  const errors = [];
+  Object.entries(FLAGS).forEach(([param, key]) => {
+    if (searchParams.has(param)) options[key] = searchParams.get(param) === '1';
+  });
+  ['mode', 'palette'].forEach((key) => {
+    if (!searchParams.has(key)) return;
+    const result = parseEmbedOptions({ [key]: searchParams.get(key) });
+    if (result.error) errors.push(result.error);
+    else Object.assign(options, result.options);
+  });
+
+  let network = null;
+  if (searchParams.has(NETWORK_URL_PARAM)) {
+    const { state, error } = decodeNetworkFromUrl(searchParams.get(NETWORK_URL_PARAM));
+    if (error) errors.push(`Could not load the network from the URL: ${error}`);
+    network = state ?? null;
+  }
+  return { options, origin: searchParams.get('origin'), network, errors };
+};
+
+/**
+ * Read a message a host page sent to the embed. Messages without the protocol field belong to
+ * something else and give `{ ignore: true }`.
+ * @returns {{ type: 'configure', options: Object } | { type: 'setNetwork', state: Object } |
+ *   { type: 'getNetwork' } | { ignore: true } | { error: string }}
+ */
+export const parseHostMessage = (data) => {
+  if (typeof data !== 'object' || data === null || data.protocol !== EMBED_PROTOCOL) return { ignore: true };
+  switch (data.type) {
+    case 'configure': {
+      const { options, error } = parseEmbedOptions(data.options);
+      return error ? { error } : { type: 'configure', options };
+    }
+    case 'setNetwork': {
+      const { state, error } = parseNetworkState(data.network);
+      return error ? { error: `Invalid network: ${error}` } : { type: 'setNetwork', state };
+    }
+    case 'getNetwork':
+      return { type: 'getNetwork' };
+    default:
+      return { error: `Unknown message type "${data.type}"` };
+  }
+};
+
+// A message from the embed to its host page
+export const createEmbedMessage = (type, payload = {}) => ({ protocol: EMBED_PROTOCOL, type, ...payload });
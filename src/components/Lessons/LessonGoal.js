@@ -0,0 +1,69 @@
+// src/components/Lessons/LessonGoal.js
+
+import React, { useEffect, useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Alert, Box, Button, Link, Typography } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
+import { LESSONS, checkLessonGoal, getNextLesson } from '../../lessons/lessons';
+import useLessonProgress from './useLessonProgress';
+
+// The lesson's task, checked live against the network on every change
+const LessonGoal = ({ lesson, network }) => {
+  const { solved: solvedLessons, markSolved } = useLessonProgress();
+  const { solved, cases } = useMemo(() => checkLessonGoal(lesson, network), [lesson, network]);
+  const nextLesson = getNextLesson(lesson.id);
+  const lessonNumber = LESSONS.indexOf(lesson) + 1;
+
+  useEffect(() => {
+    if (solved) markSolved(lesson.id);
+  }, [solved, lesson.id, markSolved]);
+
+  return (
+    <Box mb={4}>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Lesson {lessonNumber} of {LESSONS.length} ·{' '}
+        <Link component={RouterLink} to="/lessons">
+          All lessons
+        </Link>
+        {solvedLessons.includes(lesson.id) && ' · Solved before'}
+      </Typography>
+      <Typography variant="body1" color="text.primary" paragraph>
+        {lesson.intro}
+      </Typography>
+      <Typography variant="body1" color="text.primary" paragraph>
+        <strong>Goal:</strong> {lesson.goal} Locked sliders are greyed out; the rest can be moved here
+        or by dragging on the diagram.
+      </Typography>
+      <Box component="ul" pl={0} sx={{ listStyle: 'none' }} aria-label="Goal checks">
+        {cases.map(({ label, expectation, output, passed }) => (
+          <Box component="li" key={label} display="flex" alignItems="center" gap={1}>
+            {passed ? (
+              <CheckCircleIcon color="success" fontSize="small" titleAccess="Passed" />
+            ) : (
+              <CancelIcon color="error" fontSize="small" titleAccess="Not yet" />
+            )}
+            <Typography variant="body2">
+              {label}: {expectation} (currently {output.toFixed(2)})
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+      {solved && (
+        <Alert
+          severity="success"
+          sx={{ mt: 2 }}
+          action={
+            <Button component={RouterLink} to={nextLesson ? `/lessons/${nextLesson.id}` : '/lessons'} color="inherit" size="small">
+              {nextLesson ? 'Next Lesson' : 'All Lessons'}
+            </Button>
+          }
+        >
+          Goal solved!
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default LessonGoal;
@@ -0,0 +1,70 @@
+// src/components/Lessons/LessonList.js
+
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  LinearProgress,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
+import { LESSONS } from '../../lessons/lessons';
+import useLessonProgress from './useLessonProgress';
+
+const LessonList = () => {
+  const { solved, resetProgress } = useLessonProgress();
+  const solvedCount = LESSONS.filter(({ id }) => solved.includes(id)).length;
+
+  return (
+    <Card variant="outlined" sx={{ padding: 4, backgroundColor: 'background.paper' }}>
+      <CardHeader
+        title={
+          <Typography variant="h4" component="h1" align="center">
+            Lessons and Challenges
+          </Typography>
+        }
+      />
+      <CardContent>
+        <Typography variant="body1" color="text.primary" paragraph>
+          Each lesson gives you a network with only some of its sliders unlocked and a goal to reach.
+          The goal is checked on every change, so you'll know as soon as the network does what it should.
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {solvedCount} of {LESSONS.length} solved
+        </Typography>
+        <LinearProgress
+          variant="determinate"
+          value={(100 * solvedCount) / LESSONS.length}
+          aria-label="Lesson progress"
+        />
+        <List>
+          {LESSONS.map(({ id, title, goal }, index) => (
+            <ListItemButton key={id} component={RouterLink} to={`/lessons/${id}`}>
+              <ListItemIcon>
+                {solved.includes(id) ? (
+                  <CheckCircleIcon color="success" titleAccess="Solved" />
+                ) : (
+                  <RadioButtonUncheckedIcon titleAccess="Not solved yet" />
+                )}
+              </ListItemIcon>
+              <ListItemText primary={`${index + 1}. ${title}`} secondary={goal} />
+            </ListItemButton>
+          ))}
+        </List>
+        <Button variant="text" onClick={resetProgress} disabled={solvedCount === 0}>
+          Reset Progress
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LessonList;
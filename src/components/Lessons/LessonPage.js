@@ -0,0 +1,32 @@
+// src/components/Lessons/LessonPage.js
+
+import React from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { Alert, Button } from '@mui/material';
+import NeuralNetworkViz from '../NeuralNetworkViz/NeuralNetworkViz';
+import { getLesson } from '../../lessons/lessons';
+
+const LessonPage = () => {
+  const { lessonId } = useParams();
+  const lesson = getLesson(lessonId);
+
+  if (!lesson) {
+    return (
+      <Alert
+        severity="warning"
+        action={
+          <Button component={RouterLink} to="/lessons" color="inherit" size="small">
+            All Lessons
+          </Button>
+        }
+      >
+        There is no lesson called "{lessonId}".
+      </Alert>
+    );
+  }
+
+  // Keyed so moving to another lesson starts from that lesson's own network
+  return <NeuralNetworkViz key={lesson.id} lesson={lesson} />;
+};
+
+export default LessonPage;
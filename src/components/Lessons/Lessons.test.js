@@ -0,0 +1,81 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import LessonList from './LessonList';
+import LessonPage from './LessonPage';
+import { createNetwork, encodeNetworkToUrl } from '../../engine';
+import { LESSONS, createLessonNetwork } from '../../lessons/lessons';
+
+const renderAt = (path) => {
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/lessons" element={<LessonList />} />
+        <Route path="/lessons/:lessonId" element={<LessonPage />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+const moveSlider = (name, value) => {
+  fireEvent.change(screen.getByRole('slider', { name }), { target: { value } });
+};
+
+describe('lessons', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('locks the sliders a lesson does not unlock', () => {
+    renderAt('/lessons/weights');
+    expect(screen.getByText('Weights Amplify Signals')).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'H1->O Weight' })).toBeEnabled();
+    expect(screen.getByRole('slider', { name: 'A->H1 Weight' })).toBeDisabled();
+    expect(screen.getByRole('slider', { name: 'O Bias' })).toBeDisabled();
+    expect(screen.getByRole('slider', { name: 'Input A' })).toBeDisabled();
+    expect(screen.queryByRole('button', { name: 'Add Hidden Layer' })).not.toBeInTheDocument();
+  });
+
+  test('checks the goal and remembers solved lessons', async () => {
+    renderAt('/lessons/and-gate');
+    expect(screen.getByText('A = 0, B = 0: output < 0.1 (currently 1.00)')).toBeInTheDocument();
+    expect(screen.queryByText('Goal solved!')).not.toBeInTheDocument();
+
+    moveSlider('A->O Weight', 1);
+    moveSlider('B->O Weight', 1);
+    moveSlider('O Bias', -1.5);
+
+    expect(await screen.findByText('Goal solved!')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('link', { name: 'All lessons' }));
+    expect(await screen.findByText('1 of 5 solved')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /A Single Neuron AND Gate/ })).toHaveTextContent('Solved');
+  });
+
+  test('explains why a shared network from elsewhere does not open in a lesson', () => {
+    renderAt(`/lessons/and-gate?net=${encodeNetworkToUrl(createNetwork())}`);
+    expect(screen.getByRole('alert')).toHaveTextContent('The shared network does not belong to this lesson');
+    // The lesson starts from its own network instead
+    expect(screen.getByText('A = 0, B = 0: output < 0.1 (currently 1.00)')).toBeInTheDocument();
+  });
+
+  test('only takes the unlocked parameters from a shared network', () => {
+    const lesson = LESSONS.find(({ id }) => id === 'biases');
+    const start = createLessonNetwork(lesson);
+    // Strongly negative output weights would meet the goal without touching the output bias
+    const shared = createNetwork(lesson.architecture, {
+      ...start,
+      weights: { ...start.weights, 'H1->O': -5, 'H2->O': -5 },
+      biases: { ...start.biases, O: 0.5 },
+    });
+    renderAt(`/lessons/biases?net=${encodeNetworkToUrl(shared)}`);
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'O Bias' })).toHaveAttribute('aria-valuenow', '0.5');
+    expect(screen.getByRole('slider', { name: 'H1->O Weight' })).toHaveAttribute(
+      'aria-valuenow',
+      String(start.weights['H1->O'])
+    );
+    expect(screen.queryByText('Goal solved!')).not.toBeInTheDocument();
+  });
+
+  test('explains unknown lessons', () => {
+    renderAt('/lessons/nope');
+    expect(screen.getByText('There is no lesson called "nope".')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,30 @@
+// src/components/Lessons/useLessonProgress.js
+
+import { useCallback, useEffect, useState } from 'react';
+import { readJson, writeJson } from '../../utils/storage';
+
+const PROGRESS_STORAGE_KEY = 'neural-network-explorer:lesson-progress';
+
+const readSolvedLessons = () => {
+  const stored = readJson(PROGRESS_STORAGE_KEY);
+  return Array.isArray(stored?.solved) ? stored.solved : [];
+};
+
+// Ids of the lessons the user has solved, remembered in localStorage between visits
+const useLessonProgress = () => {
+  const [solved, setSolved] = useState(readSolvedLessons);
+
+  useEffect(() => {
+    writeJson(PROGRESS_STORAGE_KEY, { solved });
+  }, [solved]);
+
+  const markSolved = useCallback((id) => {
+    setSolved((prev) => (prev.includes(id) ? prev : [...prev, id]));
+  }, []);
+
+  const resetProgress = useCallback(() => setSolved([]), []);
+
+  return { solved, markSolved, resetProgress };
+};
+
+export default useLessonProgress;
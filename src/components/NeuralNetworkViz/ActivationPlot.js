@@ -0,0 +1,110 @@
+// src/components/NeuralNetworkViz/ActivationPlot.js
+
+import React, { useEffect, useRef } from 'react';
+import { useTheme } from '@mui/material';
+import { styled } from '@mui/system';
+import { getActivation } from '../../engine';
+import { SERIES_COLORS } from './colors';
+
+const PlotCanvas = styled('canvas')(({ theme }) => ({
+  width: '100%',
+  maxWidth: '320px',
+  height: 'auto',
+  display: 'block',
+  border: `1px solid ${theme.palette.divider}`,
+  borderRadius: '4px',
+}));
+
+// Plots an activation curve and marks where each neuron's weighted sum currently sits on it
+const ActivationPlot = ({ activationId, points }) => {
+  const canvasRef = useRef(null);
+  const { palette } = useTheme();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    const logicalWidth = 320;
+    const logicalHeight = 200;
+    canvas.width = logicalWidth * devicePixelRatio;
+    canvas.height = logicalHeight * devicePixelRatio;
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.clearRect(0, 0, logicalWidth, logicalHeight);
+
+    const { fn, range } = getActivation(activationId);
+
+    // Widen the default window so every neuron's marker stays visible
+    const xLimit = Math.min(Math.max(6, ...points.map(({ sum }) => Math.abs(sum) * 1.1)), 50);
+    const yMin = Math.min(range[0], ...points.map(({ activation }) => activation));
+    const yMax = Math.max(range[1], ...points.map(({ activation }) => activation));
+    const yPadding = (yMax - yMin) * 0.1 || 0.5;
+
+    const plot = { left: 10, right: logicalWidth - 10, top: 10, bottom: logicalHeight - 25 };
+    const toX = (x) => plot.left + ((x + xLimit) / (2 * xLimit)) * (plot.right - plot.left);
+    const toY = (y) =>
+      plot.bottom - ((y - yMin + yPadding) / (yMax - yMin + 2 * yPadding)) * (plot.bottom - plot.top);
+
+    // Axes through the origin
+    ctx.strokeStyle = palette.divider;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, toY(0));
+    ctx.lineTo(plot.right, toY(0));
+    ctx.moveTo(toX(0), plot.top);
+    ctx.lineTo(toX(0), plot.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = palette.text.secondary;
+    ctx.font = '11px "Open Sans", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`-${xLimit.toFixed(0)}`, plot.left + 10, plot.bottom + 6);
+    ctx.fillText('weighted sum', (plot.left + plot.right) / 2, plot.bottom + 6);
+    ctx.fillText(`${xLimit.toFixed(0)}`, plot.right - 10, plot.bottom + 6);
+
+    // Activation curve. Softmax depends on the whole layer, so it has none and only the neurons are marked.
+    if (fn) {
+      ctx.strokeStyle = palette.text.primary;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      const steps = 200;
+      for (let i = 0; i <= steps; i++) {
+        const x = -xLimit + (2 * xLimit * i) / steps;
+        if (i === 0) {
+          ctx.moveTo(toX(x), toY(fn(x)));
+        } else {
+          ctx.lineTo(toX(x), toY(fn(x)));
+        }
+      }
+      ctx.stroke();
+    }
+
+    // Current neuron values
+    points.forEach(({ id, sum, activation }, index) => {
+      const color = SERIES_COLORS[index % SERIES_COLORS.length];
+      ctx.beginPath();
+      ctx.arc(toX(sum), toY(activation), 5, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(id, toX(sum) + 6, toY(activation) - 2);
+    });
+  }, [activationId, points, palette]);
+
+  return (
+    <PlotCanvas
+      ref={canvasRef}
+      width={320}
+      height={200}
+      role="img"
+      aria-label={`${getActivation(activationId).label} activation curve`}
+    />
+  );
+};
+
+export default ActivationPlot;
@@ -0,0 +1,131 @@
+// src/components/NeuralNetworkViz/ClassificationPanel.js
+
+import React, { useId, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { crossEntropyLoss, getClassTargets, hasSoftmaxOutput, predictClass, squaredErrorLoss } from '../../engine';
+
+const f = (value) => value.toFixed(3);
+
+// Reads a network with several outputs as a classifier: one class per output, the most active
+// output as the prediction, and the losses against a chosen target class
+const ClassificationPanel = ({ architecture, outputIds, activations, onUseSoftmax }) => {
+  const classLabelId = useId();
+  const [chosenClass, setChosenClass] = useState(outputIds[0]);
+  // Removing outputs can remove the chosen class
+  const targetClass = outputIds.includes(chosenClass) ? chosenClass : outputIds[0];
+
+  const isSoftmax = hasSoftmaxOutput(architecture);
+  const predicted = predictClass(outputIds, activations);
+  const targets = getClassTargets(outputIds, targetClass);
+  const total = outputIds.reduce((sum, id) => sum + activations[id], 0);
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Classification
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        With several outputs the network can sort its inputs into classes, one per output neuron. Softmax turns the
+        output layer's weighted sums into probabilities that add up to 1, and the class with the highest probability is
+        the prediction. Pick the class the current inputs belong to, and the losses show how far the network is from
+        putting all of its probability there.
+      </Typography>
+      {!isSoftmax && (
+        <Alert
+          severity="info"
+          sx={{ mb: 2 }}
+          action={
+            onUseSoftmax && (
+              <Button color="inherit" size="small" onClick={onUseSoftmax}>
+                Use Softmax
+              </Button>
+            )
+          }
+        >
+          The outputs add up to {total.toFixed(2)}, so they are not class probabilities yet. Switch the output layer to
+          Softmax to make them add up to 1.
+        </Alert>
+      )}
+      <Table size="small" aria-label="Class probabilities" sx={{ maxWidth: 520, mb: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Class</TableCell>
+            <TableCell>{isSoftmax ? 'Probability' : 'Activation'}</TableCell>
+            <TableCell align="right">Value</TableCell>
+            <TableCell align="right">Target</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {outputIds.map((id) => (
+            <TableRow key={id} selected={id === predicted}>
+              <TableCell component="th" scope="row">
+                {id === predicted ? <strong>{id} (predicted)</strong> : id}
+              </TableCell>
+              <TableCell sx={{ width: '40%' }}>
+                <LinearProgress
+                  variant="determinate"
+                  aria-label={`${id} ${isSoftmax ? 'probability' : 'activation'}`}
+                  value={Math.min(Math.max(activations[id], 0), 1) * 100}
+                  color={id === predicted ? 'secondary' : 'primary'}
+                />
+              </TableCell>
+              <TableCell align="right">{f(activations[id])}</TableCell>
+              <TableCell align="right">{targets[id]}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Box display="flex" alignItems="center" gap={3} flexWrap="wrap">
+        <FormControl size="small" sx={{ minWidth: '10rem' }}>
+          <InputLabel id={classLabelId}>Target class</InputLabel>
+          <Select
+            labelId={classLabelId}
+            label="Target class"
+            value={targetClass}
+            onChange={(event) => setChosenClass(event.target.value)}
+          >
+            {outputIds.map((id) => (
+              <MenuItem key={id} value={id}>
+                {id}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Typography>
+          Predicted: <strong>{predicted}</strong> ({predicted === targetClass ? 'correct' : 'wrong'})
+        </Typography>
+        <Typography>
+          Cross-entropy loss: <strong>{f(crossEntropyLoss(architecture, activations, targets))}</strong>
+        </Typography>
+        <Typography>
+          Squared-error loss: <strong>{f(squaredErrorLoss(activations, targets))}</strong>
+        </Typography>
+      </Box>
+      <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+        {isSoftmax
+          ? "Cross-entropy is -log of the target class's probability, so it grows without limit as that probability nears 0, while squared error"
+          : 'Cross-entropy here treats each output as a separate yes/no probability, while squared error'}{' '}
+        is half the sum of (output − target)² over every class and never exceeds 1 for probabilities. Training uses
+        squared error.
+      </Typography>
+    </Box>
+  );
+};
+
+export default ClassificationPanel;
@@ -0,0 +1,332 @@
+// src/components/NeuralNetworkViz/DatasetPanel.js
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  useTheme,
+} from '@mui/material';
+import { styled } from '@mui/system';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { evaluateDataset, getLayerNodes, parseCsvDataset } from '../../engine';
+import { getWeightColor } from './colors';
+
+const PLANE_SIZE = 360;
+const PLOT = { left: 40, top: 10, size: PLANE_SIZE - 50 };
+const POINT_RADIUS = 6;
+
+const PlaneCanvas = styled('canvas')({
+  width: '100%',
+  maxWidth: `${PLANE_SIZE}px`,
+  height: 'auto',
+  display: 'block',
+  cursor: 'crosshair',
+});
+
+const f = (value) => value.toFixed(2);
+
+// Rows are kept as plain value lists, so the dataset survives architecture changes: missing
+// inputs read as 0, extra ones are ignored, and missing targets repeat the last one.
+const toSample = (row, inputIds, outputIds) => ({
+  inputs: Object.fromEntries(inputIds.map((id, index) => [id, row.inputs[index] ?? 0])),
+  targets: Object.fromEntries(
+    outputIds.map((id, index) => [id, row.targets[Math.min(index, row.targets.length - 1)]])
+  ),
+});
+
+// Points on the plane set the first two inputs in [0,1]; B increases upwards like the decision boundary
+const DatasetPanel = ({ architecture, weights, biases, inputs, onSelectSample }) => {
+  const theme = useTheme();
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [rows, setRows] = useState([]);
+  const [pointClass, setPointClass] = useState(1);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const layers = useMemo(() => getLayerNodes(architecture), [architecture]);
+  const inputIds = layers[0];
+  const outputIds = layers[layers.length - 1];
+  const [xId, yId] = inputIds;
+
+  const samples = useMemo(
+    () => rows.map((row) => toSample(row, inputIds, outputIds)),
+    [rows, inputIds, outputIds]
+  );
+  const evaluation = useMemo(
+    () => evaluateDataset(architecture, weights, biases, samples),
+    [architecture, weights, biases, samples]
+  );
+  const mismatched = rows.some((row) => row.inputs.length !== inputIds.length || row.targets.length !== outputIds.length);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    canvas.width = PLANE_SIZE * devicePixelRatio;
+    canvas.height = PLANE_SIZE * devicePixelRatio;
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.clearRect(0, 0, PLANE_SIZE, PLANE_SIZE);
+
+    const toX = (value) => PLOT.left + value * PLOT.size;
+    const toY = (value) => PLOT.top + PLOT.size - value * PLOT.size;
+    ctx.strokeStyle = theme.palette.divider;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(PLOT.left, PLOT.top, PLOT.size, PLOT.size);
+
+    // Class 1 is a filled circle and class 0 a hollow one, so the shapes differ as well as the colors
+    samples.forEach(({ inputs: sampleInputs, targets }, index) => {
+      const isOn = targets[outputIds[0]] >= 0.5;
+      const x = toX(sampleInputs[xId]);
+      const y = toY(yId ? sampleInputs[yId] : 0.5);
+      ctx.beginPath();
+      ctx.arc(x, y, POINT_RADIUS, 0, Math.PI * 2);
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = getWeightColor(isOn ? 1 : -1, theme.network?.palette);
+      if (isOn) {
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.fill();
+      }
+      ctx.stroke();
+      if (index === selectedIndex) {
+        ctx.beginPath();
+        ctx.arc(x, y, POINT_RADIUS + 4, 0, Math.PI * 2);
+        ctx.strokeStyle = theme.palette.text.primary;
+        ctx.stroke();
+      }
+    });
+
+    // A cross at the current inputs
+    const currentX = toX(inputs[xId]);
+    const currentY = toY(yId ? inputs[yId] : 0.5);
+    ctx.beginPath();
+    ctx.moveTo(currentX - 6, currentY);
+    ctx.lineTo(currentX + 6, currentY);
+    ctx.moveTo(currentX, currentY - 6);
+    ctx.lineTo(currentX, currentY + 6);
+    ctx.strokeStyle = theme.palette.text.primary;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.fillStyle = theme.palette.text.primary;
+    ctx.font = '12px "Open Sans", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Input ${xId}`, PLOT.left + PLOT.size / 2, PLOT.top + PLOT.size + 4);
+    if (yId) {
+      ctx.save();
+      ctx.translate(PLOT.left - 20, PLOT.top + PLOT.size / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(`Input ${yId}`, 0, 0);
+      ctx.restore();
+    }
+  }, [samples, selectedIndex, inputs, xId, yId, outputIds, theme]);
+
+  const addPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / (rect.width || PLANE_SIZE)) * PLANE_SIZE;
+    const y = ((event.clientY - rect.top) / (rect.height || PLANE_SIZE)) * PLANE_SIZE;
+    const a = (x - PLOT.left) / PLOT.size;
+    const b = 1 - (y - PLOT.top) / PLOT.size;
+    if (a < 0 || a > 1 || b < 0 || b > 1) return;
+    // Any further inputs keep their current values
+    const pointInputs = inputIds.map((id, index) => Math.round(([a, b][index] ?? inputs[id]) * 100) / 100);
+    setRows((prev) => [...prev, { inputs: pointInputs, targets: outputIds.map(() => pointClass) }]);
+  };
+
+  const selectRow = (index) => {
+    setSelectedIndex(index);
+    onSelectSample(samples[index].inputs);
+  };
+
+  const removeRow = (index) => {
+    setRows((prev) => prev.filter((_, rowIndex) => rowIndex !== index));
+    setSelectedIndex(null);
+  };
+
+  const importCsv = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { samples: parsed, error } = parseCsvDataset(architecture, reader.result);
+      if (error) {
+        setMessage({ severity: 'error', text: `Could not import ${file.name}: ${error}` });
+        return;
+      }
+      setRows(parsed.map((sample) => ({ inputs: Object.values(sample.inputs), targets: Object.values(sample.targets) })));
+      setSelectedIndex(null);
+      setMessage({ severity: 'success', text: `Loaded ${parsed.length} rows from ${file.name}` });
+    };
+    reader.onerror = () => {
+      setMessage({ severity: 'error', text: `Could not read ${file.name}` });
+    };
+    reader.readAsText(file);
+  };
+
+  const correctCount = evaluation.rows.filter(({ correct }) => correct).length;
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Dataset: The Network Against Real Data
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        The sliders show one example at a time. Build a whole dataset here by clicking on the plane to
+        place points of the chosen class, or import a CSV file with one column per input followed by one
+        per output (a header row is optional). The network runs on every row: a row counts as correct when
+        the output is on the same side of 0.5 as its target. Click a row to load its inputs into the network
+        and watch that example flow through the diagram.
+      </Typography>
+
+      <Box display="flex" flexWrap="wrap" gap={4}>
+        <Box flex="0 1 360px">
+          <Box display="flex" alignItems="center" gap={1} flexWrap="wrap" mb={1}>
+            <Typography variant="body2">New points:</Typography>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={pointClass}
+              onChange={(event, value) => value !== null && setPointClass(value)}
+              aria-label="Class of new points"
+            >
+              <ToggleButton value={0}>Class 0</ToggleButton>
+              <ToggleButton value={1}>Class 1</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+          <PlaneCanvas
+            ref={canvasRef}
+            width={PLANE_SIZE}
+            height={PLANE_SIZE}
+            onClick={addPoint}
+            role="img"
+            aria-label={`Dataset plane over Input ${xId}${yId ? ` and Input ${yId}` : ''}; click to add a class ${pointClass} point`}
+          />
+          <Box display="flex" gap={1} flexWrap="wrap" mt={1}>
+            <Button variant="outlined" onClick={() => fileInputRef.current.click()}>
+              Import CSV
+            </Button>
+            <Button
+              variant="text"
+              onClick={() => {
+                setRows([]);
+                setSelectedIndex(null);
+              }}
+              disabled={rows.length === 0}
+            >
+              Clear Dataset
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="text/csv,.csv,text/plain,.txt"
+              hidden
+              onChange={importCsv}
+              data-testid="import-csv-input"
+            />
+          </Box>
+          {message && (
+            <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mt: 2 }}>
+              {message.text}
+            </Alert>
+          )}
+        </Box>
+
+        <Box flex="1 1 360px" minWidth={0}>
+          {rows.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No samples yet.
+            </Typography>
+          ) : (
+            <>
+              <Typography variant="body2" gutterBottom>
+                Accuracy: {Math.round(evaluation.accuracy * 100)}% ({correctCount} of {rows.length}) · Mean
+                squared error: {evaluation.loss.toFixed(4)}
+              </Typography>
+              {mismatched && (
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  Some rows don't match the network's {inputIds.length} inputs and {outputIds.length} outputs;
+                  missing inputs count as 0 and extra ones are ignored.
+                </Typography>
+              )}
+              <TableContainer sx={{ maxHeight: 400 }}>
+                <Table size="small" stickyHeader aria-label="Dataset samples">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>#</TableCell>
+                      <TableCell>Inputs ({inputIds.join(', ')})</TableCell>
+                      <TableCell align="right">Target</TableCell>
+                      <TableCell align="right">Output</TableCell>
+                      <TableCell align="right">Error</TableCell>
+                      <TableCell>Result</TableCell>
+                      <TableCell padding="none" />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {samples.map(({ inputs: sampleInputs, targets }, index) => {
+                      const { outputs, error, correct } = evaluation.rows[index];
+                      return (
+                        <TableRow
+                          key={index}
+                          hover
+                          selected={index === selectedIndex}
+                          onClick={() => selectRow(index)}
+                          onKeyDown={(event) => {
+                            if (event.target !== event.currentTarget) return;
+                            if (event.key === 'Enter' || event.key === ' ') {
+                              event.preventDefault();
+                              selectRow(index);
+                            }
+                          }}
+                          tabIndex={0}
+                          sx={{ cursor: 'pointer' }}
+                        >
+                          <TableCell>{index + 1}</TableCell>
+                          <TableCell>{inputIds.map((id) => f(sampleInputs[id])).join(', ')}</TableCell>
+                          <TableCell align="right">{outputIds.map((id) => targets[id]).join(', ')}</TableCell>
+                          <TableCell align="right">{outputIds.map((id) => f(outputs[id])).join(', ')}</TableCell>
+                          <TableCell align="right">{error.toFixed(3)}</TableCell>
+                          <TableCell sx={{ color: correct ? 'success.main' : 'error.main' }}>
+                            {correct ? 'Correct' : 'Wrong'}
+                          </TableCell>
+                          <TableCell padding="none">
+                            <IconButton
+                              size="small"
+                              aria-label={`Remove sample ${index + 1}`}
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                removeRow(index);
+                              }}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default DatasetPanel;
@@ -0,0 +1,192 @@
+// src/components/NeuralNetworkViz/DecisionBoundary.js
+
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { Typography, Box, FormControl, InputLabel, MenuItem, Select, useTheme } from '@mui/material';
+import { styled } from '@mui/system';
+import { forwardPass, getLayerNodes } from '../../engine';
+import { getActivationColor } from './colors';
+
+const GRID_SIZE = 50;
+const THRESHOLD = 0.5;
+
+const HeatmapCanvas = styled('canvas')(({ theme }) => ({
+  width: '100%',
+  maxWidth: '360px',
+  height: 'auto',
+  display: 'block',
+}));
+
+// Evaluate one output neuron on a (GRID_SIZE + 1)² grid over the first two inputs in [0,1].
+// Any further inputs are held at their current values. grid[row][col] has B = row / GRID_SIZE.
+const evaluateGrid = (architecture, weights, biases, inputs, xId, yId, outputId) =>
+  Array.from({ length: GRID_SIZE + 1 }, (_, row) =>
+    Array.from({ length: GRID_SIZE + 1 }, (_, col) => {
+      const pointInputs = { ...inputs, [xId]: col / GRID_SIZE };
+      if (yId) pointInputs[yId] = row / GRID_SIZE;
+      return forwardPass(architecture, weights, biases, pointInputs)[outputId];
+    })
+  );
+
+// Marching squares: line segments (in grid coordinates) where the grid crosses `level`
+const contourSegments = (grid, level) => {
+  const segments = [];
+  const interpolate = (a, b) => (level - a) / (b - a);
+  for (let row = 0; row < GRID_SIZE; row++) {
+    for (let col = 0; col < GRID_SIZE; col++) {
+      const bottomLeft = grid[row][col];
+      const bottomRight = grid[row][col + 1];
+      const topRight = grid[row + 1][col + 1];
+      const topLeft = grid[row + 1][col];
+      const crossings = [];
+      if ((bottomLeft >= level) !== (bottomRight >= level)) {
+        crossings.push([col + interpolate(bottomLeft, bottomRight), row]);
+      }
+      if ((bottomRight >= level) !== (topRight >= level)) {
+        crossings.push([col + 1, row + interpolate(bottomRight, topRight)]);
+      }
+      if ((topLeft >= level) !== (topRight >= level)) {
+        crossings.push([col + interpolate(topLeft, topRight), row + 1]);
+      }
+      if ((bottomLeft >= level) !== (topLeft >= level)) {
+        crossings.push([col, row + interpolate(bottomLeft, topLeft)]);
+      }
+      // Two crossings make one segment; four (a saddle) make two
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        segments.push([crossings[i], crossings[i + 1]]);
+      }
+    }
+  }
+  return segments;
+};
+
+const DecisionBoundary = ({ architecture, weights, biases, inputs }) => {
+  const outputLabelId = useId();
+  const canvasRef = useRef(null);
+  const theme = useTheme();
+  const layers = useMemo(() => getLayerNodes(architecture), [architecture]);
+  const [xId, yId] = layers[0];
+  const outputIds = layers[layers.length - 1];
+  const [selectedOutput, setSelectedOutput] = useState(outputIds[0]);
+  const outputId = outputIds.includes(selectedOutput) ? selectedOutput : outputIds[0];
+
+  const grid = useMemo(
+    () => evaluateGrid(architecture, weights, biases, inputs, xId, yId, outputId),
+    [architecture, weights, biases, inputs, xId, yId, outputId]
+  );
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    const logicalSize = 360;
+    canvas.width = logicalSize * devicePixelRatio;
+    canvas.height = logicalSize * devicePixelRatio;
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.clearRect(0, 0, logicalSize, logicalSize);
+
+    const plot = { left: 40, top: 10, size: logicalSize - 50 };
+    const cell = plot.size / (GRID_SIZE + 1);
+    const toX = (col) => plot.left + (col + 0.5) * cell;
+    const toY = (row) => plot.top + plot.size - (row + 0.5) * cell;
+
+    // Heatmap, one cell per grid point, B increasing upwards
+    grid.forEach((values, row) => {
+      values.forEach((value, col) => {
+        ctx.fillStyle = getActivationColor(value, theme.network?.palette);
+        ctx.fillRect(plot.left + col * cell, plot.top + plot.size - (row + 1) * cell, cell + 0.5, cell + 0.5);
+      });
+    });
+
+    // Decision boundary at the 0.5 threshold
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    contourSegments(grid, THRESHOLD).forEach(([[x1, y1], [x2, y2]]) => {
+      ctx.moveTo(toX(x1), toY(y1));
+      ctx.lineTo(toX(x2), toY(y2));
+    });
+    ctx.stroke();
+
+    // Current input position
+    const markerX = toX(inputs[xId] * GRID_SIZE);
+    const markerY = toY(yId ? inputs[yId] * GRID_SIZE : GRID_SIZE / 2);
+    ctx.beginPath();
+    ctx.arc(markerX, markerY, 7, 0, Math.PI * 2);
+    ctx.fillStyle = '#fff';
+    ctx.fill();
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Axis labels
+    ctx.fillStyle = theme.palette.text.primary;
+    ctx.font = '12px "Open Sans", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('0', plot.left, plot.top + plot.size + 4);
+    ctx.fillText('1', plot.left + plot.size, plot.top + plot.size + 4);
+    ctx.fillText(`Input ${xId}`, plot.left + plot.size / 2, plot.top + plot.size + 4);
+    if (yId) {
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('0', plot.left - 6, plot.top + plot.size);
+      ctx.fillText('1', plot.left - 6, plot.top);
+      ctx.save();
+      ctx.translate(plot.left - 20, plot.top + plot.size / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.textAlign = 'center';
+      ctx.fillText(`Input ${yId}`, 0, 0);
+      ctx.restore();
+    }
+  }, [grid, inputs, xId, yId, theme]);
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Decision Boundary: The Whole Picture
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        The network diagram shows the output for a single pair of inputs. This map shows the output for
+        every combination of Input {xId}{yId ? ` and Input ${yId}` : ''} between 0 and 1, using the same
+        colors as the neurons. The dark line is the <em>decision boundary</em> where the output crosses 0.5,
+        and the white dot marks the current input sliders. With two hidden neurons the boundary can bend
+        into two separate lines, which is exactly what XOR needs: one corner region on, the other off.
+      </Typography>
+      {layers[0].length > 2 && (
+        <Typography variant="body2" color="text.secondary" paragraph>
+          The other inputs are held at their current slider values.
+        </Typography>
+      )}
+      {outputIds.length > 1 && (
+        <FormControl size="small" sx={{ minWidth: '10rem', mb: 2 }}>
+          <InputLabel id={outputLabelId}>Output neuron</InputLabel>
+          <Select
+            labelId={outputLabelId}
+            label="Output neuron"
+            value={outputId}
+            onChange={(event) => setSelectedOutput(event.target.value)}
+          >
+            {outputIds.map((id) => (
+              <MenuItem key={id} value={id}>
+                {id}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+      <HeatmapCanvas
+        ref={canvasRef}
+        width={360}
+        height={360}
+        role="img"
+        aria-label={`Output ${outputId} over Input ${xId}${yId ? ` and Input ${yId}` : ''}`}
+      />
+    </Box>
+  );
+};
+
+export default DecisionBoundary;
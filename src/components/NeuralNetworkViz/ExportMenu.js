@@ -0,0 +1,247 @@
+// src/components/NeuralNetworkViz/ExportMenu.js
+
+import React, { useId, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  Menu,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+  useTheme,
+} from '@mui/material';
+import ImageIcon from '@mui/icons-material/Image';
+import { forwardPassWithSums } from '../../engine';
+import { buildNetworkScene, paintScene, sceneToSvg } from './networkScene';
+import { layoutNetwork } from './layout';
+import { createZip } from './zip';
+import { downloadBlob } from './download';
+
+const SCALES = [1, 2, 3, 4];
+const PARAMETER_GROUPS = { input: 'inputs', weight: 'weights', bias: 'biases' };
+
+// Paint a scene onto an offscreen canvas `scale` times its logical size, over a solid background
+const renderScenePng = (scene, scale, background) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = scene.width * scale;
+    canvas.height = scene.height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, scene.width, scene.height);
+    paintScene(ctx, scene);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+  });
+
+// One frame of a sweep: the network with a single parameter replaced, captioned with its value
+const buildSweepFrame = (network, parameter, value, colors) => {
+  const group = PARAMETER_GROUPS[parameter.kind];
+  const state = { ...network, [group]: { ...network[group], [parameter.key]: value } };
+  const { activations } = forwardPassWithSums(state.architecture, state.weights, state.biases, state.inputs);
+  const scene = buildNetworkScene({ ...state, activations, colors });
+  scene.items.push({
+    type: 'text',
+    x: 20,
+    y: scene.height - 20,
+    text: `${parameter.label} = ${value.toFixed(2)}`,
+    size: 16,
+    bold: true,
+    color: colors.text,
+    align: 'left',
+    baseline: 'alphabetic',
+  });
+  return scene;
+};
+
+const ScaleSelect = ({ id, scale, onChange, width, height }) => (
+  <FormControl fullWidth margin="normal">
+    <InputLabel id={id}>Resolution</InputLabel>
+    <Select labelId={id} label="Resolution" value={scale} onChange={(event) => onChange(event.target.value)}>
+      {SCALES.map((option) => (
+        <MenuItem key={option} value={option}>
+          {option}× ({width * option} × {height * option} px)
+        </MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+// PNG, SVG and parameter-sweep exports of the network diagram, painted from the same scene as the canvas
+// in the active theme's colors
+const ExportMenu = ({ network, activations, currentStep, edgeGlows, sweepParameters }) => {
+  const colors = useTheme().network;
+  const idPrefix = useId();
+  const menuId = `${idPrefix}menu`;
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [dialog, setDialog] = useState(null);
+  const [scale, setScale] = useState(2);
+  const [sweep, setSweep] = useState({ parameterIndex: 0, from: null, to: null, frames: 24 });
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { logicalWidth: width, logicalHeight: height } = layoutNetwork(network.architecture);
+  const buildCurrentScene = () => buildNetworkScene({ ...network, activations, currentStep, edgeGlows, colors });
+  const sweepParameter = sweepParameters[Math.min(sweep.parameterIndex, sweepParameters.length - 1)];
+  const sweepFrom = sweep.from ?? sweepParameter.min;
+  const sweepTo = sweep.to ?? sweepParameter.max;
+  const frameCount = Math.max(2, Math.min(120, Math.round(sweep.frames) || 2));
+
+  const openDialog = (name) => {
+    setAnchorEl(null);
+    setError(null);
+    setDialog(name);
+  };
+
+  const exportPng = async () => {
+    try {
+      downloadBlob(await renderScenePng(buildCurrentScene(), scale, colors.background), 'neural-network.png');
+      setDialog(null);
+    } catch (pngError) {
+      setError(pngError.message);
+    }
+  };
+
+  const exportSvg = () => {
+    setAnchorEl(null);
+    const svg = sceneToSvg(buildCurrentScene(), { background: colors.background });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'neural-network.svg');
+  };
+
+  const exportSweep = async () => {
+    setError(null);
+    try {
+      const files = [];
+      for (let frame = 0; frame < frameCount; frame++) {
+        setProgress(frame / frameCount);
+        const value = sweepFrom + ((sweepTo - sweepFrom) * frame) / (frameCount - 1);
+        const blob = await renderScenePng(
+          buildSweepFrame(network, sweepParameter, value, colors),
+          scale,
+          colors.background
+        );
+        files.push({
+          name: `frame-${String(frame + 1).padStart(3, '0')}.png`,
+          data: new Uint8Array(await blob.arrayBuffer()),
+        });
+      }
+      downloadBlob(new Blob([createZip(files)], { type: 'application/zip' }), 'neural-network-sweep.zip');
+      setDialog(null);
+    } catch (sweepError) {
+      setError(sweepError.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const updateSweep = (changes) => setSweep((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<ImageIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        aria-controls={anchorEl ? menuId : undefined}
+        aria-haspopup="true"
+      >
+        Export Image
+      </Button>
+      <Menu id={menuId} anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <MenuItem onClick={() => openDialog('png')}>PNG image…</MenuItem>
+        <MenuItem onClick={exportSvg}>SVG vector image</MenuItem>
+        <MenuItem onClick={() => openDialog('sweep')}>Parameter sweep frames…</MenuItem>
+      </Menu>
+
+      <Dialog open={dialog === 'png'} onClose={() => setDialog(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Export PNG</DialogTitle>
+        <DialogContent>
+          <ScaleSelect id={`${idPrefix}png-scale-label`} scale={scale} onChange={setScale} width={width} height={height} />
+          {error && <Typography color="error">{error}</Typography>}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)}>Cancel</Button>
+          <Button variant="contained" onClick={exportPng}>
+            Download PNG
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={dialog === 'sweep'} onClose={() => progress === null && setDialog(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Export a Parameter Sweep</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            Moves one slider from one value to another and saves a numbered PNG frame for each step, bundled
+            in a ZIP file. Each frame is labelled with the parameter's value, ready for slides or for turning into a
+            video or GIF.
+          </Typography>
+          <FormControl fullWidth margin="normal">
+            <InputLabel id={`${idPrefix}sweep-parameter-label`}>Parameter</InputLabel>
+            <Select
+              labelId={`${idPrefix}sweep-parameter-label`}
+              label="Parameter"
+              value={sweepParameters.indexOf(sweepParameter)}
+              onChange={(event) => updateSweep({ parameterIndex: event.target.value, from: null, to: null })}
+            >
+              {sweepParameters.map(({ label }, index) => (
+                <MenuItem key={label} value={index}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {[
+            ['From', sweepFrom, 'from'],
+            ['To', sweepTo, 'to'],
+          ].map(([label, value, field]) => (
+            <TextField
+              key={field}
+              label={label}
+              type="number"
+              value={value}
+              onChange={(event) => {
+                const parsed = parseFloat(event.target.value);
+                if (!Number.isNaN(parsed)) updateSweep({ [field]: parsed });
+              }}
+              inputProps={{ step: 0.1 }}
+              margin="normal"
+              sx={{ mr: 2, width: '8rem' }}
+            />
+          ))}
+          <TextField
+            label="Frames"
+            type="number"
+            value={sweep.frames}
+            onChange={(event) => updateSweep({ frames: parseInt(event.target.value, 10) })}
+            inputProps={{ min: 2, max: 120 }}
+            margin="normal"
+            sx={{ width: '8rem' }}
+          />
+          <ScaleSelect id={`${idPrefix}sweep-scale-label`} scale={scale} onChange={setScale} width={width} height={height} />
+          {progress !== null && (
+            <LinearProgress variant="determinate" value={progress * 100} aria-label="Rendering frames" sx={{ mt: 2 }} />
+          )}
+          {error && <Typography color="error">{error}</Typography>}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)} disabled={progress !== null}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={exportSweep} disabled={progress !== null}>
+            Download {frameCount} Frames
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,100 @@
+// src/components/NeuralNetworkViz/HistoryPanel.js
+
+import React, { useState } from 'react';
+import {
+  Typography,
+  Button,
+  Box,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  TextField,
+} from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Undo/redo buttons plus named snapshots of the network that can be restored at any time
+const HistoryPanel = ({ history, networkState, onRestore }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState('');
+
+  const saveSnapshot = (event) => {
+    event.preventDefault();
+    const name = snapshotName.trim() || `Snapshot ${snapshots.length + 1}`;
+    setSnapshots((prev) => [
+      ...prev.filter((snapshot) => snapshot.name !== name),
+      { name, state: networkState, savedAt: new Date() },
+    ]);
+    setSnapshotName('');
+  };
+
+  const deleteSnapshot = (name) => {
+    setSnapshots((prev) => prev.filter((snapshot) => snapshot.name !== name));
+  };
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        History and Snapshots
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Every change can be undone with <strong>Ctrl+Z</strong> and redone with <strong>Ctrl+Shift+Z</strong> (⌘ on a Mac). Dragging a slider counts as a single change, and so does a whole training run. To come back to a configuration later, save it as a named snapshot.
+      </Typography>
+      <Box display="flex" flexWrap="wrap" alignItems="center" gap={2}>
+        <Button
+          variant="outlined"
+          onClick={history.undo}
+          disabled={!history.canUndo}
+          startIcon={<UndoIcon />}
+        >
+          Undo
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={history.redo}
+          disabled={!history.canRedo}
+          startIcon={<RedoIcon />}
+        >
+          Redo
+        </Button>
+        <Box component="form" display="flex" gap={1} onSubmit={saveSnapshot}>
+          <TextField
+            size="small"
+            label="Snapshot name"
+            value={snapshotName}
+            onChange={(event) => setSnapshotName(event.target.value)}
+          />
+          <Button type="submit" variant="contained" color="primary">
+            Save Snapshot
+          </Button>
+        </Box>
+      </Box>
+      {snapshots.length > 0 && (
+        <List dense>
+          {snapshots.map(({ name, state, savedAt }) => (
+            <ListItem
+              key={name}
+              secondaryAction={
+                <IconButton edge="end" aria-label={`Delete snapshot ${name}`} onClick={() => deleteSnapshot(name)}>
+                  <DeleteIcon />
+                </IconButton>
+              }
+            >
+              <ListItemText
+                primary={name}
+                secondary={`${state.architecture.map((layer) => layer.size).join('-')} network, saved at ${savedAt.toLocaleTimeString()}`}
+              />
+              <Button size="small" onClick={() => onRestore(state)} sx={{ mr: 2 }}>
+                Restore
+              </Button>
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,164 @@
+// src/components/NeuralNetworkViz/InputSweepChart.js
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Box, ToggleButton, ToggleButtonGroup, Typography, useTheme } from '@mui/material';
+import { styled } from '@mui/system';
+import { getLayerNodes, sweepInput } from '../../engine';
+import { SERIES_COLORS } from './colors';
+
+const ChartCanvas = styled('canvas')(({ theme }) => ({
+  width: '100%',
+  maxWidth: '480px',
+  height: 'auto',
+  display: 'block',
+  border: `1px solid ${theme.palette.divider}`,
+  borderRadius: '4px',
+}));
+
+const SWEEP_STEPS = 101;
+
+// Every hidden and output neuron's activation while one input sweeps from 0 to 1
+const InputSweepChart = ({ architecture, weights, biases, inputs }) => {
+  const canvasRef = useRef(null);
+  const { palette } = useTheme();
+  const [selectedInput, setSelectedInput] = useState(null);
+
+  const layers = useMemo(() => getLayerNodes(architecture), [architecture]);
+  const inputIds = layers[0];
+  const neuronIds = useMemo(() => layers.slice(1).flat(), [layers]);
+  const inputId = inputIds.includes(selectedInput) ? selectedInput : inputIds[0];
+  const fixedIds = inputIds.filter((id) => id !== inputId);
+
+  const points = useMemo(
+    () => sweepInput(architecture, weights, biases, inputs, inputId, SWEEP_STEPS),
+    [architecture, weights, biases, inputs, inputId]
+  );
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    const logicalWidth = 480;
+    const logicalHeight = 260;
+    canvas.width = logicalWidth * devicePixelRatio;
+    canvas.height = logicalHeight * devicePixelRatio;
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.clearRect(0, 0, logicalWidth, logicalHeight);
+
+    // Always show 0 to 1, widened for activations outside it
+    const values = points.flatMap(({ activations }) => neuronIds.map((id) => activations[id]));
+    const yMin = Math.min(0, ...values);
+    const yMax = Math.max(1, ...values);
+    const plot = { left: 45, right: logicalWidth - 15, top: 15, bottom: logicalHeight - 35 };
+    const toX = (x) => plot.left + x * (plot.right - plot.left);
+    const toY = (y) => plot.bottom - ((y - yMin) / (yMax - yMin)) * (plot.bottom - plot.top);
+
+    // Axes, and the 0.5 threshold
+    ctx.strokeStyle = palette.text.secondary;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, plot.top);
+    ctx.lineTo(plot.left, plot.bottom);
+    ctx.lineTo(plot.right, plot.bottom);
+    ctx.stroke();
+    ctx.strokeStyle = palette.divider;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(plot.left, toY(0.5));
+    ctx.lineTo(plot.right, toY(0.5));
+    ctx.stroke();
+
+    // The input's current slider value
+    ctx.strokeStyle = palette.text.primary;
+    ctx.beginPath();
+    ctx.moveTo(toX(inputs[inputId]), plot.top);
+    ctx.lineTo(toX(inputs[inputId]), plot.bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = palette.text.secondary;
+    ctx.font = '12px "Open Sans", sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(yMax.toFixed(2), plot.left - 6, plot.top);
+    ctx.fillText('0.50', plot.left - 6, toY(0.5));
+    ctx.fillText(yMin.toFixed(2), plot.left - 6, plot.bottom);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('0', plot.left, plot.bottom + 6);
+    ctx.fillText(`Input ${inputId}`, (plot.left + plot.right) / 2, plot.bottom + 6);
+    ctx.fillText('1', plot.right, plot.bottom + 6);
+
+    // One line per neuron, labelled at its right-hand end
+    neuronIds.forEach((id, index) => {
+      const color = SERIES_COLORS[index % SERIES_COLORS.length];
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      points.forEach(({ value, activations }, pointIndex) => {
+        if (pointIndex === 0) {
+          ctx.moveTo(toX(value), toY(activations[id]));
+        } else {
+          ctx.lineTo(toX(value), toY(activations[id]));
+        }
+      });
+      ctx.stroke();
+    });
+  }, [points, neuronIds, inputs, inputId, palette]);
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Input Sweep: Watching Every Neuron
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Each line is one neuron's activation as Input {inputId} slides from 0 to 1
+        {fixedIds.length > 0 && `, with ${fixedIds.map((id) => `Input ${id}`).join(', ')} held at the current slider values`}.
+        The dashed vertical line marks where Input {inputId} is now and the dashed horizontal line is 0.5. Watch
+        where each hidden neuron switches on, and how the output combines them.
+      </Typography>
+      {inputIds.length > 1 && (
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={inputId}
+          onChange={(event, value) => value && setSelectedInput(value)}
+          aria-label="Input to sweep"
+          sx={{ mb: 2 }}
+        >
+          {inputIds.map((id) => (
+            <ToggleButton key={id} value={id}>
+              Sweep {id}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      )}
+      <ChartCanvas
+        ref={canvasRef}
+        width={480}
+        height={260}
+        role="img"
+        aria-label={`Neuron activations as Input ${inputId} sweeps from 0 to 1`}
+      />
+      <Box component="ul" display="flex" flexWrap="wrap" gap={2} pl={0} sx={{ listStyle: 'none' }}>
+        {neuronIds.map((id, index) => (
+          <Box component="li" key={id} display="flex" alignItems="center" gap={0.5}>
+            <Box
+              component="span"
+              sx={{ width: 16, height: 3, backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }}
+            />
+            <Typography variant="caption">
+              {id}: {points[0].activations[id].toFixed(2)} to {points[points.length - 1].activations[id].toFixed(2)}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default InputSweepChart;
@@ -0,0 +1,98 @@
+// src/components/NeuralNetworkViz/LossChart.js
+
+import React, { useEffect, useRef } from 'react';
+import { useTheme } from '@mui/material';
+import { styled } from '@mui/system';
+
+const ChartCanvas = styled('canvas')(({ theme }) => ({
+  width: '100%',
+  maxWidth: '400px',
+  height: 'auto',
+  display: 'block',
+  border: `1px solid ${theme.palette.divider}`,
+  borderRadius: '4px',
+}));
+
+const LossChart = ({ history }) => {
+  const canvasRef = useRef(null);
+  const { palette } = useTheme();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    const logicalWidth = 400;
+    const logicalHeight = 220;
+    canvas.width = logicalWidth * devicePixelRatio;
+    canvas.height = logicalHeight * devicePixelRatio;
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.clearRect(0, 0, logicalWidth, logicalHeight);
+
+    const plot = { left: 50, right: logicalWidth - 15, top: 20, bottom: logicalHeight - 35 };
+    const maxLoss = Math.max(...history.map((point) => point.loss), 0.01);
+    const lastEpoch = history.length ? history[history.length - 1].epoch : 1;
+    const firstEpoch = history.length ? history[0].epoch : 0;
+    const toX = (epoch) =>
+      plot.left + ((epoch - firstEpoch) / Math.max(lastEpoch - firstEpoch, 1)) * (plot.right - plot.left);
+    const toY = (loss) => plot.bottom - (loss / maxLoss) * (plot.bottom - plot.top);
+
+    // Axes
+    ctx.strokeStyle = palette.text.secondary;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, plot.top);
+    ctx.lineTo(plot.left, plot.bottom);
+    ctx.lineTo(plot.right, plot.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = palette.text.secondary;
+    ctx.font = '12px "Open Sans", sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(maxLoss.toFixed(3), plot.left - 6, plot.top);
+    ctx.fillText('0', plot.left - 6, plot.bottom);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Epoch ${firstEpoch}`, plot.left + 20, plot.bottom + 8);
+    ctx.fillText(`${lastEpoch}`, plot.right - 10, plot.bottom + 8);
+
+    if (history.length === 0) {
+      ctx.fillText('Press play to start training', (plot.left + plot.right) / 2, logicalHeight / 2 - 20);
+      return;
+    }
+
+    // Loss curve
+    ctx.strokeStyle = palette.primary.main;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    history.forEach(({ epoch, loss }, index) => {
+      if (index === 0) {
+        ctx.moveTo(toX(epoch), toY(loss));
+      } else {
+        ctx.lineTo(toX(epoch), toY(loss));
+      }
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = palette.text.primary;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Loss: ${history[history.length - 1].loss.toFixed(4)}`, plot.right, plot.top);
+  }, [history, palette]);
+
+  return (
+    <ChartCanvas
+      ref={canvasRef}
+      width={400}
+      height={220}
+      role="img"
+      aria-label="Training loss over epochs"
+    />
+  );
+};
+
+export default LossChart;
@@ -0,0 +1,93 @@
+// src/components/NeuralNetworkViz/NetworkDescription.js
+
+import React, { useId } from 'react';
+import {
+  Accordion,
+  AccordionDetails,
+  AccordionSummary,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { getActivation, getLayerLabel, getLayerNodes } from '../../engine';
+import { describeArchitecture, getNodeLabels } from './accessibility';
+
+const f = (value) => value.toFixed(2);
+
+// Text and table version of everything the canvas shows, rendered from the same state
+const NetworkDescription = ({ architecture, connections, weights, biases, inputs, sums, activations }) => {
+  const idPrefix = useId();
+  const labels = getNodeLabels(architecture);
+  const layers = getLayerNodes(architecture);
+
+  return (
+    <Accordion variant="outlined" disableGutters sx={{ width: '100%', maxWidth: '800px', mt: 1 }}>
+      <AccordionSummary expandIcon={<ExpandMoreIcon />} aria-controls={`${idPrefix}details`} id={`${idPrefix}header`}>
+        <Typography>Text description of the network</Typography>
+      </AccordionSummary>
+      <AccordionDetails>
+        <Typography variant="body2" paragraph>
+          The network has {describeArchitecture(architecture)}.
+        </Typography>
+        <Table size="small" aria-label="Neurons">
+          <TableHead>
+            <TableRow>
+              <TableCell>Neuron</TableCell>
+              <TableCell>Layer</TableCell>
+              <TableCell align="right">Bias</TableCell>
+              <TableCell align="right">Weighted sum</TableCell>
+              <TableCell align="right">Activation</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {layers.flatMap((ids, layerIndex) =>
+              ids.map((id) => (
+                <TableRow key={id}>
+                  <TableCell component="th" scope="row">
+                    {labels[id]}
+                  </TableCell>
+                  <TableCell>
+                    {getLayerLabel(architecture, layerIndex)}
+                    {layerIndex > 0 && ` (${getActivation(architecture[layerIndex].activation).label})`}
+                  </TableCell>
+                  <TableCell align="right">{layerIndex > 0 ? f(biases[id]) : '—'}</TableCell>
+                  <TableCell align="right">{layerIndex > 0 ? f(sums[id]) : '—'}</TableCell>
+                  <TableCell align="right">{f(layerIndex > 0 ? activations[id] : inputs[id])}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        <Table size="small" aria-label="Connections" sx={{ mt: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Connection</TableCell>
+              <TableCell align="right">Weight</TableCell>
+              <TableCell align="right">Contribution (value × weight)</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {connections.map(({ key, from, to }) => {
+              const value = from in inputs ? inputs[from] : activations[from];
+              return (
+                <TableRow key={key}>
+                  <TableCell component="th" scope="row">
+                    {labels[from]} to {labels[to]}
+                  </TableCell>
+                  <TableCell align="right">{f(weights[key])}</TableCell>
+                  <TableCell align="right">{f(value * weights[key])}</TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </AccordionDetails>
+    </Accordion>
+  );
+};
+
+export default NetworkDescription;
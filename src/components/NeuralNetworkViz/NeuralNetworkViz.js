@@ -1,87 +1,102 @@
 // src/components/NeuralNetworkViz/NeuralNetworkViz.js
 
-import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import React, { useEffect, useId, useRef, useState, useCallback, useMemo } from 'react';
 import {
+  Alert,
+  Link,
   Card,
   CardContent,
   CardHeader,
   Typography,
-  Slider,
   Button,
   Box,
-  createTheme,
-  ThemeProvider
+  ButtonGroup,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  ThemeProvider,
+  FormControlLabel,
+  IconButton,
+  Switch,
+  useMediaQuery,
+  useTheme
 } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import FitScreenIcon from '@mui/icons-material/FitScreen';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import ZoomInIcon from '@mui/icons-material/ZoomIn';
+import ZoomOutIcon from '@mui/icons-material/ZoomOut';
+import RemoveIcon from '@mui/icons-material/Remove';
 import { styled } from '@mui/system';
 import Draggable from 'react-draggable';
+import { Tooltip } from 'react-tooltip';
 import { debounce } from 'lodash';
-
-// Create a custom MUI theme for better typography and colors
-const theme = createTheme({
-  palette: {
-    primary: {
-      main: '#00796b', // Teal
-    },
-    text: {
-      primary: '#333333', // Darker text for better contrast
-      secondary: '#555555',
-    },
-    background: {
-      default: '#f9f9f9',
-      paper: '#ffffff',
-    },
-  },
-  typography: {
-    fontFamily: 'Open Sans, sans-serif',
-    body1: {
-      fontSize: '1.1rem',
-      lineHeight: 1.6,
-    },
-    body2: {
-      fontSize: '1rem',
-      lineHeight: 1.5,
-    },
-    h4: {
-      fontSize: '2rem',
-      fontWeight: 700,
-      fontFamily: 'Open Sans, sans-serif',
-    },
-    h5: {
-      fontSize: '1.4rem',
-      fontWeight: 600,
-      fontFamily: 'Open Sans, sans-serif',
-    },
-    caption: {
-      fontSize: '0.9rem',
-    },
-  },
-});
-
-// Utility function: Sigmoid activation
-const sigmoid = (x) => 1 / (1 + Math.exp(-x));
-
-// Improved color scales with slightly more appealing tints
-const getWeightColor = (weight) => {
-  const intensity = Math.min(Math.abs(weight), 1);
-  if (weight > 0) {
-    // Green gradient for positive weights
-    return `rgba(0, ${150 + 105 * intensity}, 0, ${intensity})`;
-  } else if (weight < 0) {
-    // Red gradient for negative weights
-    return `rgba(${150 + 105 * intensity}, 0, 0, ${intensity})`;
-  }
-  return `rgba(100, 100, 100, 0.5)`;
-};
-
-const getActivationColor = (activation) => {
-  // Activation in [0,1], map to gradient: pale yellow (#fff9c4) to deep orange (#ff9800)
-  const startColor = { r: 255, g: 249, b: 196 }; // a lighter, more appealing pale yellow
-  const endColor = { r: 255, g: 152, b: 0 };     // #ff9800 (a nice orange)
-  const r = Math.round(startColor.r + (endColor.r - startColor.r) * activation);
-  const g = Math.round(startColor.g + (endColor.g - startColor.g) * activation);
-  const b = Math.round(startColor.b + (endColor.b - startColor.b) * activation);
-  return `rgb(${r}, ${g}, ${b})`;
-};
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import defaultTheme from '../../theme';
+import ActivationPlot from './ActivationPlot';
+import {
+  DEFAULT_ARCHITECTURE,
+  MAX_LAYER_SIZE,
+  MAX_HIDDEN_LAYERS,
+  DEFAULT_ACTIVATION,
+  NETWORK_URL_PARAM,
+  getActivation,
+  getLayerActivations,
+  getLayerLabel,
+  getLayerNodes,
+  getConnections,
+  buildInputs,
+  resizeNetwork,
+  DEFAULT_INITIALIZATION,
+  initializeParameters,
+  randomSeed,
+  forwardPassWithSums,
+  serializeNetwork,
+  parseNetworkJson,
+  encodeNetworkToUrl,
+  decodeNetworkFromUrl,
+  computeSensitivity,
+} from '../../engine';
+import TrainingPanel from './TrainingPanel';
+import DecisionBoundary from './DecisionBoundary';
+import DatasetPanel from './DatasetPanel';
+import TruthTable from './TruthTable';
+import InputSweepChart from './InputSweepChart';
+import SensitivityPanel from './SensitivityPanel';
+import ClassificationPanel from './ClassificationPanel';
+import ParameterControl from './ParameterControl';
+import ParameterSettings from './ParameterSettings';
+import StepControls from './StepControls';
+import { buildPassSteps } from './passSteps';
+import useNetworkHistory from './useNetworkHistory';
+import HistoryPanel from './HistoryPanel';
+import { layoutNetwork, hitTestNetwork } from './layout';
+import { buildEdgeLayer, buildNodeLayer, buildOverlayLayer, buildPulseLayer } from './networkScene';
+import {
+  fitView,
+  getInterimTransform,
+  getViewport,
+  paintLayer,
+  toLayoutPoint,
+  zoomView,
+} from './networkRenderer';
+import { downloadBlob } from './download';
+import ExportMenu from './ExportMenu';
+import PresetsMenu from '../Presets/PresetsMenu';
+import { readSession, writeSession } from '../Presets/presetStorage';
+import { buildTfjsModelZip, readTfjsModelFiles } from './tfjsFiles';
+import { getActivationColor, getColorNames, getWeightColor, getWeightStroke } from './colors';
+import NetworkDescription from './NetworkDescription';
+import {
+  describeActivationChanges,
+  describeTarget,
+  getFocusOrder,
+} from './accessibility';
+import NeuronBreakdown from './NeuronBreakdown';
+import LessonGoal from '../Lessons/LessonGoal';
+import { applyLessonLocks, createLessonNetwork, isParameterUnlocked } from '../../lessons/lessons';
 
 // Single container that switches between inline and floating mode
 const CanvasContainer = styled('div')(({ theme, isfloating }) => ({
@@ -90,10 +105,10 @@ const CanvasContainer = styled('div')(({ theme, isfloating }) => ({
   left: isfloating ? '50%' : 'auto',
   transform: isfloating ? 'translate(-50%, -50%)' : 'none',
   zIndex: isfloating ? 2000 : 'auto',
-  background: isfloating ? '#fff' : 'transparent',
-  border: isfloating ? '1px solid #ccc' : 'none',
+  background: isfloating ? theme.palette.background.paper : 'transparent',
+  border: isfloating ? `1px solid ${theme.palette.divider}` : 'none',
   borderRadius: isfloating ? '8px' : 0,
-  boxShadow: isfloating ? '0 2px 10px rgba(0,0,0,0.2)' : 'none',
+  boxShadow: isfloating ? theme.shadows[8] : 'none',
   padding: isfloating ? '1rem' : 0,
   display: 'flex',
   flexDirection: 'column',
@@ -102,18 +117,68 @@ const CanvasContainer = styled('div')(({ theme, isfloating }) => ({
   marginBottom: isfloating ? 0 : '2rem',
 }));
 
-const ResponsiveCanvas = styled('canvas')(({ theme }) => ({
+// Holds the stacked layer canvases and takes all pointer and keyboard input for them
+const DiagramFrame = styled('div')(({ theme }) => ({
+  position: 'relative',
   width: '100%',
   maxWidth: '800px',
-  height: 'auto',
-  display: 'block',
   marginTop: '1rem',
+  overflow: 'hidden',
+  touchAction: 'none',
+  '&:focus-visible': {
+    outline: `3px solid ${theme.network.highlight}`,
+    outlineOffset: '2px',
+  },
+}));
+
+// The bottom layer sets the frame's size; the others sit on top of it
+const LayerCanvas = styled('canvas', { shouldForwardProp: (prop) => prop !== 'stacked' })(({ stacked }) => ({
+  width: '100%',
+  height: stacked ? '100%' : 'auto',
+  display: 'block',
+  position: stacked ? 'absolute' : 'static',
+  top: 0,
+  left: 0,
+  transformOrigin: '0 0',
 }));
 
+// Read by screen readers but not shown
+const VisuallyHidden = styled('div')(() => ({
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: 0,
+  border: 0,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+}));
+
+// Starting slider ranges, shared with dragging on the canvas; each group's range can be changed
+const DEFAULT_PARAMETER_RANGES = {
+  input: { min: 0, max: 1 },
+  weight: { min: -1, max: 1 },
+  bias: { min: -2, max: 2 },
+};
+
+// Dragging this many logical pixels on the canvas sweeps a parameter's whole range
+const DRAG_DISTANCE_FOR_FULL_RANGE = 200;
+// A press that moves less than this is a click rather than a drag
+const CLICK_TOLERANCE = 3;
+// Arrow keys change the focused parameter by this much, Page Up/Down by ten times as much
+const KEYBOARD_STEP = 0.05;
+// Wait for changes to settle before announcing them, so a drag isn't read out step by step
+const ANNOUNCEMENT_DELAY = 600;
+// Each zoom button press or +/- key zooms by this factor
+const ZOOM_STEP = 1.25;
+// Repaint the layers at the new view once panning or zooming pauses for this long
+const VIEW_SETTLE_DELAY = 150;
+
 const HandleLabel = styled('div')(({ theme }) => ({
   marginBottom: '0.5rem',
   fontSize: '14px',
-  color: '#333',
+  color: theme.palette.text.primary,
   cursor: 'grab',
   userSelect: 'none',
 }));
@@ -132,69 +197,209 @@ const LegendItem = styled('div')(({ theme }) => ({
   marginRight: '1rem',
 }));
 
-const ColorBox = styled('span')(({ color }) => ({
-  width: '20px',
+// A short stretch of connection, drawn the way the canvas draws a weight
+const WeightSwatch = ({ weight, palette }) => {
+  const { width, dash } = getWeightStroke(weight);
+  return (
+    <svg width="28" height="10" aria-hidden="true" style={{ marginRight: '0.5rem' }}>
+      <line
+        x1="0"
+        y1="5"
+        x2="28"
+        y2="5"
+        stroke={getWeightColor(weight, palette)}
+        strokeWidth={width}
+        strokeDasharray={dash ? dash.join(' ') : undefined}
+      />
+    </svg>
+  );
+};
+
+const ActivationSwatch = styled('span')(({ theme }) => ({
+  width: '40px',
   height: '10px',
-  backgroundColor: color,
+  background: `linear-gradient(to right, ${getActivationColor(0, theme.network.palette)}, ${getActivationColor(1, theme.network.palette)})`,
+  border: `1px solid ${theme.palette.divider}`,
   display: 'inline-block',
   marginRight: '0.5rem',
 }));
 
-const NeuralNetworkViz = () => {
-  const canvasRef = useRef(null);
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Network encoded in a shared link, falling back to the stored session when there is one and then
+// to the defaults (or the lesson's starting network). A lesson only accepts links to networks with
+// its own architecture, and only takes the parameters it unlocks from them.
+const getInitialNetwork = (searchParams, lesson, persistSession) => {
+  const defaults = lesson
+    ? createLessonNetwork(lesson)
+    : {
+      architecture: DEFAULT_ARCHITECTURE,
+      ...initializeParameters(DEFAULT_ARCHITECTURE, DEFAULT_INITIALIZATION),
+      inputs: buildInputs(DEFAULT_ARCHITECTURE),
+    };
+  const encoded = searchParams.get(NETWORK_URL_PARAM);
+  if (!encoded) return (persistSession && readSession()) || { state: defaults };
+  const { state, error } = decodeNetworkFromUrl(encoded);
+  if (state && lesson && JSON.stringify(state.architecture) !== JSON.stringify(lesson.architecture)) {
+    return { state: defaults, error: 'The shared network does not belong to this lesson' };
+  }
+  if (!state) return { state: defaults, error: `Could not load the shared network: ${error}` };
+  return { state: lesson ? applyLessonLocks(lesson, state) : state };
+};
+
+// Ranges widened to whole numbers covering every parameter of a network, so none of its sliders
+// rests at an end. Groups left out keep their ranges.
+const fitRangesToNetwork = (ranges, { inputs = {}, weights = {}, biases = {} }) => {
+  const fit = (range, values) =>
+    values.length === 0
+      ? range
+      : {
+          min: Math.min(range.min, Math.floor(Math.min(...values))),
+          max: Math.max(range.max, Math.ceil(Math.max(...values))),
+        };
+  return {
+    input: fit(ranges.input, Object.values(inputs)),
+    weight: fit(ranges.weight, Object.values(weights)),
+    bias: fit(ranges.bias, Object.values(biases)),
+  };
+};
+
+// A value edited on the canvas, rounded and kept within `range`, which stretches to the value it
+// started from so a parameter typed in beyond the range isn't snapped back to its end
+const clampToRange = (value, { min, max }, start) =>
+  Math.round(Math.min(Math.max(max, start), Math.max(Math.min(min, start), value)) * 100) / 100;
+
+// Whether two network states hold the same architecture and parameter maps
+const isSameNetwork = (a, b) =>
+  a.architecture === b.architecture && a.weights === b.weights && a.biases === b.biases && a.inputs === b.inputs;
+
+// With a `lesson`, the explorer starts from the lesson's network, locks every slider the
+// lesson doesn't unlock, hides the controls that would bypass those locks and checks the goal.
+// With a `value` ({ architecture, weights, biases, inputs }) it shows that network instead and
+// reports every change to `onChange`; a new `value` replaces the network. `showText` and
+// `showControls` hide the explanatory sections and everything below the diagram, and `framed`
+// the card around it, for embedding just the network in another page. With `persistSession` the
+// network, slider ranges and initialization settings are kept in localStorage and restored on the
+// next visit, unless a shared link says otherwise.
+const NeuralNetworkViz = ({
+  lesson = null,
+  value = null,
+  onChange,
+  showText = true,
+  showControls = true,
+  framed = true,
+  persistSession = false,
+}) => {
+  // Follow the app's theme (dark mode, palette) when there is one, otherwise use the default
+  const outerTheme = useTheme();
+  const activeTheme = outerTheme.network ? outerTheme : defaultTheme;
+  const networkColors = activeTheme.network;
+  const colorNames = getColorNames(networkColors.palette);
+  // Stacked canvases: connections, signal-flow pulses, neurons, and hover/focus highlights, each
+  // repainted only when its own inputs change
+  const frameRef = useRef(null);
+  const edgeCanvasRef = useRef(null);
+  const pulseCanvasRef = useRef(null);
+  const nodeCanvasRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
   const containerRef = useRef(null);
+  // Passed to Draggable so it doesn't fall back to the deprecated findDOMNode
+  const draggableRef = useRef(null);
+
+  // Prefix for element ids, so several explorers on one page don't share them
+  const idPrefix = useId();
+  const sliderId = (kind, key) => `${idPrefix}${kind}-slider-${key}`;
+
+  const fileInputRef = useRef(null);
+  const tfjsInputRef = useRef(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [initialNetwork] = useState(() =>
+    value ? { state: value } : getInitialNetwork(searchParams, lesson, persistSession && !lesson)
+  );
+
+  const [architecture, setArchitecture] = useState(initialNetwork.state.architecture);
+  const [weights, setWeights] = useState(initialNetwork.state.weights);
+  const [biases, setBiases] = useState(initialNetwork.state.biases);
+  const [inputs, setInputs] = useState(initialNetwork.state.inputs);
+  const [fileMessage, setFileMessage] = useState(
+    initialNetwork.error ? { severity: 'error', text: initialNetwork.error } : null
+  );
+
+  const connections = useMemo(() => getConnections(architecture), [architecture]);
+  const outputLayerIndex = architecture.length - 1;
+  const outputIds = useMemo(() => getLayerNodes(architecture)[outputLayerIndex], [architecture, outputLayerIndex]);
+  const isLocked = (kind, key) => lesson !== null && !isParameterUnlocked(lesson, kind, key);
+
+  // Slider range of each parameter group, and the scheme resetting and randomizing draw weights from
+  const [ranges, setRanges] = useState(initialNetwork.ranges ?? DEFAULT_PARAMETER_RANGES);
+  const [initialization, setInitialization] = useState(initialNetwork.initialization ?? DEFAULT_INITIALIZATION);
 
-  const [weights, setWeights] = useState({
-    'A->H1': 0.5,
-    'A->H2': 0.5,
-    'B->H1': 0.5,
-    'B->H2': 0.5,
-    'H1->O': 0.5,
-    'H2->O': 0.5,
-  });
-
-  const [biases, setBiases] = useState({
-    H1: 0,
-    H2: 0,
-    O: 0,
-  });
-
-  const [inputs, setInputs] = useState({
-    A: 0,
-    B: 0,
-  });
-
-  const [isFloating, setIsFloating] = useState(false);
+  // Title and explanation of the last preset loaded, shown under the diagram
+  const [presetNote, setPresetNote] = useState(null);
+
+  // Step mode walks through one forward and backward pass against these targets
+  const [stepMode, setStepMode] = useState(false);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [stepTargets, setStepTargets] = useState({});
+
+  // Neuron or connection under the pointer, and the drag in progress on the canvas
+  const [hoverTarget, setHoverTarget] = useState(null);
+  const [pointerPosition, setPointerPosition] = useState({ x: 0, y: 0 });
+  const canvasDragRef = useRef(null);
+  const [selectedNeuron, setSelectedNeuron] = useState(null);
+
+  // Keyboard focus within the canvas, and the message for screen readers
+  const focusOrder = useMemo(() => getFocusOrder(architecture), [architecture]);
+  const [focusIndex, setFocusIndex] = useState(0);
+  const [isCanvasFocused, setIsCanvasFocused] = useState(false);
+  const focusTarget = isCanvasFocused ? focusOrder[Math.min(focusIndex, focusOrder.length - 1)] : null;
+  const [announcement, setAnnouncement] = useState('');
+
+  // Pan and zoom. The layers are painted at `view`; during a gesture `liveViewRef` runs ahead of it
+  // and the painted layers are moved with a CSS transform until the gesture pauses.
+  const layout = useMemo(() => layoutNetwork(architecture), [architecture]);
+  const viewport = useMemo(() => getViewport(layout), [layout]);
+  const [viewState, setViewState] = useState(() => ({ layout, view: fitView(layout) }));
+  // A new architecture starts from the fitted view
+  const view = useMemo(
+    () => (viewState.layout === layout ? viewState.view : fitView(layout, viewport)),
+    [viewState, layout, viewport]
+  );
+  const liveViewRef = useRef(view);
+  const panRef = useRef(null);
+
+  // Signal-flow animation: pulses travel along the connections, one layer after another.
+  // With a reduced-motion preference it starts paused.
+  const prefersReducedMotion = useMediaQuery('(prefers-reduced-motion: reduce)');
+  const [signalFlow, setSignalFlow] = useState(false);
+  const [signalFlowPaused, setSignalFlowPaused] = useState(false);
+  const signalElapsedRef = useRef(0);
+
+  // Sensitivity of one output, optionally shown as glows behind the edges
+  const [selectedSensitivityOutput, setSensitivityOutput] = useState(null);
+  const [showSensitivity, setShowSensitivity] = useState(false);
+
+  // Without the controls there is nothing to scroll past, so the canvas never floats
+  const [scrolledAway, setScrolledAway] = useState(false);
+  const isFloating = scrolledAway && showControls;
   const [dragPosition, setDragPosition] = useState({ x: 0, y: 0 });
 
-  const calculateActivations = useCallback(() => {
-    const { A, B } = inputs;
-    const {
-      'A->H1': wAH1,
-      'A->H2': wAH2,
-      'B->H1': wBH1,
-      'B->H2': wBH2,
-      'H1->O': wH1O,
-      'H2->O': wH2O,
-    } = weights;
-    const { H1: bH1, H2: bH2, O: bO } = biases;
-
-    const h1_input = A * wAH1 + B * wBH1 + bH1;
-    const h2_input = A * wAH2 + B * wBH2 + bH2;
-    const h1_activation = sigmoid(h1_input);
-    const h2_activation = sigmoid(h2_input);
-
-    const o_input = h1_activation * wH1O + h2_activation * wH2O + bO;
-    const o_activation = sigmoid(o_input);
-
-    return {
-      H1: h1_activation,
-      H2: h2_activation,
-      O: o_activation,
-    };
-  }, [inputs, weights, biases]);
+  const calculateActivations = useCallback(
+    () => forwardPassWithSums(architecture, weights, biases, inputs),
+    [architecture, inputs, weights, biases]
+  );
 
-  const activations = useMemo(() => calculateActivations(), [calculateActivations]);
+  const { activations, sums } = useMemo(() => calculateActivations(), [calculateActivations]);
+
+  const stepTargetValues = useMemo(
+    () => Object.fromEntries(outputIds.map((id) => [id, stepTargets[id] ?? 1])),
+    [outputIds, stepTargets]
+  );
+  const passSteps = useMemo(
+    () => (stepMode ? buildPassSteps(architecture, weights, biases, inputs, stepTargetValues) : []),
+    [stepMode, architecture, weights, biases, inputs, stepTargetValues]
+  );
+  const currentStep = stepMode ? passSteps[Math.min(stepIndex, passSteps.length - 1)] : null;
 
   // Debounced handlers for sliders
   const debouncedSetInputs = useMemo(
@@ -218,118 +423,426 @@ const NeuralNetworkViz = () => {
     []
   );
 
-  const drawNetwork = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return;
-
-    const devicePixelRatio = window.devicePixelRatio || 1;
-    const logicalWidth = 800;
-    const logicalHeight = 500;
-    canvas.width = logicalWidth * devicePixelRatio;
-    canvas.height = logicalHeight * devicePixelRatio;
-    ctx.scale(devicePixelRatio, devicePixelRatio);
-
-    ctx.clearRect(0, 0, logicalWidth, logicalHeight);
-
-    const { A, B } = inputs;
-    const nodeRadius = 30;
-    const nodes = {
-      A: { x: 150, y: 150, label: 'Input A' },
-      B: { x: 150, y: 350, label: 'Input B' },
-      H1: { x: 400, y: 150, label: 'Hidden Neuron 1' },
-      H2: { x: 400, y: 350, label: 'Hidden Neuron 2' },
-      O: { x: 650, y: 250, label: 'Output Neuron' },
+  // A typed value replaces the parameter at once, as its own undo step
+  const enterParameter = (kind, key, value) => {
+    const { set, cancel } = {
+      input: { set: setInputs, cancel: debouncedSetInputs.cancel },
+      weight: { set: setWeights, cancel: debouncedSetWeights.cancel },
+      bias: { set: setBiases, cancel: debouncedSetBiases.cancel },
+    }[kind];
+    recordHistory();
+    cancel();
+    set((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const loadNetworkState = (state) => {
+    debouncedSetInputs.cancel();
+    debouncedSetWeights.cancel();
+    debouncedSetBiases.cancel();
+    setArchitecture(state.architecture);
+    setWeights(state.weights);
+    setBiases(state.biases);
+    setInputs(state.inputs);
+  };
+
+  // Every slider, for sweeping one of them in an exported frame sequence
+  const sweepParameters = useMemo(
+    () => [
+      ...Object.keys(inputs).map((key) => ({ kind: 'input', key, label: `Input ${key}`, ...ranges.input })),
+      ...connections.map(({ key }) => ({ kind: 'weight', key, label: `${key} Weight`, ...ranges.weight })),
+      ...Object.keys(biases).map((key) => ({ kind: 'bias', key, label: `${key} Bias`, ...ranges.bias })),
+    ],
+    [inputs, connections, biases, ranges]
+  );
+
+  // Undo/redo over every change to the network's architecture and parameters, and to the
+  // initialization settings so undoing a randomization also brings back the previous seed
+  const networkState = useMemo(
+    () => ({ architecture, weights, biases, inputs }),
+    [architecture, weights, biases, inputs]
+  );
+  const historyState = useMemo(() => ({ ...networkState, initialization }), [networkState, initialization]);
+  const restoreHistoryState = ({ initialization: savedInitialization, ...state }) => {
+    loadNetworkState(state);
+    setInitialization(savedInitialization);
+  };
+  const history = useNetworkHistory(historyState, restoreHistoryState);
+  const { record: recordHistory, endGroup: endHistoryGroup, undo, redo } = history;
+
+  // Controlled use: load each new `value`, and report changes that didn't come from it
+  const reportedNetworkRef = useRef(initialNetwork.state);
+  const loadNetworkStateRef = useRef(loadNetworkState);
+  loadNetworkStateRef.current = loadNetworkState;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    if (!value || isSameNetwork(value, reportedNetworkRef.current)) return;
+    reportedNetworkRef.current = value;
+    loadNetworkStateRef.current(value);
+    setRanges((prev) => fitRangesToNetwork(prev, value));
+  }, [value]);
+
+  useEffect(() => {
+    if (isSameNetwork(networkState, reportedNetworkRef.current)) return;
+    reportedNetworkRef.current = networkState;
+    onChangeRef.current?.(networkState);
+  }, [networkState]);
+
+  const isPersisted = persistSession && !lesson && !value;
+  useEffect(() => {
+    if (isPersisted) writeSession({ network: networkState, ranges, initialization });
+  }, [isPersisted, networkState, ranges, initialization]);
+
+  // Ctrl+Z and Ctrl+Y act on the explorer holding the focus. With nothing focused they go to an
+  // uncontrolled explorer; a controlled one sits on a page with other things to undo.
+  const rootRef = useRef(null);
+  const isControlled = Boolean(value);
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const target = event.target;
+      const isInside = target instanceof Node && rootRef.current?.contains(target);
+      const nothingFocused = !(target instanceof Element) || target === document.body;
+      if (!isInside && !(nothingFocused && !isControlled)) return;
+      // Leave text fields to their own undo behaviour
+      if (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && target.type !== 'range')) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
     };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, isControlled]);
 
-    // Draw layer labels with increased prominence
-    ctx.fillStyle = '#333';
-    ctx.font = 'bold 20px "Open Sans", sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('Input Layer', nodes.A.x, 40);
-    ctx.fillText('Hidden Layer', nodes.H1.x, 40);
-    ctx.fillText('Output Layer', nodes.O.x, 40);
-
-    const {
-      'A->H1': wAH1,
-      'A->H2': wAH2,
-      'B->H1': wBH1,
-      'B->H2': wBH2,
-      'H1->O': wH1O,
-      'H2->O': wH2O,
-    } = weights;
-
-    const connections = [
-      { start: nodes.A, end: nodes.H1, weight: wAH1 },
-      { start: nodes.A, end: nodes.H2, weight: wAH2 },
-      { start: nodes.B, end: nodes.H1, weight: wBH1 },
-      { start: nodes.B, end: nodes.H2, weight: wBH2 },
-      { start: nodes.H1, end: nodes.O, weight: wH1O },
-      { start: nodes.H2, end: nodes.O, weight: wH2O },
-    ];
-
-    // Draw connections
-    ctx.lineWidth = 3;
-    ctx.font = '12px "Open Sans", sans-serif';
-    connections.forEach(({ start, end, weight }) => {
-      ctx.beginPath();
-      ctx.strokeStyle = getWeightColor(weight);
-      ctx.moveTo(start.x + nodeRadius, start.y);
-      ctx.lineTo(end.x - nodeRadius, end.y);
-      ctx.stroke();
-
-      const midX = (start.x + end.x) / 2;
-      const midY = (start.y + end.y) / 2;
-      ctx.fillStyle = '#333';
-      ctx.textAlign = 'center';
-      ctx.fillText(weight.toFixed(2), midX, midY - 10);
+  const sensitivityOutput = outputIds.includes(selectedSensitivityOutput) ? selectedSensitivityOutput : outputIds[0];
+  // Each edge glows in proportion to the largest sensitivity to any weight
+  const edgeGlows = useMemo(() => {
+    if (!showSensitivity) return null;
+    const { weights: gradients } = computeSensitivity(architecture, weights, biases, inputs, sensitivityOutput);
+    const largest = Math.max(...Object.values(gradients).map(Math.abs));
+    return Object.fromEntries(Object.entries(gradients).map(([key, value]) => [key, largest ? Math.abs(value) / largest : 0]));
+  }, [showSensitivity, architecture, weights, biases, inputs, sensitivityOutput]);
+
+  const edgeItems = useMemo(
+    () => buildEdgeLayer({ architecture, weights, currentStep, edgeGlows, colors: networkColors }),
+    [architecture, weights, currentStep, edgeGlows, networkColors]
+  );
+  const nodeItems = useMemo(
+    () => buildNodeLayer({ architecture, inputs, activations, currentStep, colors: networkColors }),
+    [architecture, inputs, activations, currentStep, networkColors]
+  );
+  const overlayItems = useMemo(
+    () => buildOverlayLayer({ architecture, hoverTarget, focusTarget, colors: networkColors }),
+    [architecture, hoverTarget, focusTarget, networkColors]
+  );
+
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+  const commitView = useMemo(
+    () => debounce(() => setViewState({ layout: layoutRef.current, view: liveViewRef.current }), VIEW_SETTLE_DELAY),
+    []
+  );
+
+  useEffect(() => () => commitView.cancel(), [commitView]);
+
+  // Move the painted layers to the live view right away, and repaint them once it settles
+  const showLiveView = (nextView) => {
+    liveViewRef.current = nextView;
+    const screenScale = frameRef.current.clientWidth ? frameRef.current.clientWidth / viewport.width : 1;
+    const transform = getInterimTransform(view, nextView, screenScale);
+    [edgeCanvasRef, pulseCanvasRef, nodeCanvasRef, overlayCanvasRef].forEach(({ current }) => {
+      current.style.transform = transform;
     });
+    commitView();
+  };
+  const showLiveViewRef = useRef(showLiveView);
+  showLiveViewRef.current = showLiveView;
 
-    const nodeActivations = activations;
-    Object.entries(nodes).forEach(([key, pos]) => {
-      ctx.beginPath();
-      ctx.arc(pos.x, pos.y, nodeRadius, 0, Math.PI * 2);
-      let activation = key === 'A' || key === 'B' ? inputs[key] : nodeActivations[key];
-      ctx.fillStyle = getActivationColor(activation);
-      ctx.fill();
-      ctx.strokeStyle = '#333';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-
-      // Label above node
-      ctx.fillStyle = '#333';
-      ctx.font = '16px "Open Sans", sans-serif';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'bottom';
-      ctx.fillText(pos.label, pos.x, pos.y - nodeRadius - 10);
-
-      // Activation/value below node
-      ctx.font = '14px "Open Sans", sans-serif';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'top';
-      const labelText = (key === 'A' || key === 'B')
-        ? `Value: ${inputs[key].toFixed(2)}`
-        : `Activation: ${activation.toFixed(2)}`;
-      ctx.fillText(labelText, pos.x, pos.y + nodeRadius + 10);
+  const zoomBy = (factor) => showLiveView(zoomView(liveViewRef.current, factor, viewport.width / 2, viewport.height / 2));
+  const resetView = () => showLiveView(fitView(layout, viewport));
+
+  // Each layer repaints only when its own items or the view change
+  useEffect(() => {
+    liveViewRef.current = view;
+    [edgeCanvasRef, pulseCanvasRef, nodeCanvasRef, overlayCanvasRef].forEach(({ current }) => {
+      current.style.transform = '';
     });
-  }, [weights, biases, inputs, activations]);
+  }, [view]);
+
+  useEffect(() => {
+    paintLayer(edgeCanvasRef.current, edgeItems, { view, viewport });
+  }, [edgeItems, view, viewport]);
+
+  useEffect(() => {
+    paintLayer(nodeCanvasRef.current, nodeItems, { view, viewport });
+  }, [nodeItems, view, viewport]);
+
+  useEffect(() => {
+    paintLayer(overlayCanvasRef.current, overlayItems, { view, viewport });
+  }, [overlayItems, view, viewport]);
+
+  // New inputs send a new wave from the inputs
+  useEffect(() => {
+    signalElapsedRef.current = 0;
+  }, [inputs]);
+
+  // The pulse layer animates only while signal flow is on and playing
+  useEffect(() => {
+    const canvas = pulseCanvasRef.current;
+    const paint = () =>
+      paintLayer(
+        canvas,
+        signalFlow
+          ? buildPulseLayer({
+              architecture,
+              weights,
+              inputs,
+              activations,
+              elapsed: signalElapsedRef.current,
+              colors: networkColors,
+              layout,
+              connections,
+            })
+          : [],
+        { view, viewport }
+      );
+    paint();
+    if (!signalFlow || signalFlowPaused) return undefined;
+
+    let frame;
+    let lastTime = performance.now();
+    const tick = (time) => {
+      signalElapsedRef.current += Math.max(0, time - lastTime) / 1000;
+      lastTime = time;
+      paint();
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [signalFlow, signalFlowPaused, architecture, layout, connections, weights, inputs, activations, networkColors, view, viewport]);
+
+  // Ctrl + wheel (and trackpad pinches, which arrive as Ctrl + wheel) zooms around the pointer.
+  // Registered directly because React's wheel listener is passive and can't stop the page zooming.
+  useEffect(() => {
+    const frame = frameRef.current;
+    const handleWheel = (event) => {
+      if (!event.ctrlKey && !event.metaKey) return;
+      event.preventDefault();
+      const rect = frame.getBoundingClientRect();
+      const x = ((event.clientX - rect.left) / (rect.width || viewport.width)) * viewport.width;
+      const y = ((event.clientY - rect.top) / (rect.height || viewport.height)) * viewport.height;
+      showLiveViewRef.current(zoomView(liveViewRef.current, Math.exp(-event.deltaY * 0.002), x, y));
+    };
+    frame.addEventListener('wheel', handleWheel, { passive: false });
+    return () => frame.removeEventListener('wheel', handleWheel);
+  }, [viewport]);
+
+  // Convert a pointer event to viewport and layout coordinates and find what is under it
+  const hitTestPointer = (event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / (rect.width || viewport.width)) * viewport.width;
+    const y = ((event.clientY - rect.top) / (rect.height || viewport.height)) * viewport.height;
+    const point = toLayoutPoint(liveViewRef.current, x, y);
+    return { target: hitTestNetwork(layout, connections, point.x, point.y), x, y };
+  };
+
+  // The parameter a canvas target edits: an edge's weight, an input's value or a neuron's bias
+  const getDragParameter = (target) => {
+    if (target.type === 'edge') {
+      return { kind: 'weight', key: target.key, value: weights[target.key], set: setWeights, cancel: debouncedSetWeights.cancel };
+    }
+    if (target.id in inputs) {
+      return { kind: 'input', key: target.id, value: inputs[target.id], set: setInputs, cancel: debouncedSetInputs.cancel };
+    }
+    return { kind: 'bias', key: target.id, value: biases[target.id], set: setBiases, cancel: debouncedSetBiases.cancel };
+  };
+
+  const hoverParameter = hoverTarget && getDragParameter(hoverTarget);
+
+  // Keep the same target object while the pointer stays on it so the canvas only redraws on a change
+  const updateHover = (target, event) => {
+    setHoverTarget((prev) =>
+      prev && target && prev.type === target.type && (prev.id ?? prev.key) === (target.id ?? target.key)
+        ? prev
+        : target
+    );
+    setPointerPosition({ x: event.clientX, y: event.clientY });
+  };
+
+  const handleCanvasPointerDown = (event) => {
+    const { target, x, y } = hitTestPointer(event);
+    event.preventDefault();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    if (!target) {
+      // Dragging empty space pans the view
+      panRef.current = { startX: x, startY: y, view: liveViewRef.current };
+      return;
+    }
+    const parameter = getDragParameter(target);
+    canvasDragRef.current = {
+      ...parameter,
+      target,
+      startY: y,
+      moved: false,
+      locked: isLocked(parameter.kind, parameter.key),
+    };
+    updateHover(target, event);
+  };
+
+  const handleCanvasPointerMove = (event) => {
+    const { target, x, y } = hitTestPointer(event);
+    const pan = panRef.current;
+    if (pan) {
+      showLiveView({ ...pan.view, x: pan.view.x + x - pan.startX, y: pan.view.y + y - pan.startY });
+      return;
+    }
+    const drag = canvasDragRef.current;
+    if (drag) {
+      if (drag.locked) return;
+      if (!drag.moved) {
+        if (Math.abs(drag.startY - y) < CLICK_TOLERANCE) return;
+        // Only a real drag becomes an undo step, so clicking a neuron leaves the history alone
+        drag.moved = true;
+        drag.cancel();
+        recordHistory(`${drag.kind}:${drag.key}`);
+      }
+      // Dragging up increases the value
+      const { min, max } = ranges[drag.kind];
+      const delta = ((drag.startY - y) / DRAG_DISTANCE_FOR_FULL_RANGE) * (max - min);
+      const value = clampToRange(drag.value + delta, ranges[drag.kind], drag.value);
+      drag.set((prev) => ({ ...prev, [drag.key]: value }));
+      setPointerPosition({ x: event.clientX, y: event.clientY });
+      return;
+    }
+    updateHover(target, event);
+  };
+
+  const handleCanvasPointerUp = (event) => {
+    if (panRef.current) {
+      panRef.current = null;
+      event.currentTarget.releasePointerCapture?.(event.pointerId);
+      return;
+    }
+    const drag = canvasDragRef.current;
+    if (!drag) return;
+    canvasDragRef.current = null;
+    event.currentTarget.releasePointerCapture?.(event.pointerId);
+    if (drag.moved) {
+      endHistoryGroup();
+    } else if (drag.kind === 'bias') {
+      // Clicking a hidden or output neuron opens its computation breakdown
+      setSelectedNeuron(drag.key);
+    }
+  };
+
+  // Jump from the breakdown panel to the slider for one parameter
+  const focusParameterSlider = (kind, key) => {
+    const container = document.getElementById(sliderId(kind, key));
+    if (!container) return;
+    container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    container.querySelector('input').focus({ preventScroll: true });
+  };
+
+  const describeCanvasTarget = (target) => {
+    if (target.type === 'edge') {
+      const { from, to } = connections.find(({ key }) => key === target.key);
+      const sourceValue = inputs[from] ?? activations[from];
+      const weight = weights[target.key];
+      return `${from} → ${to} weight ${weight.toFixed(2)} · contribution ${sourceValue.toFixed(2)} × ${weight.toFixed(2)} = ${(sourceValue * weight).toFixed(2)}`;
+    }
+    if (target.id in inputs) {
+      return `Input ${target.id} value ${inputs[target.id].toFixed(2)} · drag to change`;
+    }
+    return `${target.id} pre-activation ${sums[target.id].toFixed(2)} (bias ${biases[target.id].toFixed(2)}) · activation ${activations[target.id].toFixed(2)}`;
+  };
+
+  const handleCanvasKeyDown = (event) => {
+    const target = focusOrder[Math.min(focusIndex, focusOrder.length - 1)];
+    const state = { weights, biases, inputs, sums, activations };
+    if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+      event.preventDefault();
+      const nextIndex = Math.max(0, Math.min(focusOrder.length - 1, focusIndex + (event.key === 'ArrowRight' ? 1 : -1)));
+      setFocusIndex(nextIndex);
+      setAnnouncement(describeTarget(architecture, focusOrder[nextIndex], state));
+      return;
+    }
+    const zoomKeys = { '+': ZOOM_STEP, '=': ZOOM_STEP, '-': 1 / ZOOM_STEP };
+    if (event.key in zoomKeys) {
+      event.preventDefault();
+      zoomBy(zoomKeys[event.key]);
+      return;
+    }
+    if (event.key === '0') {
+      event.preventDefault();
+      resetView();
+      return;
+    }
+    if ((event.key === 'Enter' || event.key === ' ') && target.type === 'node' && !(target.id in inputs)) {
+      event.preventDefault();
+      setSelectedNeuron(target.id);
+      return;
+    }
+    const parameter = getDragParameter(target);
+    const { min, max } = ranges[parameter.kind];
+    const changes = {
+      ArrowUp: parameter.value + KEYBOARD_STEP,
+      ArrowDown: parameter.value - KEYBOARD_STEP,
+      PageUp: parameter.value + KEYBOARD_STEP * 10,
+      PageDown: parameter.value - KEYBOARD_STEP * 10,
+      Home: min,
+      End: max,
+    };
+    if (!(event.key in changes)) return;
+    event.preventDefault();
+    const { label } = sweepParameters.find(({ kind, key }) => kind === parameter.kind && key === parameter.key);
+    if (isLocked(parameter.kind, parameter.key)) {
+      setAnnouncement(`${label} is locked in this lesson`);
+      return;
+    }
+    const value = clampToRange(changes[event.key], { min, max }, parameter.value);
+    recordHistory();
+    parameter.cancel();
+    parameter.set((prev) => ({ ...prev, [parameter.key]: value }));
+    setAnnouncement(`${label} ${value.toFixed(2)}`);
+  };
+
+  // Announce how activations changed once they settle, compared with the last announcement
+  const latestActivationsRef = useRef({ architecture, activations });
+  latestActivationsRef.current = { architecture, activations };
+  const announcedActivationsRef = useRef(activations);
+  const announceActivationChanges = useMemo(
+    () => debounce(() => {
+      const latest = latestActivationsRef.current;
+      const message = describeActivationChanges(latest.architecture, announcedActivationsRef.current, latest.activations);
+      announcedActivationsRef.current = latest.activations;
+      if (message) setAnnouncement(message);
+    }, ANNOUNCEMENT_DELAY),
+    []
+  );
 
   useEffect(() => {
-    drawNetwork();
-    const animation = requestAnimationFrame(drawNetwork);
-    return () => cancelAnimationFrame(animation);
-  }, [drawNetwork]);
+    announceActivationChanges();
+  }, [activations, announceActivationChanges]);
+
+  useEffect(() => () => announceActivationChanges.cancel(), [announceActivationChanges]);
 
   // Use IntersectionObserver to detect when canvas scrolls out of view
   useEffect(() => {
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (!entry.isIntersecting) {
-          setIsFloating(true);
+          setScrolledAway(true);
         } else {
-          setIsFloating(false);
+          setScrolledAway(false);
         }
       },
       { threshold: [1] }
@@ -347,22 +860,218 @@ const NeuralNetworkViz = () => {
   }, []);
 
   const resetAll = () => {
-    setInputs({ A: 0, B: 0 });
-    setWeights({
-      'A->H1': 0.5,
-      'A->H2': 0.5,
-      'B->H1': 0.5,
-      'B->H2': 0.5,
-      'H1->O': 0.5,
-      'H2->O': 0.5,
+    recordHistory();
+    if (lesson) {
+      loadNetworkState(createLessonNetwork(lesson));
+      return;
+    }
+    const { weights: initialWeights, biases: initialBiases } = initializeParameters(architecture, initialization);
+    setInputs(buildInputs(architecture));
+    setWeights(initialWeights);
+    setBiases(initialBiases);
+  };
+
+  // A preset replaces the whole network as one undo step, widening the slider ranges to reach its values
+  const loadPreset = ({ title, description, network }) => {
+    recordHistory();
+    loadNetworkState(network);
+    setRanges((prev) => fitRangesToNetwork(prev, network));
+    setPresetNote({ title, description });
+  };
+
+  // Weights and biases drawn with `settings`, keeping the inputs, as one undo step of their own
+  const applyInitialization = (settings) => {
+    recordHistory();
+    debouncedSetWeights.cancel();
+    debouncedSetBiases.cancel();
+    const { weights: initialWeights, biases: initialBiases } = initializeParameters(architecture, settings);
+    setInitialization(settings);
+    setWeights(initialWeights);
+    setBiases(initialBiases);
+  };
+
+  const initializeWeights = () => applyInitialization(initialization);
+
+  // A new seed, shown in the settings so the starting point can be reproduced. The constant
+  // scheme can't break symmetry, so randomizing from it switches to uniform.
+  const randomizeWeights = () =>
+    applyInitialization({
+      ...initialization,
+      scheme: initialization.scheme === 'constant' ? 'uniform' : initialization.scheme,
+      seed: randomSeed(),
     });
-    setBiases({ H1: 0, H2: 0, O: 0 });
+
+  const changeInitialization = (settings) => {
+    recordHistory();
+    setInitialization(settings);
+  };
+
+  // Rebuild the parameter maps for a new architecture, keeping the values of every neuron and
+  // connection that survives, even when adding a layer renames it
+  const updateArchitecture = (nextArchitecture) => {
+    recordHistory();
+    loadNetworkState(resizeNetwork(networkState, nextArchitecture));
+  };
+
+  const changeLayerSize = (layerIndex, delta) => {
+    const size = architecture[layerIndex].size + delta;
+    if (size < 1 || size > MAX_LAYER_SIZE) return;
+    updateArchitecture(
+      architecture.map((layer, index) => {
+        if (index !== layerIndex) return layer;
+        // Softmax over a single output is always 1, so a lone output falls back to the default
+        const activation = size === 1 && getActivation(layer.activation).layer ? DEFAULT_ACTIVATION : layer.activation;
+        return { ...layer, size, activation };
+      })
+    );
+  };
+
+  const changeLayerActivation = (layerIndex, activation) => {
+    recordHistory();
+    setArchitecture((prev) =>
+      prev.map((layer, index) => (index === layerIndex ? { ...layer, activation } : layer))
+    );
+  };
+
+  const addHiddenLayer = () => {
+    if (architecture.length - 2 >= MAX_HIDDEN_LAYERS) return;
+    const previousLayer = architecture[outputLayerIndex - 1];
+    const newLayer = {
+      size: previousLayer.size,
+      activation: previousLayer.activation ?? DEFAULT_ACTIVATION,
+    };
+    updateArchitecture([
+      ...architecture.slice(0, outputLayerIndex),
+      newLayer,
+      architecture[outputLayerIndex],
+    ]);
+  };
+
+  const removeHiddenLayer = () => {
+    if (architecture.length <= 2) return;
+    updateArchitecture([
+      ...architecture.slice(0, outputLayerIndex - 1),
+      architecture[outputLayerIndex],
+    ]);
+  };
+
+  // Parameters learned by the training panel replace the slider values directly. A training run
+  // collapses into a single undo step, ended by the panel when the run stops.
+  const applyTrainedParameters = useCallback((nextWeights, nextBiases) => {
+    recordHistory('training');
+    debouncedSetWeights.cancel();
+    debouncedSetBiases.cancel();
+    setWeights(nextWeights);
+    setBiases(nextBiases);
+    setRanges((prev) => fitRangesToNetwork(prev, { weights: nextWeights, biases: nextBiases }));
+  }, [recordHistory, debouncedSetWeights, debouncedSetBiases]);
+
+  // Show one dataset sample flowing through the network
+  const loadSampleInputs = (sampleInputs) => {
+    recordHistory();
+    debouncedSetInputs.cancel();
+    setInputs(sampleInputs);
+  };
+
+  // Keep the page URL in sync so the address bar always holds a shareable link.
+  // Debounced so dragging a slider or training doesn't flood the browser history API. A controlled
+  // explorer leaves the URL to its page, which may hold several of them.
+  const setSearchParamsRef = useRef(setSearchParams);
+  setSearchParamsRef.current = setSearchParams;
+  const syncUrl = useMemo(
+    () => debounce((state) => {
+      setSearchParamsRef.current(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          next.set(NETWORK_URL_PARAM, encodeNetworkToUrl(state));
+          return next;
+        },
+        { replace: true }
+      );
+    }, 500),
+    []
+  );
+
+  const syncsUrl = !value;
+  const hasMountedRef = useRef(false);
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    if (syncsUrl) syncUrl({ architecture, weights, biases, inputs });
+  }, [syncsUrl, syncUrl, architecture, weights, biases, inputs]);
+
+  useEffect(() => () => syncUrl.cancel(), [syncUrl]);
+
+  const exportJson = () => {
+    const json = JSON.stringify(serializeNetwork({ architecture, weights, biases, inputs }), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'neural-network.json');
+  };
+
+  const importJson = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { state, error } = parseNetworkJson(reader.result);
+      if (error) {
+        setFileMessage({ severity: 'error', text: `Could not import ${file.name}: ${error}` });
+        return;
+      }
+      recordHistory();
+      loadNetworkState(state);
+      setRanges((prev) => fitRangesToNetwork(prev, state));
+      setFileMessage({ severity: 'success', text: `Loaded ${file.name}` });
+    };
+    reader.onerror = () => {
+      setFileMessage({ severity: 'error', text: `Could not read ${file.name}` });
+    };
+    reader.readAsText(file);
+  };
+
+  const importTfjsModel = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length === 0) return;
+    const { state, name, error, layerErrors } = await readTfjsModelFiles(files);
+    if (error) {
+      setFileMessage({ severity: 'error', text: `Could not import the TensorFlow.js model: ${error}`, details: layerErrors });
+      return;
+    }
+    recordHistory();
+    loadNetworkState(state);
+    setRanges((prev) => fitRangesToNetwork(prev, state));
+    setFileMessage({ severity: 'success', text: `Loaded ${name}; its inputs start at 0` });
+  };
+
+  const exportTfjsModel = () => {
+    const { blob, error } = buildTfjsModelZip({ architecture, weights, biases });
+    if (error) {
+      setFileMessage({ severity: 'error', text: `Could not export a TensorFlow.js model: ${error}` });
+      return;
+    }
+    downloadBlob(blob, 'neural-network-tfjs.zip');
+  };
+
+  const copyShareLink = () => {
+    const encoded = encodeNetworkToUrl({ architecture, weights, biases, inputs });
+    const link = `${window.location.origin}${window.location.pathname}?${NETWORK_URL_PARAM}=${encoded}`;
+    if (!navigator.clipboard) {
+      setFileMessage({ severity: 'info', text: link });
+      return;
+    }
+    navigator.clipboard.writeText(link).then(
+      () => setFileMessage({ severity: 'success', text: 'Link copied to the clipboard' }),
+      () => setFileMessage({ severity: 'info', text: link })
+    );
   };
 
   const handleReturn = () => {
     // Reset drag position before returning
     setDragPosition({ x: 0, y: 0 });
-    setIsFloating(false);
+    setScrolledAway(false);
     containerRef.current.scrollIntoView({ behavior: 'smooth' });
   };
 
@@ -373,63 +1082,80 @@ const NeuralNetworkViz = () => {
   };
 
   return (
-    <ThemeProvider theme={theme}>
-      <Card variant="outlined" sx={{ padding: 4, backgroundColor: 'background.paper' }}>
-        <CardHeader
-          title={
-            <Typography variant="h4" component="div" align="center">
-              Interactive Neural Network Explorer
-            </Typography>
-          }
-        />
+    <ThemeProvider theme={activeTheme}>
+      <Card
+        ref={rootRef}
+        variant="outlined"
+        sx={framed ? { padding: 4, backgroundColor: 'background.paper' } : { border: 'none', backgroundColor: 'transparent' }}
+      >
+        {showText && (
+          <CardHeader
+            title={
+              <Typography variant="h4" component="div" align="center">
+                {lesson ? lesson.title : 'Interactive Neural Network Explorer'}
+              </Typography>
+            }
+          />
+        )}
         <CardContent>
-          {/* Introductory Paragraphs */}
-          <Box mb={8}>
-            <Typography variant="body1" color="text.primary" paragraph>
-              Welcome to the <strong>Neural Network Explorer</strong> - an interactive tool that lets you
-              discover how artificial neural networks process information, make decisions,
-              and learn from data. This visualization shows a simple but powerful neural
-              network that demonstrates the core concepts behind modern AI systems.
-            </Typography>
-
-            <Typography variant="body1" color="text.primary" paragraph>
-              What you're seeing is a network with three layers: two <strong>input neurons</strong>
-              (A and B) that receive initial signals, two <strong>hidden neurons</strong> that process
-              this information, and one <strong>output neuron</strong> that produces the final result.
-              This structure, while simple, can already perform impressive tasks like
-              basic pattern recognition or decision-making.
-            </Typography>
-
-            <Typography variant="body1" color="text.primary" paragraph>
-              Think of this network as a tiny digital brain: information flows from left
-              to right, getting processed and transformed along the way. Just as our
-              brain cells communicate through connections of varying strengths, this
-              neural network uses weights (the lines) and biases (internal to each
-              neuron) to process information. The color and thickness of each connection
-              shows its weight - red for negative influences, green for positive ones, with
-              stronger colors indicating stronger effects.
-            </Typography>
-
-            <Typography variant="body1" color="text.primary" paragraph>
-              <strong>How it works:</strong> The inputs feed signals into the hidden layer,
-              each connection is multiplied by a <em>weight</em>, and each neuron has a <em>bias</em>
-              that shifts its activation threshold. The hidden layer then feeds into the output neuron,
-              which produces the network’s final output. The <em>sigmoid</em> function converts
-              sums into values between 0 and 1, representing the neuron’s activation level.
-            </Typography>
-          </Box>
+          {/* Lesson goal, or the introductory paragraphs */}
+          {lesson ? (
+            <LessonGoal lesson={lesson} network={networkState} />
+          ) : showText && (
+            <Box mb={8}>
+              <Typography variant="body1" color="text.primary" paragraph>
+                Welcome to the <strong>Neural Network Explorer</strong> - an interactive tool that lets you
+                discover how artificial neural networks process information, make decisions,
+                and learn from data. This visualization shows a simple but powerful neural
+                network that demonstrates the core concepts behind modern AI systems.
+              </Typography>
+
+              <Typography variant="body1" color="text.primary" paragraph>
+                What you're seeing by default is a network with three layers: two <strong>input neurons</strong>
+                (A and B) that receive initial signals, two <strong>hidden neurons</strong> that process
+                this information, and one <strong>output neuron</strong> that produces the final result.
+                This structure, while simple, can already perform impressive tasks like
+                basic pattern recognition or decision-making. Once you're comfortable with it, use
+                the <strong>Architecture</strong> controls below to add neurons and layers.
+              </Typography>
+
+              <Typography variant="body1" color="text.primary" paragraph>
+                Think of this network as a tiny digital brain: information flows from left
+                to right, getting processed and transformed along the way. Just as our
+                brain cells communicate through connections of varying strengths, this
+                neural network uses weights (the lines) and biases (internal to each
+                neuron) to process information. The color and thickness of each connection
+                shows its weight - dashed lines are negative influences and solid lines positive
+                ones, with thicker, stronger colors indicating stronger effects. The legend shows
+                the colors in use, and the Appearance menu at the top switches to dark mode or to
+                colorblind-safe palettes.
+              </Typography>
+
+              <Typography variant="body1" color="text.primary" paragraph>
+                <strong>How it works:</strong> The inputs feed signals into the hidden layer,
+                each connection is multiplied by a <em>weight</em>, and each neuron has a <em>bias</em>
+                that shifts its activation threshold. The hidden layer then feeds into the output neuron,
+                which produces the network’s final output. An <em>activation function</em> such as the
+                sigmoid converts each sum into the neuron’s activation level, and you can choose a
+                different function for every layer.
+              </Typography>
+            </Box>
+          )}
 
           {/* Legend for weights */}
           <Legend>
             <LegendItem>
-              <ColorBox color="rgba(0,255,0,0.8)" /> <span>Positive Weight</span>
+              <WeightSwatch weight={0.8} palette={networkColors.palette} /> <span>Positive Weight</span>
+            </LegendItem>
+            <LegendItem>
+              <WeightSwatch weight={-0.8} palette={networkColors.palette} /> <span>Negative Weight (dashed)</span>
             </LegendItem>
             <LegendItem>
-              <ColorBox color="rgba(255,0,0,0.8)" /> <span>Negative Weight</span>
+              <ActivationSwatch /> <span>Activation 0 to 1</span>
             </LegendItem>
             <LegendItem>
               <Typography variant="caption" color="text.secondary">
-                Move sliders left for negative values, right for positive values.
+                Move sliders left for negative values, right for positive values, or drag connections and neurons on the diagram up and down.
               </Typography>
             </LegendItem>
           </Legend>
@@ -442,8 +1168,9 @@ const NeuralNetworkViz = () => {
             handle=".drag-handle"
             position={isFloating ? dragPosition : { x: 0, y: 0 }}
             onDrag={onDrag}
+            nodeRef={draggableRef}
           >
-            <CanvasContainer isfloating={isFloating}>
+            <CanvasContainer ref={draggableRef} isfloating={isFloating}>
               {isFloating && <HandleLabel className="drag-handle">drag me</HandleLabel>}
               {isFloating && (
                 <Box position="absolute" top="8px" right="8px" zIndex={10}>
@@ -457,226 +1184,652 @@ const NeuralNetworkViz = () => {
                   </Button>
                 </Box>
               )}
-              <ResponsiveCanvas
-                ref={canvasRef}
-                width={800}
-                height={500}
-                role="img"
+              <DiagramFrame
+                ref={frameRef}
+                tabIndex={0}
+                role="application"
+                aria-roledescription="network diagram"
                 aria-label="Neural Network Visualization"
+                aria-describedby={`${idPrefix}canvas-instructions`}
+                onKeyDown={handleCanvasKeyDown}
+                onFocus={() => {
+                  setIsCanvasFocused(true);
+                  setAnnouncement(
+                    describeTarget(architecture, focusOrder[Math.min(focusIndex, focusOrder.length - 1)], {
+                      weights,
+                      biases,
+                      inputs,
+                      sums,
+                      activations,
+                    })
+                  );
+                }}
+                onBlur={() => setIsCanvasFocused(false)}
+                onPointerDown={handleCanvasPointerDown}
+                onPointerMove={handleCanvasPointerMove}
+                onPointerUp={handleCanvasPointerUp}
+                onPointerCancel={handleCanvasPointerUp}
+                onPointerLeave={() => !canvasDragRef.current && setHoverTarget(null)}
+                style={{ cursor: hoverParameter && !isLocked(hoverParameter.kind, hoverParameter.key) ? 'ns-resize' : 'grab' }}
+              >
+                <LayerCanvas ref={edgeCanvasRef} width={viewport.width} height={viewport.height} />
+                <LayerCanvas ref={pulseCanvasRef} width={viewport.width} height={viewport.height} stacked />
+                <LayerCanvas ref={nodeCanvasRef} width={viewport.width} height={viewport.height} stacked />
+                <LayerCanvas ref={overlayCanvasRef} width={viewport.width} height={viewport.height} stacked />
+              </DiagramFrame>
+              <VisuallyHidden id={`${idPrefix}canvas-instructions`}>
+                Use the Left and Right arrow keys to move between neurons and connections, and the Up and Down
+                arrow keys to change the focused weight, bias or input. Page Up and Page Down take bigger steps,
+                Home and End jump to the limits, and Enter on a hidden or output neuron shows its calculation.
+                Plus and Minus zoom the diagram and 0 fits it back into view.
+                The text description after the diagram lists every value.
+              </VisuallyHidden>
+              <Box width="100%" maxWidth="800px" display="flex" alignItems="center" mt={0.5}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={signalFlow}
+                      onChange={(event) => {
+                        setSignalFlow(event.target.checked);
+                        setSignalFlowPaused(prefersReducedMotion);
+                        signalElapsedRef.current = 0;
+                      }}
+                    />
+                  }
+                  label="Signal flow"
+                />
+                {signalFlow && (
+                  <IconButton
+                    size="small"
+                    onClick={() => setSignalFlowPaused((paused) => !paused)}
+                    aria-label={signalFlowPaused ? 'Play signal flow' : 'Pause signal flow'}
+                  >
+                    {signalFlowPaused ? <PlayArrowIcon /> : <PauseIcon />}
+                  </IconButton>
+                )}
+                <Box flexGrow={1} />
+                <ButtonGroup size="small" variant="outlined" aria-label="Zoom">
+                  <Button onClick={() => zoomBy(1 / ZOOM_STEP)} aria-label="Zoom out">
+                    <ZoomOutIcon fontSize="small" />
+                  </Button>
+                  <Button onClick={resetView} aria-label="Fit to view">
+                    <FitScreenIcon fontSize="small" />
+                  </Button>
+                  <Button onClick={() => zoomBy(ZOOM_STEP)} aria-label="Zoom in">
+                    <ZoomInIcon fontSize="small" />
+                  </Button>
+                </ButtonGroup>
+              </Box>
+              <VisuallyHidden role="status" aria-live="polite">
+                {announcement}
+              </VisuallyHidden>
+              {hoverTarget && (
+                <Tooltip
+                  id={`${idPrefix}canvas-tooltip`}
+                  isOpen
+                  position={pointerPosition}
+                  positionStrategy="fixed"
+                  place="top"
+                  offset={16}
+                  content={describeCanvasTarget(hoverTarget)}
+                  style={{ zIndex: 2100 }}
+                />
+              )}
+              <StepControls
+                enabled={stepMode}
+                onEnabledChange={(enabled) => {
+                  setStepMode(enabled);
+                  setStepIndex(0);
+                }}
+                steps={passSteps}
+                stepIndex={Math.min(stepIndex, Math.max(passSteps.length - 1, 0))}
+                onStepIndexChange={setStepIndex}
+                outputIds={outputIds}
+                targets={stepTargetValues}
+                onTargetChange={(id, value) => setStepTargets((prev) => ({ ...prev, [id]: value }))}
               />
+              <Box width="100%" maxWidth="800px" display="flex" justifyContent="flex-end" gap={1} mt={1}>
+                {showControls && !lesson && <PresetsMenu network={networkState} onLoad={loadPreset} />}
+                <ExportMenu
+                  network={networkState}
+                  activations={activations}
+                  currentStep={currentStep}
+                  edgeGlows={edgeGlows}
+                  sweepParameters={sweepParameters}
+                />
+              </Box>
+              {/* Import and shared-link messages, shown here so lessons and embeds see them too */}
+              {fileMessage && (
+                <Alert
+                  severity={fileMessage.severity}
+                  onClose={() => setFileMessage(null)}
+                  sx={{ width: '100%', maxWidth: '800px', mt: 1, wordBreak: 'break-all' }}
+                >
+                  {fileMessage.text}
+                  {fileMessage.details && (
+                    <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                      {fileMessage.details.map((detail) => (
+                        <li key={detail}>{detail}</li>
+                      ))}
+                    </Box>
+                  )}
+                </Alert>
+              )}
+              {presetNote && (
+                <Alert severity="info" onClose={() => setPresetNote(null)} sx={{ width: '100%', maxWidth: '800px', mt: 1 }}>
+                  <strong>{presetNote.title}</strong>
+                  {presetNote.description ? `: ${presetNote.description}` : ' loaded.'}
+                </Alert>
+              )}
+              {selectedNeuron && selectedNeuron in sums && (
+                <NeuronBreakdown
+                  nodeId={selectedNeuron}
+                  architecture={architecture}
+                  connections={connections}
+                  weights={weights}
+                  biases={biases}
+                  inputs={inputs}
+                  sums={sums}
+                  activations={activations}
+                  onSelectParameter={focusParameterSlider}
+                  onClose={() => setSelectedNeuron(null)}
+                />
+              )}
             </CanvasContainer>
           </Draggable>
 
-          {/* Understanding Activations Section */}
-          <Box mb={4}>
-            <Typography variant="h5" gutterBottom>
-              Understanding the Visualization
-            </Typography>
-            <Typography variant="body2" color="text.secondary" paragraph>
-              The intensity of each neuron's color shows its activation level:
-            </Typography>
-            <ul>
-              <li>
-                <Typography variant="body2" color="text.secondary">
-                  <strong>Pale yellow</strong> indicates low activation (close to 0)
-                </Typography>
-              </li>
-              <li>
-                <Typography variant="body2" color="text.secondary">
-                  <strong>Deep orange</strong> indicates high activation (close to 1)
-                </Typography>
-              </li>
-            </ul>
-            <Typography variant="body2" color="text.secondary" paragraph>
-              The network uses a special function called "sigmoid" to calculate these activations. This function smoothly converts any input into a value between 0 and 1, similar to how biological neurons either fire or don't fire, but with varying intensities.
-            </Typography>
-            <Typography variant="body2" color="text.secondary" paragraph>
-              Try creating extreme scenarios:
-            </Typography>
-            <ol>
-              <li>
-                <Typography variant="body2" color="text.secondary">
-                  Set all weights positive and watch information flow freely
-                </Typography>
-              </li>
-              <li>
-                <Typography variant="body2" color="text.secondary">
-                  Set all weights negative and observe how signals get inverted
-                </Typography>
-              </li>
-              <li>
-                <Typography variant="body2" color="text.secondary">
-                  Play with biases to see how they affect neuron sensitivity
-                </Typography>
-              </li>
-            </ol>
+          {/* Text version of the canvas */}
+          <Box mb={6} display="flex" justifyContent="center">
+            <NetworkDescription
+              architecture={architecture}
+              connections={connections}
+              weights={weights}
+              biases={biases}
+              inputs={inputs}
+              sums={sums}
+              activations={activations}
+            />
           </Box>
 
-          {/* Controls Section */}
-          <Box display="flex" flexDirection="column" gap={4}>
-            {/* Inputs */}
-            <Box>
-              <Typography variant="h5" gutterBottom>
-                Inputs: The Network's Senses
-              </Typography>
-              <Typography variant="body2" color="text.secondary" paragraph>
-                Inputs A and B represent the raw information our network receives - similar to how our eyes receive light or our ears receive sound. Each input can vary from 0 (completely inactive) to 1 (fully active).
-              </Typography>
-              <Typography variant="body2" color="text.secondary" paragraph>
-                Try adjusting these values and watch how the signal propagates through the network. Notice how changes in one input can affect multiple hidden neurons, just as a single sensory input might trigger multiple neurons in our brains.
-              </Typography>
-              {Object.entries(inputs).map(([key, value]) => (
-                <Box key={key} mb={2}>
-                  <Typography gutterBottom>
-                    {`Input ${key}`} (0 to 1): {value.toFixed(2)}
-                  </Typography>
-                  <Slider
-                    aria-label={`Input ${key}`}
-                    value={value}
-                    min={0}
-                    max={1}
-                    step={0.01}
-                    onChange={(event, newValue) =>
-                      debouncedSetInputs(key, newValue)
-                    }
-                    valueLabelDisplay="auto"
+          {showControls && (
+            <>
+              {/* Truth Table and Input Sweep Sections */}
+              <Box mb={6}>
+                <TruthTable architecture={architecture} weights={weights} biases={biases} inputs={inputs} />
+              </Box>
+              <Box mb={6}>
+                <InputSweepChart architecture={architecture} weights={weights} biases={biases} inputs={inputs} />
+              </Box>
+
+              {/* Sensitivity Section */}
+              <Box mb={6}>
+                <SensitivityPanel
+                  architecture={architecture}
+                  weights={weights}
+                  biases={biases}
+                  inputs={inputs}
+                  outputId={sensitivityOutput}
+                  onOutputChange={setSensitivityOutput}
+                  showOnDiagram={showSensitivity}
+                  onShowOnDiagramChange={setShowSensitivity}
+                />
+              </Box>
+
+              {/* Classification Section, for networks with several outputs */}
+              {outputIds.length > 1 && (
+                <Box mb={6}>
+                  <ClassificationPanel
+                    architecture={architecture}
+                    outputIds={outputIds}
+                    activations={activations}
+                    onUseSoftmax={lesson ? undefined : () => changeLayerActivation(outputLayerIndex, 'softmax')}
                   />
                 </Box>
-              ))}
-            </Box>
+              )}
+
+              {/* Decision Boundary Section */}
+              <Box mb={6}>
+                <DecisionBoundary
+                  architecture={architecture}
+                  weights={weights}
+                  biases={biases}
+                  inputs={inputs}
+                />
+              </Box>
+
+              {/* Dataset Section, hidden in lessons like training */}
+              {!lesson && (
+                <Box mb={6}>
+                  <DatasetPanel
+                    architecture={architecture}
+                    weights={weights}
+                    biases={biases}
+                    inputs={inputs}
+                    onSelectSample={loadSampleInputs}
+                  />
+                </Box>
+              )}
+
+              {/* Training Section, hidden in lessons because training would ignore the locks */}
+              {!lesson && (
+                <Box mb={6}>
+                  <TrainingPanel
+                    architecture={architecture}
+                    weights={weights}
+                    biases={biases}
+                    onParametersChange={applyTrainedParameters}
+                    onRunEnd={endHistoryGroup}
+                    onRandomize={randomizeWeights}
+                  />
+                </Box>
+              )}
+
+            </>
+          )}
 
-            {/* Weights: Input to Hidden */}
-            <Box>
+          {/* Understanding Activations Section */}
+          {showText && (
+            <Box mb={4}>
               <Typography variant="h5" gutterBottom>
-                Weights: Controlling Information Flow
+                Understanding the Visualization
               </Typography>
               <Typography variant="body2" color="text.secondary" paragraph>
-                These weights determine how strongly each input affects each hidden neuron. Think of weights like volume knobs - they can amplify (positive weights) or dampen (negative weights) the signal passing through each connection. A weight of 1.0 means "pass this signal through at full strength," while -1.0 means "pass through the opposite signal at full strength." A weight of 0 effectively turns off that connection.
+                The intensity of each neuron's color shows its activation level:
               </Typography>
+              <ul>
+                <li>
+                  <Typography variant="body2" color="text.secondary">
+                    <strong>{capitalize(colorNames.lowActivation)}</strong> indicates low activation (close to 0)
+                  </Typography>
+                </li>
+                <li>
+                  <Typography variant="body2" color="text.secondary">
+                    <strong>{capitalize(colorNames.highActivation)}</strong> indicates high activation (close to 1)
+                  </Typography>
+                </li>
+                <li>
+                  <Typography variant="body2" color="text.secondary">
+                    <strong>{capitalize(colorNames.overflowActivation)}</strong> indicates activations above 1, which ReLU and linear neurons can produce
+                  </Typography>
+                </li>
+                <li>
+                  <Typography variant="body2" color="text.secondary">
+                    <strong>{capitalize(colorNames.negativeActivation)}</strong> indicates negative activations, which tanh, leaky ReLU and linear neurons can produce
+                  </Typography>
+                </li>
+              </ul>
               <Typography variant="body2" color="text.secondary" paragraph>
-                The color coding helps visualize this: green connections amplify signals, red connections invert them, and the intensity shows how strong this effect is. Try setting extreme weights and watch how the hidden neurons react!
+                By default the network uses a special function called "sigmoid" to calculate these activations. This function smoothly converts any input into a value between 0 and 1, similar to how biological neurons either fire or don't fire, but with varying intensities. The Activation Functions section below lets you swap it for other common choices.
               </Typography>
-              {Object.entries(weights)
-                .filter(([k]) => k.includes('->H'))
-                .map(([key, value]) => (
-                  <Box key={key} mb={2}>
-                    <Typography gutterBottom>
-                      {key} Weight: {value.toFixed(2)}
-                    </Typography>
-                    <Slider
-                      aria-label={`${key} Weight`}
-                      value={value}
-                      min={-1}
-                      max={1}
-                      step={0.01}
-                      onChange={(event, newValue) =>
-                        debouncedSetWeights(key, newValue)
-                      }
-                      valueLabelDisplay="auto"
-                    />
-                    <Typography variant="caption" color="text.secondary">
-                      Increasing <strong>{key.split('->')[0]}</strong> makes{' '}
-                      <strong>{key.split('->')[1]}</strong> have a stronger influence on{' '}
-                      <strong>{key.split('->')[1]}</strong>.
-                    </Typography>
-                  </Box>
-                ))}
-            </Box>
-
-            {/* Weights: Hidden to Output */}
-            <Box>
-              <Typography variant="h5" gutterBottom>
-                Hidden to Output Connections: The Decision-Making Layer
+              <Typography variant="body2" color="text.secondary" paragraph>
+                You can also edit the network directly on the diagram. Drag a connection up or down to change its weight, drag a hidden or output neuron to change its bias, and drag an input neuron to change its value. Hovering over a connection shows how much it contributes to the next neuron (the value it carries times its weight), and hovering over a neuron shows its weighted sum before and after the activation function. Click a hidden or output neuron to open a breakdown of its whole calculation with the current numbers. Drag empty space to pan, and zoom with Ctrl + scroll (or pinch) or the zoom buttons under the diagram. When zoomed far out the weight labels and the weakest connections are hidden until you zoom back in.
               </Typography>
               <Typography variant="body2" color="text.secondary" paragraph>
-                These weights control how each hidden neuron influences the final output. The hidden neurons have already processed the input information, and now these weights determine how to combine their insights into a final decision.
+                Switch on <strong>Signal flow</strong> under the diagram to watch information travel from left to right. Pulses leave the inputs together and reach each layer in turn; the bigger and brighter a pulse, the more its connection contributes (the value it carries times its weight), and hollow pulses are negative contributions. Each change to the inputs sends a new wave. The pause button freezes the animation, and if your device asks for reduced motion it starts paused.
               </Typography>
               <Typography variant="body2" color="text.secondary" paragraph>
-                Experiment with these weights to see how different combinations of hidden neuron activations lead to different outputs. Notice how the network can emphasize or ignore certain hidden neurons by adjusting these weights - this is similar to how our brains might focus on certain features while ignoring others when making decisions.
+                The diagram works from the keyboard too. Tab to it, then use the Left and Right arrow keys to move from neuron to neuron and along each connection, and the Up and Down arrow keys to change the focused input, bias or weight (Page Up and Page Down take bigger steps, Home and End jump to the ends of the range). Press Enter on a hidden or output neuron to open its breakdown. Plus and Minus zoom, and 0 fits the whole network back into view. Screen readers announce each change and how the activations responded, and the text description below the diagram lists every value in tables.
               </Typography>
-              {Object.entries(weights)
-                .filter(([k]) => k.includes('->O'))
-                .map(([key, value]) => (
-                  <Box key={key} mb={2}>
-                    <Typography gutterBottom>
-                      {key} Weight: {value.toFixed(2)}
-                    </Typography>
-                    <Slider
-                      aria-label={`${key} Weight`}
-                      value={value}
-                      min={-1}
-                      max={1}
-                      step={0.01}
-                      onChange={(event, newValue) =>
-                        debouncedSetWeights(key, newValue)
-                      }
-                      valueLabelDisplay="auto"
-                    />
-                    <Typography variant="caption" color="text.secondary">
-                      Increasing {key} gives that hidden neuron more influence on the output’s final value.
-                    </Typography>
-                  </Box>
-                ))}
-            </Box>
-
-            {/* Biases */}
-            <Box>
-              <Typography variant="h5" gutterBottom>
-                Biases: Setting Neuron Sensitivity
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Turn on <strong>Step mode</strong> under the diagram to slow everything down: the network computes one neuron at a time, showing each weighted sum and activation, and then runs the backward pass that training uses, showing every neuron's error signal (δ) and the gradient on every connection.
               </Typography>
               <Typography variant="body2" color="text.secondary" paragraph>
-                Each neuron has a bias that acts like its "activation threshold" - how easily it fires in response to incoming signals. Think of bias as a neuron's basic tendency to activate:
+                Try creating extreme scenarios:
               </Typography>
-              <ul>
+              <ol>
                 <li>
                   <Typography variant="body2" color="text.secondary">
-                    <strong>A positive bias</strong> makes the neuron more "optimistic" - it's more likely to activate even with weak input signals
+                    Set all weights positive and watch information flow freely
                   </Typography>
                 </li>
                 <li>
                   <Typography variant="body2" color="text.secondary">
-                    <strong>A negative bias</strong> makes the neuron more "conservative" - it needs stronger input to activate
+                    Set all weights negative and observe how signals get inverted
                   </Typography>
                 </li>
                 <li>
                   <Typography variant="body2" color="text.secondary">
-                    <strong>A zero bias</strong> means the neuron responds purely based on its inputs
+                    Play with biases to see how they affect neuron sensitivity
                   </Typography>
                 </li>
-              </ul>
-              <Typography variant="body2" color="text.secondary" paragraph>
-                Try setting extreme biases and watch how neurons become either very easy or very difficult to activate. In real neural networks, biases help the network model more complex patterns by allowing neurons to have different baseline activation levels.
-              </Typography>
-              {Object.entries(biases).map(([key, value]) => (
-                <Box key={key} mb={2}>
-                  <Typography gutterBottom>
-                    {key} Bias: {value.toFixed(2)}
+              </ol>
+              {!lesson && (
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  The <Link component={RouterLink} to="/lessons">lessons</Link> turn scenarios like these into challenges with a goal that is checked as you work.
+                </Typography>
+              )}
+            </Box>
+          )}
+
+          {/* Controls Section */}
+          {showControls && (
+            <Box display="flex" flexDirection="column" gap={4}>
+              {/* Architecture, fixed by the lesson in lesson mode */}
+              {!lesson && (
+                <Box>
+                  <Typography variant="h5" gutterBottom>
+                    Architecture: Shaping the Network
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    The number of layers and the number of neurons in each layer is called the network's <em>architecture</em>. Every neuron is connected to every neuron in the next layer, so adding a single neuron adds a whole set of new weights. Deeper networks (more hidden layers) can represent more complicated functions, but they are also harder to reason about by hand.
                   </Typography>
-                  <Slider
-                    aria-label={`${key} Bias`}
+                  {architecture.map((layer, layerIndex) => (
+                    <Box key={layerIndex} display="flex" alignItems="center" gap={2} mb={1}>
+                      <Typography sx={{ minWidth: '10rem' }}>
+                        {getLayerLabel(architecture, layerIndex)}: {layer.size}
+                      </Typography>
+                      <ButtonGroup size="small" variant="outlined">
+                        <Button
+                          aria-label={`Remove neuron from ${getLayerLabel(architecture, layerIndex)}`}
+                          onClick={() => changeLayerSize(layerIndex, -1)}
+                          disabled={layer.size <= 1}
+                        >
+                          <RemoveIcon fontSize="small" />
+                        </Button>
+                        <Button
+                          aria-label={`Add neuron to ${getLayerLabel(architecture, layerIndex)}`}
+                          onClick={() => changeLayerSize(layerIndex, 1)}
+                          disabled={layer.size >= MAX_LAYER_SIZE}
+                        >
+                          <AddIcon fontSize="small" />
+                        </Button>
+                      </ButtonGroup>
+                    </Box>
+                  ))}
+                  <Box display="flex" gap={2} mt={2}>
+                    <Button
+                      variant="outlined"
+                      onClick={addHiddenLayer}
+                      disabled={architecture.length - 2 >= MAX_HIDDEN_LAYERS}
+                    >
+                      Add Hidden Layer
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      onClick={removeHiddenLayer}
+                      disabled={architecture.length <= 2}
+                    >
+                      Remove Hidden Layer
+                    </Button>
+                  </Box>
+                </Box>
+              )}
+
+              {/* Activation functions */}
+              <Box>
+                <Typography variant="h5" gutterBottom>
+                  Activation Functions: How Neurons Respond
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  After a neuron adds up its weighted inputs and bias, it passes that sum through an activation function. The function decides how the neuron responds: whether it saturates, whether it can go negative, or whether it simply switches on and off. Each plot shows the chosen curve with a dot for every neuron in the layer at its current weighted sum. The output layer can also use softmax, which works on the whole layer at once to turn its sums into class probabilities: it needs at least two outputs and has no single curve, so its plot only marks the neurons.
+                </Typography>
+                {architecture.slice(1).map((layer, index) => {
+                  const layerIndex = index + 1;
+                  const layerLabel = getLayerLabel(architecture, layerIndex);
+                  const points = getLayerNodes(architecture)[layerIndex].map((id) => ({
+                    id,
+                    sum: sums[id],
+                    activation: activations[id],
+                  }));
+                  return (
+                    <Box key={layerIndex} display="flex" flexWrap="wrap" alignItems="flex-start" gap={3} mb={3}>
+                      <Box flex="1 1 240px">
+                        <FormControl size="small" sx={{ minWidth: '12rem' }}>
+                          <InputLabel id={`${idPrefix}activation-label-${layerIndex}`}>{layerLabel}</InputLabel>
+                          <Select
+                            labelId={`${idPrefix}activation-label-${layerIndex}`}
+                            label={layerLabel}
+                            value={layer.activation}
+                            disabled={Boolean(lesson)}
+                            onChange={(event) => changeLayerActivation(layerIndex, event.target.value)}
+                          >
+                            {Object.entries(getLayerActivations(layerIndex === outputLayerIndex)).map(([id, { label, layer: acrossLayer }]) => (
+                              <MenuItem key={id} value={id} disabled={Boolean(acrossLayer) && layer.size < 2}>
+                                {label}
+                              </MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                        <Typography variant="body2" color="text.secondary" mt={1}>
+                          {getActivation(layer.activation).label} {getActivation(layer.activation).description}.
+                        </Typography>
+                      </Box>
+                      <ActivationPlot activationId={layer.activation} points={points} />
+                    </Box>
+                  );
+                })}
+              </Box>
+
+              {/* Slider ranges and weight initialization; lessons start from their own network */}
+              <ParameterSettings
+                ranges={ranges}
+                onRangesChange={setRanges}
+                initialization={initialization}
+                onInitializationChange={changeInitialization}
+                onInitialize={lesson ? undefined : initializeWeights}
+              />
+
+              {/* Inputs */}
+              <Box>
+                <Typography variant="h5" gutterBottom>
+                  Inputs: The Network's Senses
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  The inputs (A and B by default) represent the raw information our network receives - similar to how our eyes receive light or our ears receive sound. Each input can vary from 0 (completely inactive) to 1 (fully active).
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  Try adjusting these values and watch how the signal propagates through the network. Notice how changes in one input can affect multiple hidden neurons, just as a single sensory input might trigger multiple neurons in our brains.
+                </Typography>
+                {Object.entries(inputs).map(([key, value]) => (
+                  <ParameterControl
+                    key={key}
+                    id={sliderId('input', key)}
+                    heading={`Input ${key} (${ranges.input.min} to ${ranges.input.max}): ${value.toFixed(2)}`}
+                    label={`Input ${key}`}
                     value={value}
-                    min={-2}
-                    max={2}
-                    step={0.01}
-                    onChange={(event, newValue) =>
-                      debouncedSetBiases(key, newValue)
-                    }
-                    valueLabelDisplay="auto"
+                    range={ranges.input}
+                    disabled={isLocked('input', key)}
+                    onSlide={(newValue) => {
+                      recordHistory(`input:${key}`);
+                      debouncedSetInputs(key, newValue);
+                    }}
+                    onSlideEnd={endHistoryGroup}
+                    onEnter={(newValue) => enterParameter('input', key, newValue)}
                   />
-                  <Typography variant="caption" color="text.secondary">
-                    Increasing {key} bias makes this neuron more likely to activate.
+                ))}
+              </Box>
+
+              {/* Weights: Input to Hidden */}
+              <Box>
+                <Typography variant="h5" gutterBottom>
+                  Weights: Controlling Information Flow
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  These weights determine how strongly each input affects each hidden neuron. Think of weights like volume knobs - they can amplify (positive weights) or dampen (negative weights) the signal passing through each connection. A weight of 1.0 means "pass this signal through at full strength," while -1.0 means "pass through the opposite signal at full strength." A weight of 0 effectively turns off that connection.
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  The color coding helps visualize this: {colorNames.positiveWeight} connections amplify signals, dashed {colorNames.negativeWeight} connections invert them, and the intensity shows how strong this effect is. Try setting extreme weights and watch how the hidden neurons react!
+                </Typography>
+                {connections
+                  .filter(({ layerIndex }) => layerIndex < outputLayerIndex)
+                  .map(({ key, from, to }) => (
+                    <ParameterControl
+                      key={key}
+                      id={sliderId('weight', key)}
+                      heading={`${key} Weight: ${weights[key].toFixed(2)}`}
+                      label={`${key} Weight`}
+                      value={weights[key]}
+                      range={ranges.weight}
+                      disabled={isLocked('weight', key)}
+                      onSlide={(newValue) => {
+                        recordHistory(`weight:${key}`);
+                        debouncedSetWeights(key, newValue);
+                      }}
+                      onSlideEnd={endHistoryGroup}
+                      onEnter={(newValue) => enterParameter('weight', key, newValue)}
+                    >
+                      <Typography variant="caption" color="text.secondary">
+                        Increasing <strong>{key}</strong> gives <strong>{from}</strong> a stronger influence on{' '}
+                        <strong>{to}</strong>.
+                      </Typography>
+                    </ParameterControl>
+                  ))}
+              </Box>
+
+              {/* Weights: Hidden to Output */}
+              <Box>
+                <Typography variant="h5" gutterBottom>
+                  Hidden to Output Connections: The Decision-Making Layer
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  These weights control how each hidden neuron influences the final output. The hidden neurons have already processed the input information, and now these weights determine how to combine their insights into a final decision.
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  Experiment with these weights to see how different combinations of hidden neuron activations lead to different outputs. Notice how the network can emphasize or ignore certain hidden neurons by adjusting these weights - this is similar to how our brains might focus on certain features while ignoring others when making decisions.
+                </Typography>
+                {connections
+                  .filter(({ layerIndex }) => layerIndex === outputLayerIndex)
+                  .map(({ key }) => (
+                    <ParameterControl
+                      key={key}
+                      id={sliderId('weight', key)}
+                      heading={`${key} Weight: ${weights[key].toFixed(2)}`}
+                      label={`${key} Weight`}
+                      value={weights[key]}
+                      range={ranges.weight}
+                      disabled={isLocked('weight', key)}
+                      onSlide={(newValue) => {
+                        recordHistory(`weight:${key}`);
+                        debouncedSetWeights(key, newValue);
+                      }}
+                      onSlideEnd={endHistoryGroup}
+                      onEnter={(newValue) => enterParameter('weight', key, newValue)}
+                    >
+                      <Typography variant="caption" color="text.secondary">
+                        Increasing {key} gives that hidden neuron more influence on the output’s final value.
+                      </Typography>
+                    </ParameterControl>
+                  ))}
+              </Box>
+
+              {/* Biases */}
+              <Box>
+                <Typography variant="h5" gutterBottom>
+                  Biases: Setting Neuron Sensitivity
+                </Typography>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  Each neuron has a bias that acts like its "activation threshold" - how easily it fires in response to incoming signals. Think of bias as a neuron's basic tendency to activate:
+                </Typography>
+                <ul>
+                  <li>
+                    <Typography variant="body2" color="text.secondary">
+                      <strong>A positive bias</strong> makes the neuron more "optimistic" - it's more likely to activate even with weak input signals
+                    </Typography>
+                  </li>
+                  <li>
+                    <Typography variant="body2" color="text.secondary">
+                      <strong>A negative bias</strong> makes the neuron more "conservative" - it needs stronger input to activate
+                    </Typography>
+                  </li>
+                  <li>
+                    <Typography variant="body2" color="text.secondary">
+                      <strong>A zero bias</strong> means the neuron responds purely based on its inputs
+                    </Typography>
+                  </li>
+                </ul>
+                <Typography variant="body2" color="text.secondary" paragraph>
+                  Try setting extreme biases and watch how neurons become either very easy or very difficult to activate. In real neural networks, biases help the network model more complex patterns by allowing neurons to have different baseline activation levels.
+                </Typography>
+                {Object.entries(biases).map(([key, value]) => (
+                  <ParameterControl
+                    key={key}
+                    id={sliderId('bias', key)}
+                    heading={`${key} Bias: ${value.toFixed(2)}`}
+                    label={`${key} Bias`}
+                    value={value}
+                    range={ranges.bias}
+                    disabled={isLocked('bias', key)}
+                    onSlide={(newValue) => {
+                      recordHistory(`bias:${key}`);
+                      debouncedSetBiases(key, newValue);
+                    }}
+                    onSlideEnd={endHistoryGroup}
+                    onEnter={(newValue) => enterParameter('bias', key, newValue)}
+                  >
+                    <Typography variant="caption" color="text.secondary">
+                      Increasing {key} bias makes this neuron more likely to activate.
+                    </Typography>
+                  </ParameterControl>
+                ))}
+              </Box>
+
+              {/* History and snapshots */}
+              <HistoryPanel
+                history={history}
+                networkState={networkState}
+                onRestore={(state) => {
+                  recordHistory();
+                  loadNetworkState(state);
+                }}
+              />
+
+              {/* Saving and sharing, hidden in lessons because an import would ignore the locks */}
+              {!lesson && (
+                <Box>
+                  <Typography variant="h5" gutterBottom>
+                    Saving and Sharing
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    Export the whole network - its architecture, weights, biases and inputs - as a JSON file and import it again later. The page address also updates as you work, so copying the link from your browser (or using the button below) lets anyone open exactly the same network. For slides and handouts, the <strong>Export Image</strong> button under the diagram saves it as a PNG at up to four times its size, as a vector SVG, or as a numbered sequence of frames while one slider sweeps through its range.
                   </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    Networks also move to and from TensorFlow.js. To import a model trained there, select its <code>model.json</code> together with its <code>.bin</code> weight files; it must be a stack of Dense layers small enough to draw, and any layer that isn't is listed with the reason. Exporting downloads a zip of <code>model.json</code> and its weights for <code>tf.loadLayersModel</code>.
+                  </Typography>
+                  <Box display="flex" flexWrap="wrap" gap={2}>
+                    <Button variant="outlined" onClick={exportJson}>
+                      Export JSON
+                    </Button>
+                    <Button variant="outlined" onClick={() => fileInputRef.current.click()}>
+                      Import JSON
+                    </Button>
+                    <Button variant="outlined" onClick={copyShareLink}>
+                      Copy Share Link
+                    </Button>
+                    <Button variant="outlined" onClick={exportTfjsModel}>
+                      Export TensorFlow.js Model
+                    </Button>
+                    <Button variant="outlined" onClick={() => tfjsInputRef.current.click()}>
+                      Import TensorFlow.js Model
+                    </Button>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept="application/json,.json"
+                      hidden
+                      onChange={importJson}
+                      data-testid="import-json-input"
+                    />
+                    <input
+                      ref={tfjsInputRef}
+                      type="file"
+                      accept="application/json,.json,.bin"
+                      multiple
+                      hidden
+                      onChange={importTfjsModel}
+                      data-testid="import-tfjs-input"
+                    />
+                  </Box>
                 </Box>
-              ))}
-            </Box>
+              )}
 
-            {/* Reset Button */}
-            <Box display="flex" justifyContent="center">
-              <Button variant="contained" color="primary" onClick={resetAll}>
-                Reset to Defaults
-              </Button>
+              {/* Reset Button */}
+              <Box display="flex" justifyContent="center">
+                <Button variant="contained" color="primary" onClick={resetAll}>
+                  {lesson ? 'Restart Lesson' : 'Reset to Defaults'}
+                </Button>
+              </Box>
             </Box>
-          </Box>
+          )}
         </CardContent>
       </Card>
     </ThemeProvider>
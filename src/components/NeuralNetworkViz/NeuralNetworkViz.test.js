@@ -0,0 +1,508 @@
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import NeuralNetworkViz from './NeuralNetworkViz';
+import { createNetwork, exportTfjsModel, initializeParameters, serializeNetwork } from '../../engine';
+import { clearCanvasCalls, getCanvasMethods, getCanvasText } from '../../testUtils/mockCanvas';
+
+const renderViz = () => {
+  render(
+    <MemoryRouter>
+      <NeuralNetworkViz />
+    </MemoryRouter>
+  );
+};
+
+const getNetworkCanvas = () => screen.getByRole('application', { name: 'Neural Network Visualization' });
+
+const moveSlider = (name, value) => {
+  fireEvent.change(screen.getByRole('slider', { name }), { target: { value } });
+};
+
+describe('NeuralNetworkViz', () => {
+  test('draws the default network with its activations', () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+    const text = getCanvasText(canvas);
+    expect(text).toEqual(expect.arrayContaining(['Input Layer', 'Hidden Layer', 'Output Layer']));
+    // sigmoid(0) = 0.50 in the hidden layer, sigmoid(0.5) = 0.62 at the output
+    expect(text).toContain('Activation: 0.50');
+    expect(text).toContain('Activation: 0.62');
+  });
+
+  test('propagates an input slider change through to the canvas', async () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+    clearCanvasCalls(canvas);
+
+    moveSlider('Input A', 1);
+
+    expect(await screen.findByText('Input A (0 to 1): 1.00')).toBeInTheDocument();
+    const text = getCanvasText(canvas);
+    expect(text).toContain('Value: 1.00');
+    // Hidden: sigmoid(0.5) = 0.62, output: sigmoid(2 × 0.5 × 0.62) = 0.65
+    expect(text).toContain('Activation: 0.62');
+    expect(text).toContain('Activation: 0.65');
+  });
+
+  test('propagates weight and bias changes to the canvas', async () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+    clearCanvasCalls(canvas);
+
+    moveSlider('H1->O Weight', -1);
+    await waitFor(() => expect(getCanvasText(canvas)).toContain('-1.00'));
+    // Output: sigmoid(-0.5 × 1 + 0.5 × 0.5) = sigmoid(-0.25) = 0.44
+    expect(getCanvasText(canvas)).toContain('Activation: 0.44');
+
+    clearCanvasCalls(canvas);
+    moveSlider('O Bias', 2);
+    expect(await screen.findByText('O Bias: 2.00')).toBeInTheDocument();
+    // Output: sigmoid(-0.25 + 2) = 0.85
+    expect(getCanvasText(canvas)).toContain('Activation: 0.85');
+  });
+
+  test('generates sliders and neurons from the architecture', () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+    clearCanvasCalls(canvas);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add neuron to Input Layer' }));
+
+    expect(screen.getByRole('slider', { name: 'Input C' })).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'C->H2 Weight' })).toBeInTheDocument();
+    expect(getCanvasText(canvas)).toContain('Input C');
+
+    const bias = screen.getByRole('spinbutton', { name: 'H1 Bias value' });
+    fireEvent.change(bias, { target: { value: '1.5' } });
+    fireEvent.keyDown(bias, { key: 'Enter' });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Hidden Layer' }));
+    expect(screen.getByRole('slider', { name: 'H1.1->H2.1 Weight' })).toBeInTheDocument();
+    // H1 is now H1.1 and keeps its bias
+    expect(screen.getByText('H1.1 Bias: 1.50')).toBeInTheDocument();
+  });
+
+  test('undoes a slider change with Ctrl+Z and restores snapshots', async () => {
+    renderViz();
+    moveSlider('Input B', 1);
+    expect(await screen.findByText('Input B (0 to 1): 1.00')).toBeInTheDocument();
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(screen.getByText('Input B (0 to 1): 0.00')).toBeInTheDocument();
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true, shiftKey: true });
+    expect(screen.getByText('Input B (0 to 1): 1.00')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Snapshot name'), { target: { value: 'B on' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Snapshot' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Reset to Defaults' }));
+    expect(screen.getByText('Input B (0 to 1): 0.00')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+    expect(screen.getByText('Input B (0 to 1): 1.00')).toBeInTheDocument();
+  });
+
+  test('undoes separate training runs one at a time', () => {
+    renderViz();
+    const outputBias = () => screen.getByText(/^O Bias: /).textContent;
+    const before = outputBias();
+    fireEvent.click(screen.getByRole('button', { name: 'Step' }));
+    const afterFirst = outputBias();
+    fireEvent.click(screen.getByRole('button', { name: 'Step' }));
+    expect(outputBias()).not.toBe(afterFirst);
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(outputBias()).toBe(afterFirst);
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(outputBias()).toBe(before);
+  });
+
+  test('widens the ranges to follow training and keeps typed values beyond them', () => {
+    renderViz();
+    fireEvent.click(screen.getByRole('button', { name: 'Custom' }));
+    fireEvent.change(screen.getByRole('textbox', { name: 'One sample per line: inputs then targets' }), {
+      target: { value: '1 1 1' },
+    });
+    fireEvent.change(screen.getByRole('slider', { name: 'Learning rate' }), { target: { value: 5 } });
+    for (let step = 0; step < 10; step++) fireEvent.click(screen.getByRole('button', { name: 'Step' }));
+    const weight = Number(screen.getByText(/^H1->O Weight: /).textContent.slice('H1->O Weight: '.length));
+    expect(weight).toBeGreaterThan(1);
+    expect(Number(screen.getByRole('slider', { name: 'H1->O Weight' }).getAttribute('max'))).toBeGreaterThanOrEqual(weight);
+
+    // A weight typed in beyond its range takes a keyboard step from where it is
+    const field = screen.getByRole('spinbutton', { name: 'H1->O Weight value' });
+    fireEvent.change(field, { target: { value: '-8' } });
+    fireEvent.keyDown(field, { key: 'Enter' });
+    const canvas = getNetworkCanvas();
+    fireEvent.focus(canvas);
+    // A, B, their four connections, H1 and H2, then H1->O
+    for (let step = 0; step < 8; step++) fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+    fireEvent.keyDown(canvas, { key: 'ArrowUp' });
+    expect(screen.getByText(/^H1->O Weight: -7\.9\d$/)).toBeInTheDocument();
+  });
+
+  test('undoes each randomization separately, seed included', () => {
+    renderViz();
+    const weight = () => screen.getByText(/^A->H1 Weight: /).textContent;
+    const seed = () => screen.getByRole('spinbutton', { name: 'Random seed' }).value;
+    fireEvent.click(screen.getByRole('button', { name: 'Randomize Weights' }));
+    const first = { weight: weight(), seed: seed() };
+    fireEvent.click(screen.getByRole('button', { name: 'Randomize Weights' }));
+    expect(seed()).not.toBe(first.seed);
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect({ weight: weight(), seed: seed() }).toEqual(first);
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(weight()).toBe('A->H1 Weight: 0.50');
+    // Back on the constant scheme, which has no seed
+    expect(screen.queryByRole('spinbutton', { name: 'Random seed' })).not.toBeInTheDocument();
+  });
+
+  test('edits weights and biases by dragging on the canvas', async () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+
+    // The canvas has no size in jsdom, so client coordinates are logical coordinates.
+    // The H1->O connection passes through (525, 200).
+    fireEvent.pointerMove(canvas, { clientX: 525, clientY: 200 });
+    expect(await screen.findByText(/H1 → O weight 0.50 · contribution 0.50 × 0.50 = 0.25/)).toBeInTheDocument();
+
+    fireEvent.pointerDown(canvas, { clientX: 525, clientY: 200 });
+    fireEvent.pointerMove(canvas, { clientX: 525, clientY: 150 });
+    fireEvent.pointerUp(canvas, { clientX: 525, clientY: 150 });
+    expect(await screen.findByText('H1->O Weight: 1.00')).toBeInTheDocument();
+
+    // The output neuron sits at (650, 250); dragging down lowers its bias
+    fireEvent.pointerDown(canvas, { clientX: 650, clientY: 250 });
+    fireEvent.pointerMove(canvas, { clientX: 650, clientY: 300 });
+    fireEvent.pointerUp(canvas, { clientX: 650, clientY: 300 });
+    expect(await screen.findByText('O Bias: -1.00')).toBeInTheDocument();
+
+    // The whole drag is one undo step
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(screen.getByText('O Bias: 0.00')).toBeInTheDocument();
+    fireEvent.pointerLeave(canvas, { clientX: 0, clientY: 0 });
+
+  });
+
+  test('zooms and pans the diagram without changing the network', async () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+
+    // Zooming in by 1.25 around the centre (400, 250) moves the H1->O midpoint from (525, 200) to (556, 188)
+    fireEvent.click(screen.getByRole('button', { name: 'Zoom in' }));
+    fireEvent.pointerMove(canvas, { clientX: 556, clientY: 188 });
+    expect(await screen.findByText(/H1 → O weight 0.50/)).toBeInTheDocument();
+
+    // Dragging empty space pans
+    fireEvent.pointerDown(canvas, { clientX: 50, clientY: 480 });
+    fireEvent.pointerMove(canvas, { clientX: 150, clientY: 480 });
+    fireEvent.pointerUp(canvas, { clientX: 150, clientY: 480 });
+    fireEvent.pointerMove(canvas, { clientX: 656, clientY: 188 });
+    expect(await screen.findByText(/H1 → O weight 0.50/)).toBeInTheDocument();
+    expect(screen.getByText('H1->O Weight: 0.50')).toBeInTheDocument();
+
+    fireEvent.keyDown(canvas, { key: '0' });
+    fireEvent.pointerMove(canvas, { clientX: 525, clientY: 200 });
+    expect(await screen.findByText(/H1 → O weight 0.50/)).toBeInTheDocument();
+    fireEvent.pointerLeave(canvas, { clientX: 0, clientY: 0 });
+  });
+
+  test('animates signal pulses that can be paused and turned off', async () => {
+    renderViz();
+    moveSlider('Input A', 1);
+    expect(await screen.findByText('Input A (0 to 1): 1.00')).toBeInTheDocument();
+    const canvas = getNetworkCanvas();
+    clearCanvasCalls(canvas);
+
+    // Input A sends pulses along its two connections; nothing else is repainted
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Signal flow' }));
+    await waitFor(() => expect(getCanvasMethods(canvas).filter((method) => method === 'arc').length).toBeGreaterThanOrEqual(2));
+    expect(getCanvasText(canvas)).toEqual([]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pause signal flow' }));
+    expect(screen.getByRole('button', { name: 'Play signal flow' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Signal flow' }));
+    expect(screen.queryByRole('button', { name: 'Play signal flow' })).not.toBeInTheDocument();
+  });
+
+  test('clicking a neuron opens its computation breakdown', async () => {
+    renderViz();
+    moveSlider('Input A', 1);
+    expect(await screen.findByText('Input A (0 to 1): 1.00')).toBeInTheDocument();
+
+    // Hidden Neuron 1 sits at (400, 150)
+    const canvas = getNetworkCanvas();
+    fireEvent.pointerDown(canvas, { clientX: 400, clientY: 150 });
+    fireEvent.pointerUp(canvas, { clientX: 400, clientY: 150 });
+
+    const table = await screen.findByRole('table', { name: 'Computation of Hidden Neuron 1' });
+    expect(table).toHaveTextContent('Input A1.000.500.50');
+    expect(screen.getByText('0.50 + 0.00 + 0.00 = 0.50')).toBeInTheDocument();
+    expect(screen.getByText(/Activation: Sigmoid\(0.50\) =/)).toHaveTextContent('= 0.62');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Bias' }));
+    expect(screen.getByRole('slider', { name: 'H1 Bias' })).toHaveFocus();
+
+    // A click is not an edit, so there is nothing to undo beyond the slider change
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(screen.getByText('Input A (0 to 1): 0.00')).toBeInTheDocument();
+    expect(table).toHaveTextContent('Input A0.000.500.00');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close computation breakdown' }));
+    expect(table).not.toBeInTheDocument();
+  });
+
+  test('edits the network from the keyboard and announces the changes', async () => {
+    renderViz();
+    const canvas = getNetworkCanvas();
+    const status = screen.getByRole('status');
+
+    fireEvent.focus(canvas);
+    expect(status).toHaveTextContent('Input A, value 0.00');
+
+    fireEvent.keyDown(canvas, { key: 'End' });
+    expect(await screen.findByText('Input A (0 to 1): 1.00')).toBeInTheDocument();
+    expect(status).toHaveTextContent('Input A 1.00');
+    // Once the change settles, the new activations are read out
+    expect(await screen.findByText(/Hidden Neuron 1 activation rose to 0.62/)).toBe(status);
+
+    // Past B to the first connection
+    fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+    fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+    expect(status).toHaveTextContent('Connection from Input A to Hidden Neuron 1, weight 0.50, contributes 0.50');
+    fireEvent.keyDown(canvas, { key: 'ArrowDown' });
+    expect(await screen.findByText('A->H1 Weight: 0.45')).toBeInTheDocument();
+
+    // The text description follows the same state
+    fireEvent.click(screen.getByRole('button', { name: 'Text description of the network' }));
+    expect(screen.getByRole('table', { name: 'Connections' })).toHaveTextContent('Input A to Hidden Neuron 10.450.45');
+
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(await screen.findByText('A->H1 Weight: 0.50')).toBeInTheDocument();
+  });
+
+  test('imports an exported network and widens the ranges to reach it', async () => {
+    renderViz();
+    const network = createNetwork(undefined, { weights: { 'A->H1': 5.5 }, biases: { O: -3.2 } });
+    const file = new File([JSON.stringify(serializeNetwork(network))], 'network.json', { type: 'application/json' });
+    fireEvent.change(screen.getByTestId('import-json-input'), { target: { files: [file] } });
+    expect(await screen.findByText('Loaded network.json')).toBeInTheDocument();
+    expect(screen.getByText('A->H1 Weight: 5.50')).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'A->H1 Weight' })).toHaveAttribute('max', '6');
+    expect(screen.getByRole('slider', { name: 'O Bias' })).toHaveAttribute('min', '-4');
+  });
+
+  test('imports a TensorFlow.js model and lists the layers it cannot show', async () => {
+    renderViz();
+    const upload = (files) => fireEvent.change(screen.getByTestId('import-tfjs-input'), { target: { files } });
+    const network = createNetwork([{ size: 2 }, { size: 3, activation: 'relu' }, { size: 1, activation: 'sigmoid' }], {
+      weights: { 'A->H1': 0.25, 'H1->O': -2.5 },
+    });
+    const { modelJson, weightsPath, weightData } = exportTfjsModel(network);
+    const modelFile = (model) => new File([JSON.stringify(model)], 'model.json', { type: 'application/json' });
+    const weightFile = new File([weightData], weightsPath);
+
+    upload([modelFile(modelJson)]);
+    expect(await screen.findByText(/Also select the weight file group1-shard1of1.bin/)).toBeInTheDocument();
+
+    const layers = [{ class_name: 'Flatten', config: { name: 'flatten' } }, ...modelJson.modelTopology.config.layers];
+    upload([modelFile({ ...modelJson, modelTopology: { ...modelJson.modelTopology, config: { layers } } }), weightFile]);
+    expect(await screen.findByText('Layer 1 ("flatten", Flatten): only Dense layers are supported')).toBeInTheDocument();
+
+    upload([modelFile(modelJson), weightFile]);
+    expect(await screen.findByText('Loaded model.json; its inputs start at 0')).toBeInTheDocument();
+    expect(screen.getByText('A->H1 Weight: 0.25')).toBeInTheDocument();
+    expect(screen.getAllByRole('slider', { name: /^H\d Bias$/ })).toHaveLength(3);
+    // The weight range widens to reach the model's weights
+    expect(screen.getByRole('slider', { name: 'H1->O Weight' })).toHaveAttribute('min', '-3');
+  });
+
+  test('evaluates a drawn or imported dataset and loads a row into the inputs', async () => {
+    renderViz();
+    const plane = screen.getByRole('img', { name: /Dataset plane/ });
+
+    // The plane has no size in jsdom; its plot spans (40, 10) to (350, 320) with B increasing upwards
+    fireEvent.click(screen.getByRole('button', { name: 'Class 0' }));
+    fireEvent.click(plane, { clientX: 40 + 310 * 0.25, clientY: 10 + 310 * 0.25 });
+    const table = screen.getByRole('table', { name: 'Dataset samples' });
+    // With every weight at 0.5 the output is about 0.65, on the wrong side for class 0
+    expect(table).toHaveTextContent('10.25, 0.750');
+    expect(screen.getByText(/Accuracy: 0% \(0 of 1\)/)).toBeInTheDocument();
+
+    fireEvent.click(within(table).getAllByRole('row')[1]);
+    expect(await screen.findByText('Input A (0 to 1): 0.25')).toBeInTheDocument();
+    expect(screen.getByText('Input B (0 to 1): 0.75')).toBeInTheDocument();
+
+    const csv = new File(['a,b,target\n0,0,1\n1,1,1\n'], 'points.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByTestId('import-csv-input'), { target: { files: [csv] } });
+    expect(await screen.findByText('Loaded 2 rows from points.csv')).toBeInTheDocument();
+    expect(screen.getByText(/Accuracy: 100% \(2 of 2\)/)).toBeInTheDocument();
+  });
+
+  test('shows the truth table and an input sweep that follow the parameters', async () => {
+    renderViz();
+    const table = screen.getByRole('table', { name: 'Truth table' });
+    // Every weight at 0.5 keeps the output above 0.5 on every corner
+    expect(table).toHaveTextContent('000.62 → 1');
+    expect(table).toHaveTextContent('110.68 → 1');
+    expect(screen.getByText('always on', { selector: 'strong' })).toBeInTheDocument();
+
+    // Lowering the output bias leaves only (0, 0) below the threshold
+    moveSlider('O Bias', -0.6);
+    await waitFor(() => expect(table).toHaveTextContent('000.48 → 0'));
+    expect(screen.getByText('OR', { selector: 'strong' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Grid' }));
+    const grid = screen.getByRole('table', { name: 'Output O on a grid of inputs' });
+    expect(grid).toHaveTextContent('B \\ A0.000.250.500.751.00');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sweep B' }));
+    expect(screen.getByRole('img', { name: 'Neuron activations as Input B sweeps from 0 to 1' })).toBeInTheDocument();
+    expect(screen.getByText('H1: 0.50 to 0.62')).toBeInTheDocument();
+  });
+
+  test('ranks the sensitivity of the output and attributes it to the inputs', async () => {
+    renderViz();
+    moveSlider('Input A', 1);
+    expect(await screen.findByText('Input A (0 to 1): 1.00')).toBeInTheDocument();
+    const ranking = screen.getByRole('list', { name: 'Sensitivity of Output O' });
+    // The output bias moves the output's weighted sum directly; each hidden-to-output weight
+    // moves it by that neuron's activation, which is below 1
+    const [first, second] = within(ranking).getAllByRole('listitem');
+    expect(first).toHaveTextContent('O bias+0.227');
+    expect(second).toHaveTextContent(/^H\d → O weight\+0\.141$/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Inputs' }));
+    expect(within(ranking).getAllByRole('listitem')).toHaveLength(2);
+
+    const attribution = screen.getByRole('table', { name: 'Input attribution' });
+    expect(within(attribution).getByRole('row', { name: /Input B/ })).toHaveTextContent(/^Input B0\.00.*0\.0000\.000$/);
+    expect(screen.getByText(/^Integrated gradients total/)).toBeInTheDocument();
+
+    const canvas = getNetworkCanvas();
+    clearCanvasCalls(canvas);
+    // Turning the glow on repaints the edges with glows behind them
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Glow on the diagram' }));
+    expect(getCanvasMethods(canvas)).toContain('stroke');
+  });
+
+  test('reads several outputs as class probabilities with a target class and its losses', () => {
+    renderViz();
+    fireEvent.click(screen.getByRole('button', { name: 'Add neuron to Output Layer' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add neuron to Output Layer' }));
+    // Three sigmoid outputs of 0.62 add up to more than 1
+    expect(screen.getByText(/The outputs add up to 1\.87/)).toBeInTheDocument();
+
+    const canvas = getNetworkCanvas();
+    clearCanvasCalls(canvas);
+    fireEvent.click(screen.getByRole('button', { name: 'Use Softmax' }));
+    // Identical sums share the probability evenly, and the first class wins the tie
+    expect(getCanvasText(canvas).filter((text) => text === '33%')).toHaveLength(3);
+    const probabilities = screen.getByRole('table', { name: 'Class probabilities' });
+    expect(within(probabilities).getByRole('row', { name: /O1 \(predicted\)/ })).toHaveTextContent('0.333');
+
+    fireEvent.mouseDown(screen.getByRole('combobox', { name: 'Target class' }));
+    fireEvent.click(screen.getByRole('option', { name: 'O2' }));
+    // -log(1/3), and half of (1/3)² + (2/3)² + (1/3)²
+    expect(screen.getByText(/^Predicted:/)).toHaveTextContent('Predicted: O1 (wrong)');
+    expect(screen.getByText(/^Cross-entropy loss/)).toHaveTextContent('1.099');
+    expect(screen.getByText(/^Squared-error loss/)).toHaveTextContent('0.333');
+
+    // A single output cannot use softmax
+    fireEvent.click(screen.getByRole('button', { name: 'Remove neuron from Output Layer' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Remove neuron from Output Layer' }));
+    expect(screen.queryByRole('table', { name: 'Class probabilities' })).not.toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Output Layer' })).toHaveTextContent('Sigmoid');
+  });
+
+  test('loads built-in presets and saves the network as a preset', async () => {
+    window.localStorage.clear();
+    renderViz();
+    fireEvent.click(screen.getByRole('button', { name: 'Presets' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /^XOR/ }));
+    expect(screen.getByRole('alert')).toHaveTextContent(/^XOR: .*H1 computes OR and H2 computes NAND/);
+    expect(screen.getByText('A->H1 Weight: 6.00')).toBeInTheDocument();
+    // The weight range widens to reach the preset's weights
+    expect(screen.getByRole('slider', { name: 'A->H1 Weight' })).toHaveAttribute('max', '6');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Presets' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Save or Manage Presets…' }));
+    fireEvent.change(screen.getByRole('textbox', { name: 'Preset name' }), { target: { value: 'My XOR' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Current Network' }));
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument(), { timeout: 5000 });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset to Defaults' }));
+    expect(screen.getByText('A->H1 Weight: 0.50')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Presets' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'My XOR' }));
+    expect(screen.getByText('A->H1 Weight: 6.00')).toBeInTheDocument();
+  });
+
+  test('restores the last session on the next visit', () => {
+    window.localStorage.clear();
+    const renderPersisted = () =>
+      render(
+        <MemoryRouter>
+          <NeuralNetworkViz persistSession />
+        </MemoryRouter>
+      );
+    const { unmount } = renderPersisted();
+    const maximum = screen.getByRole('spinbutton', { name: 'Weights maximum' });
+    fireEvent.change(maximum, { target: { value: '6' } });
+    fireEvent.blur(maximum);
+    const field = screen.getByRole('spinbutton', { name: 'A->H1 Weight value' });
+    fireEvent.change(field, { target: { value: '6' } });
+    fireEvent.keyDown(field, { key: 'Enter' });
+    unmount();
+
+    renderPersisted();
+    expect(screen.getByText('A->H1 Weight: 6.00')).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'A->H1 Weight' })).toHaveAttribute('max', '6');
+  });
+
+  test('takes typed values beyond the slider range and reproduces seeded initializations', async () => {
+    renderViz();
+    const field = screen.getByRole('spinbutton', { name: 'A->H1 Weight value' });
+    fireEvent.change(field, { target: { value: '6' } });
+    fireEvent.keyDown(field, { key: 'Enter' });
+    expect(screen.getByText('A->H1 Weight: 6.00')).toBeInTheDocument();
+
+    const maximum = screen.getByRole('spinbutton', { name: 'Weights maximum' });
+    fireEvent.change(maximum, { target: { value: '8' } });
+    fireEvent.blur(maximum);
+    expect(screen.getByRole('slider', { name: 'A->H1 Weight' })).toHaveAttribute('max', '8');
+
+    fireEvent.mouseDown(screen.getByRole('combobox', { name: 'Initialization' }));
+    fireEvent.click(screen.getByRole('option', { name: 'He' }));
+    const seed = screen.getByRole('spinbutton', { name: 'Random seed' });
+    fireEvent.change(seed, { target: { value: '7' } });
+    fireEvent.keyDown(seed, { key: 'Enter' });
+    fireEvent.click(screen.getByRole('button', { name: 'Initialize Weights' }));
+    const { architecture } = createNetwork();
+    const expected = initializeParameters(architecture, { scheme: 'he', seed: 7, scale: 1 }).weights['A->H1'];
+    expect(screen.getByText(`A->H1 Weight: ${expected.toFixed(2)}`)).toBeInTheDocument();
+
+    // The same seed gives the same weights again
+    fireEvent.change(field, { target: { value: '0' } });
+    fireEvent.keyDown(field, { key: 'Enter' });
+    expect(screen.getByText('A->H1 Weight: 0.00')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Reset to Defaults' }));
+    expect(screen.getByText(`A->H1 Weight: ${expected.toFixed(2)}`)).toBeInTheDocument();
+  });
+
+  test('keeps a step-mode target while it is being typed', () => {
+    renderViz();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Step mode' }));
+    const target = screen.getByRole('spinbutton', { name: 'Target O' });
+    const initial = target.value;
+    // A half-typed or cleared value stays in the field and is only checked on Enter or blur
+    fireEvent.change(target, { target: { value: '' } });
+    expect(target).toHaveValue(null);
+    fireEvent.blur(target);
+    expect(target).toHaveDisplayValue(initial);
+
+    fireEvent.change(target, { target: { value: '0.25' } });
+    fireEvent.keyDown(target, { key: 'Enter' });
+    expect(target).toHaveDisplayValue('0.25');
+  });
+});
@@ -0,0 +1,115 @@
+// src/components/NeuralNetworkViz/NeuronBreakdown.js
+
+import React from 'react';
+import {
+  Typography,
+  Box,
+  IconButton,
+  Link,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { getActivation, getLayerNodes, getNodeLabel } from '../../engine';
+
+const f = (value) => value.toFixed(2);
+
+// The full calculation behind one neuron's activation. The weighted sum and activation come
+// straight from the forward pass that draws the canvas, so the two always agree.
+const NeuronBreakdown = ({
+  nodeId,
+  architecture,
+  connections,
+  weights,
+  biases,
+  inputs,
+  sums,
+  activations,
+  onSelectParameter,
+  onClose,
+}) => {
+  const layerIndex = getLayerNodes(architecture).findIndex((ids) => ids.includes(nodeId));
+  const layerIds = getLayerNodes(architecture)[layerIndex];
+  const neuronIndex = layerIds.indexOf(nodeId);
+  const label = getNodeLabel(architecture, layerIndex, neuronIndex);
+  const activation = getActivation(architecture[layerIndex].activation);
+  const terms = connections
+    .filter(({ to }) => to === nodeId)
+    .map(({ key, from }) => {
+      const value = from in inputs ? inputs[from] : activations[from];
+      return { key, from, value, weight: weights[key], product: value * weights[key] };
+    });
+
+  const parameterLink = (kind, key, text) => (
+    <Link component="button" variant="body2" onClick={() => onSelectParameter(kind, key)}>
+      {text}
+    </Link>
+  );
+
+  return (
+    <Paper variant="outlined" sx={{ width: '100%', maxWidth: '800px', mt: 1, p: 2 }}>
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Typography variant="h6" component="h3">
+          How {label} is computed
+        </Typography>
+        <IconButton aria-label="Close computation breakdown" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Table size="small" aria-label={`Computation of ${label}`}>
+        <TableHead>
+          <TableRow>
+            <TableCell>From</TableCell>
+            <TableCell align="right">Value</TableCell>
+            <TableCell align="right">Weight</TableCell>
+            <TableCell align="right">Value × weight</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {terms.map(({ key, from, value, weight, product }) => (
+            <TableRow key={key}>
+              <TableCell>{from in inputs ? parameterLink('input', from, `Input ${from}`) : from}</TableCell>
+              <TableCell align="right">{f(value)}</TableCell>
+              <TableCell align="right">{parameterLink('weight', key, f(weight))}</TableCell>
+              <TableCell align="right">{f(product)}</TableCell>
+            </TableRow>
+          ))}
+          <TableRow>
+            <TableCell>{parameterLink('bias', nodeId, 'Bias')}</TableCell>
+            <TableCell colSpan={3} align="right">
+              {f(biases[nodeId])}
+            </TableCell>
+          </TableRow>
+          <TableRow>
+            <TableCell>
+              <strong>Weighted sum</strong>
+            </TableCell>
+            <TableCell colSpan={3} align="right">
+              <strong>{f(sums[nodeId])}</strong>
+            </TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+      <Typography variant="body2" mt={2}>
+        {terms.map(({ product }) => f(product)).join(' + ')} + {f(biases[nodeId])} = {f(sums[nodeId])}
+      </Typography>
+      <Typography variant="body2" mt={1}>
+        Activation:{' '}
+        {activation.layer
+          ? `e^${f(sums[nodeId])} / (${layerIds.map((id) => `e^${f(sums[id])}`).join(' + ')})`
+          : `${activation.label}(${f(sums[nodeId])})`}{' '}
+        = <strong>{f(activations[nodeId])}</strong>
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {activation.label} {activation.description}. Numbers are rounded to two decimals; click a value to
+        jump to its slider.
+      </Typography>
+    </Paper>
+  );
+};
+
+export default NeuronBreakdown;
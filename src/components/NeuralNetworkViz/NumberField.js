@@ -0,0 +1,43 @@
+// src/components/NeuralNetworkViz/NumberField.js
+
+import React, { useState } from 'react';
+import { TextField } from '@mui/material';
+
+// Four decimals is more than any slider step, without float noise like 0.30000000000000004
+const formatValue = (value) => String(Math.round(value * 10000) / 10000);
+
+// A number that is committed on Enter or blur rather than on every keystroke, so typing "-" or
+// "0." on the way to a value doesn't change anything. Escape and invalid entries restore the value.
+// The label is only for screen readers unless `showLabel` is set.
+const NumberField = ({ label, value, onCommit, isValid = () => true, disabled = false, step = 0.01, showLabel = false, sx }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const number = Number(draft);
+    if (draft.trim() !== '' && Number.isFinite(number) && isValid(number) && number !== value) {
+      onCommit(number);
+    }
+    setDraft(null);
+  };
+
+  return (
+    <TextField
+      type="number"
+      size="small"
+      value={draft ?? formatValue(value)}
+      disabled={disabled}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') commit();
+        if (event.key === 'Escape') setDraft(null);
+      }}
+      label={showLabel ? label : undefined}
+      inputProps={{ step, 'aria-label': showLabel ? undefined : label }}
+      sx={{ width: '7rem', ...sx }}
+    />
+  );
+};
+
+export default NumberField;
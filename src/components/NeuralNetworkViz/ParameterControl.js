@@ -0,0 +1,30 @@
+// src/components/NeuralNetworkViz/ParameterControl.js
+
+import React from 'react';
+import { Box, Slider, Typography } from '@mui/material';
+import NumberField from './NumberField';
+
+// A parameter's slider within its group's range, with a field for typing an exact value. Typed
+// values may lie outside the slider's range, which then rests at its nearest end.
+const ParameterControl = ({ id, heading, label, value, range, disabled, onSlide, onSlideEnd, onEnter, children }) => (
+  <Box id={id} mb={2}>
+    <Typography gutterBottom>{heading}</Typography>
+    <Box display="flex" alignItems="center" gap={2}>
+      <Slider
+        aria-label={label}
+        value={value}
+        disabled={disabled}
+        min={range.min}
+        max={range.max}
+        step={0.01}
+        onChange={(event, newValue) => onSlide(newValue)}
+        onChangeCommitted={onSlideEnd}
+        valueLabelDisplay="auto"
+      />
+      <NumberField label={`${label} value`} value={value} disabled={disabled} onCommit={onEnter} sx={{ flexShrink: 0 }} />
+    </Box>
+    {children}
+  </Box>
+);
+
+export default ParameterControl;
@@ -0,0 +1,136 @@
+// src/components/NeuralNetworkViz/ParameterSettings.js
+
+import React, { useId } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import CasinoIcon from '@mui/icons-material/Casino';
+import { INITIALIZERS, randomSeed } from '../../engine';
+import NumberField from './NumberField';
+
+const GROUP_LABELS = { input: 'Inputs', weight: 'Weights', bias: 'Biases' };
+
+// Slider ranges per parameter group, and how weights are initialized on reset or randomize
+const ParameterSettings = ({ ranges, onRangesChange, initialization, onInitializationChange, onInitialize }) => {
+  const schemeLabelId = useId();
+  const setRange = (group, bound, value) => onRangesChange({ ...ranges, [group]: { ...ranges[group], [bound]: value } });
+  const { scheme, seed, scale } = initialization;
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Parameter Ranges and Initialization
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Every slider has a field for typing an exact value, which may go beyond the slider's range. Sharp decisions
+        need large weights - a crisp XOR uses weights around ±6 - so widen a group's range here to reach them with the
+        sliders and by dragging on the diagram.
+      </Typography>
+      <Table size="small" aria-label="Slider ranges" sx={{ maxWidth: 420, mb: 3 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Group</TableCell>
+            <TableCell>Minimum</TableCell>
+            <TableCell>Maximum</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {Object.entries(GROUP_LABELS).map(([group, label]) => (
+            <TableRow key={group}>
+              <TableCell component="th" scope="row">
+                {label}
+              </TableCell>
+              <TableCell>
+                <NumberField
+                  label={`${label} minimum`}
+                  value={ranges[group].min}
+                  step={0.5}
+                  isValid={(value) => value < ranges[group].max}
+                  onCommit={(value) => setRange(group, 'min', value)}
+                />
+              </TableCell>
+              <TableCell>
+                <NumberField
+                  label={`${label} maximum`}
+                  value={ranges[group].max}
+                  step={0.5}
+                  isValid={(value) => value > ranges[group].min}
+                  onCommit={(value) => setRange(group, 'max', value)}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {onInitialize && (
+        <>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Reset to Defaults and Initialize Weights set the weights with the scheme below and zero the biases. The random
+            schemes are driven by the seed, so the same seed always gives the same network: note it down or share it
+            to reproduce a starting point.
+          </Typography>
+          <Box display="flex" alignItems="center" gap={2} flexWrap="wrap">
+            <FormControl size="small" sx={{ minWidth: '12rem' }}>
+              <InputLabel id={schemeLabelId}>Initialization</InputLabel>
+              <Select
+                labelId={schemeLabelId}
+                label="Initialization"
+                value={scheme}
+                onChange={(event) => onInitializationChange({ ...initialization, scheme: event.target.value })}
+              >
+                {Object.entries(INITIALIZERS).map(([id, { label }]) => (
+                  <MenuItem key={id} value={id}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {scheme === 'uniform' && (
+              <NumberField
+                label="Uniform scale"
+                value={scale}
+                step={0.5}
+                isValid={(value) => value > 0}
+                onCommit={(value) => onInitializationChange({ ...initialization, scale: value })}
+              />
+            )}
+            {scheme !== 'constant' && (
+              <>
+                <NumberField
+                  label="Random seed"
+                  value={seed}
+                  step={1}
+                  isValid={(value) => Number.isInteger(value) && value >= 0}
+                  onCommit={(value) => onInitializationChange({ ...initialization, seed: value })}
+                />
+                <Button variant="text" startIcon={<CasinoIcon />} onClick={() => onInitializationChange({ ...initialization, seed: randomSeed() })}>
+                  New Seed
+                </Button>
+              </>
+            )}
+            <Button variant="outlined" onClick={onInitialize}>
+              Initialize Weights
+            </Button>
+          </Box>
+          <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+            {INITIALIZERS[scheme].label}: {INITIALIZERS[scheme].description}.
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ParameterSettings;
@@ -0,0 +1,210 @@
+// src/components/NeuralNetworkViz/SensitivityPanel.js
+
+import React, { useId, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  useTheme,
+} from '@mui/material';
+import {
+  computeSensitivity,
+  getConnections,
+  getLayerNodes,
+  gradientTimesInput,
+  integratedGradients,
+} from '../../engine';
+import { getWeightColor } from './colors';
+
+const SHOWN_BARS = 10;
+const FILTERS = { all: 'All', weight: 'Weights', bias: 'Biases', input: 'Inputs' };
+
+const f = (value) => value.toFixed(3);
+
+// Every derivative as one entry, strongest first
+const rankSensitivity = (architecture, sensitivity) => {
+  const entries = [
+    ...getConnections(architecture).map(({ key, from, to }) => ({
+      kind: 'weight',
+      key,
+      label: `${from} → ${to} weight`,
+      value: sensitivity.weights[key],
+    })),
+    ...Object.keys(sensitivity.biases).map((id) => ({ kind: 'bias', key: id, label: `${id} bias`, value: sensitivity.biases[id] })),
+    ...Object.keys(sensitivity.inputs).map((id) => ({ kind: 'input', key: id, label: `Input ${id}`, value: sensitivity.inputs[id] })),
+  ];
+  return entries.sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+};
+
+// The derivative of an output with respect to every parameter and input, and how much of the
+// output each input accounts for
+const SensitivityPanel = ({
+  architecture,
+  weights,
+  biases,
+  inputs,
+  outputId,
+  onOutputChange,
+  showOnDiagram,
+  onShowOnDiagramChange,
+}) => {
+  const theme = useTheme();
+  const outputLabelId = useId();
+  const [filter, setFilter] = useState('all');
+  const [showAll, setShowAll] = useState(false);
+
+  const layers = useMemo(() => getLayerNodes(architecture), [architecture]);
+  const inputIds = layers[0];
+  const outputIds = layers[layers.length - 1];
+
+  const sensitivity = useMemo(
+    () => computeSensitivity(architecture, weights, biases, inputs, outputId),
+    [architecture, weights, biases, inputs, outputId]
+  );
+  const ranked = useMemo(() => rankSensitivity(architecture, sensitivity), [architecture, sensitivity]);
+  const attribution = useMemo(
+    () => ({
+      gradientTimesInput: gradientTimesInput(architecture, weights, biases, inputs, outputId),
+      integrated: integratedGradients(architecture, weights, biases, inputs, outputId),
+    }),
+    [architecture, weights, biases, inputs, outputId]
+  );
+
+  const filtered = ranked.filter(({ kind }) => filter === 'all' || kind === filter);
+  const shown = showAll ? filtered : filtered.slice(0, SHOWN_BARS);
+  const largest = Math.max(...filtered.map(({ value }) => Math.abs(value)), 1e-9);
+  const { attributions, output, baselineOutput } = attribution.integrated;
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Sensitivity: Which Connection Matters Most?
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        For the current inputs, each bar is the partial derivative of Output {outputId} with respect to one weight,
+        bias or input: how much the output would change for a tiny nudge to it. A bar to the right means nudging it
+        up raises the output; a long bar means the output is very sensitive to it. These are the same derivatives
+        training uses, measured on the output itself instead of the loss. Connections from a neuron that is
+        switched off, and neurons in a flat part of their activation curve, have almost no influence.
+      </Typography>
+
+      <Box display="flex" alignItems="center" gap={2} flexWrap="wrap" mb={2}>
+        {outputIds.length > 1 && (
+          <FormControl size="small" sx={{ minWidth: '8rem' }}>
+            <InputLabel id={outputLabelId}>Output neuron</InputLabel>
+            <Select
+              labelId={outputLabelId}
+              label="Output neuron"
+              value={outputId}
+              onChange={(event) => onOutputChange(event.target.value)}
+            >
+              {outputIds.map((id) => (
+                <MenuItem key={id} value={id}>
+                  {id}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={filter}
+          onChange={(event, value) => value && setFilter(value)}
+          aria-label="Sensitivity to"
+        >
+          {Object.entries(FILTERS).map(([id, label]) => (
+            <ToggleButton key={id} value={id}>
+              {label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <FormControlLabel
+          control={<Switch checked={showOnDiagram} onChange={(event) => onShowOnDiagramChange(event.target.checked)} />}
+          label="Glow on the diagram"
+        />
+      </Box>
+
+      <Box component="ol" aria-label={`Sensitivity of Output ${outputId}`} sx={{ listStyle: 'none', p: 0, m: 0, maxWidth: 640 }}>
+        {shown.map(({ kind, key, label, value }) => (
+          <Box component="li" key={`${kind}-${key}`} display="grid" gridTemplateColumns="9rem 1fr 4.5rem" alignItems="center" gap={1} mb={0.5}>
+            <Typography variant="body2">{label}</Typography>
+            <Box position="relative" height={14} sx={{ borderLeft: 1, borderRight: 1, borderColor: 'divider' }}>
+              <Box position="absolute" left="50%" top={0} bottom={0} sx={{ borderLeft: 1, borderColor: 'text.secondary' }} />
+              <Box
+                position="absolute"
+                top={2}
+                bottom={2}
+                left={value >= 0 ? '50%' : `${50 - (50 * Math.abs(value)) / largest}%`}
+                width={`${(50 * Math.abs(value)) / largest}%`}
+                sx={{ backgroundColor: getWeightColor(value >= 0 ? 1 : -1, theme.network?.palette) }}
+              />
+            </Box>
+            <Typography variant="body2" align="right">
+              {value >= 0 ? '+' : ''}
+              {f(value)}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+      {filtered.length > SHOWN_BARS && (
+        <Button size="small" onClick={() => setShowAll((all) => !all)}>
+          {showAll ? `Show the top ${SHOWN_BARS}` : `Show all ${filtered.length}`}
+        </Button>
+      )}
+
+      <Typography variant="h6" mt={3} gutterBottom>
+        Why is Output {outputId} {output.toFixed(2)}?
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Attribution splits the output between the inputs. <em>Gradient × input</em> multiplies each input by the
+        output's sensitivity to it, which is quick but only looks at the slope right here. <em>Integrated
+        gradients</em> add up that slope along the whole way from every input being 0 to the current values, so the
+        attributions always add up to how far the output moved from its value with all inputs at 0.
+      </Typography>
+      <Table size="small" aria-label="Input attribution" sx={{ maxWidth: 640 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Input</TableCell>
+            <TableCell align="right">Value</TableCell>
+            <TableCell align="right">Sensitivity</TableCell>
+            <TableCell align="right">Gradient × input</TableCell>
+            <TableCell align="right">Integrated gradients</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {inputIds.map((id) => (
+            <TableRow key={id}>
+              <TableCell component="th" scope="row">
+                Input {id}
+              </TableCell>
+              <TableCell align="right">{inputs[id].toFixed(2)}</TableCell>
+              <TableCell align="right">{f(sensitivity.inputs[id])}</TableCell>
+              <TableCell align="right">{f(attribution.gradientTimesInput[id])}</TableCell>
+              <TableCell align="right">{f(attributions[id])}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <Typography variant="body2" color="text.secondary" mt={1}>
+        Integrated gradients total {f(Object.values(attributions).reduce((total, value) => total + value, 0))}: the
+        output {f(output)} minus {f(baselineOutput)} with every input at 0.
+      </Typography>
+    </Box>
+  );
+};
+
+export default SensitivityPanel;
@@ -0,0 +1,118 @@
+// src/components/NeuralNetworkViz/StepControls.js
+
+import React, { useEffect, useState } from 'react';
+import {
+  Typography,
+  Button,
+  Box,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PauseIcon from '@mui/icons-material/Pause';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+import SkipPreviousIcon from '@mui/icons-material/SkipPrevious';
+import NumberField from './NumberField';
+
+const AUTO_PLAY_INTERVAL = 1500;
+
+// Controls for walking through a forward and backward pass on the main canvas
+const StepControls = ({
+  enabled,
+  onEnabledChange,
+  steps,
+  stepIndex,
+  onStepIndexChange,
+  outputIds,
+  targets,
+  onTargetChange,
+}) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const step = enabled ? steps[stepIndex] : null;
+  const isLastStep = stepIndex >= steps.length - 1;
+
+  useEffect(() => {
+    if (!enabled || !isPlaying) return undefined;
+    if (isLastStep) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => onStepIndexChange(stepIndex + 1), AUTO_PLAY_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [enabled, isPlaying, isLastStep, stepIndex, onStepIndexChange]);
+
+  return (
+    <Box width="100%" maxWidth="800px" mt={1}>
+      <Box display="flex" alignItems="center" flexWrap="wrap" gap={1}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={enabled}
+              onChange={(event) => {
+                setIsPlaying(false);
+                onEnabledChange(event.target.checked);
+              }}
+            />
+          }
+          label="Step mode"
+        />
+        {enabled && (
+          <>
+            <Button
+              size="small"
+              variant="outlined"
+              onClick={() => onStepIndexChange(stepIndex - 1)}
+              disabled={stepIndex <= 0}
+              startIcon={<SkipPreviousIcon />}
+            >
+              Previous
+            </Button>
+            <Button
+              size="small"
+              variant="contained"
+              onClick={() => {
+                if (isLastStep) onStepIndexChange(0);
+                setIsPlaying((playing) => !playing);
+              }}
+              startIcon={isPlaying ? <PauseIcon /> : <PlayArrowIcon />}
+            >
+              {isPlaying ? 'Pause' : 'Auto-play'}
+            </Button>
+            <Button
+              size="small"
+              variant="outlined"
+              onClick={() => onStepIndexChange(stepIndex + 1)}
+              disabled={isLastStep}
+              endIcon={<SkipNextIcon />}
+            >
+              Next
+            </Button>
+            {outputIds.map((id) => (
+              <NumberField
+                key={id}
+                label={`Target ${id}`}
+                showLabel
+                value={targets[id]}
+                step={0.1}
+                onCommit={(value) => onTargetChange(id, value)}
+              />
+            ))}
+          </>
+        )}
+      </Box>
+      {step && (
+        <Box mt={1} aria-live="polite">
+          <Typography variant="body2" fontWeight={600}>
+            Step {stepIndex + 1} of {steps.length} ({step.phase === 'forward' ? 'forward pass' : 'backward pass'}):{' '}
+            {step.title}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {step.description}
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default StepControls;
@@ -0,0 +1,247 @@
+// src/components/NeuralNetworkViz/TrainingPanel.js
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Typography,
+  Slider,
+  Button,
+  Box,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PauseIcon from '@mui/icons-material/Pause';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+import LossChart from './LossChart';
+import {
+  DATASETS,
+  buildDataset,
+  datasetLoss,
+  forwardPass,
+  getLayerNodes,
+  trainEpoch,
+} from '../../engine';
+
+const EPOCHS_PER_FRAME = 10;
+const MAX_HISTORY = 500;
+
+const DEFAULT_CUSTOM_DATASET = '0 0 0\n0 1 1\n1 0 1\n1 1 0';
+
+// `onParametersChange` receives the parameters after every batch of epochs, and `onRunEnd` is
+// called when a run stops: on pause, after a single step and before a new run starts.
+const TrainingPanel = ({ architecture, weights, biases, onParametersChange, onRunEnd, onRandomize }) => {
+  const [datasetId, setDatasetId] = useState('xor');
+  const [customText, setCustomText] = useState(DEFAULT_CUSTOM_DATASET);
+  const [learningRate, setLearningRate] = useState(0.5);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [epoch, setEpoch] = useState(0);
+  const [history, setHistory] = useState([]);
+
+  // The animation loop reads the latest parameters from refs so it never trains on stale props
+  const paramsRef = useRef({ weights, biases });
+  paramsRef.current = { weights, biases };
+  const epochRef = useRef(epoch);
+  epochRef.current = epoch;
+
+  const dataset = useMemo(
+    () => buildDataset(architecture, datasetId, customText),
+    [architecture, datasetId, customText]
+  );
+  const samples = dataset.samples;
+
+  const outputIds = useMemo(() => {
+    const layers = getLayerNodes(architecture);
+    return layers[layers.length - 1];
+  }, [architecture]);
+
+  // A new architecture or dataset starts a fresh training run
+  useEffect(() => {
+    setIsPlaying(false);
+    setEpoch(0);
+    setHistory([]);
+  }, [architecture, datasetId]);
+
+  const runEpochs = (count) => {
+    if (!samples) return;
+    let { weights: nextWeights, biases: nextBiases } = paramsRef.current;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const result = trainEpoch(architecture, nextWeights, nextBiases, samples, learningRate);
+      nextWeights = result.weights;
+      nextBiases = result.biases;
+      points.push({ epoch: epochRef.current + i + 1, loss: result.loss });
+    }
+    paramsRef.current = { weights: nextWeights, biases: nextBiases };
+    epochRef.current += count;
+    onParametersChange(nextWeights, nextBiases);
+    setEpoch(epochRef.current);
+    setHistory((prev) => [...prev, ...points].slice(-MAX_HISTORY));
+  };
+
+  // Keep a handle on the latest runEpochs so the animation loop below only restarts on play/pause
+  const runEpochsRef = useRef(runEpochs);
+  runEpochsRef.current = runEpochs;
+  const onRunEndRef = useRef(onRunEnd);
+  onRunEndRef.current = onRunEnd;
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    let frame;
+    const tick = () => {
+      runEpochsRef.current(EPOCHS_PER_FRAME);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => {
+      cancelAnimationFrame(frame);
+      onRunEndRef.current?.();
+    };
+  }, [isPlaying]);
+
+  useEffect(() => {
+    if (!samples) setIsPlaying(false);
+  }, [samples]);
+
+  const resetTraining = () => {
+    setIsPlaying(false);
+    setEpoch(0);
+    setHistory([]);
+  };
+
+  // Equal starting weights make every hidden neuron learn the same thing, so
+  // training usually starts from random values drawn with a fresh seed instead.
+  const randomizeWeights = () => {
+    onRandomize();
+    resetTraining();
+  };
+
+  const currentLoss = samples ? datasetLoss(architecture, weights, biases, samples) : null;
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Training: Letting the Network Learn
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Instead of moving every slider by hand, the network can find its own weights. Each training
+        <em> epoch</em> runs every example of the dataset through the network, measures how far the
+        outputs are from the targets (the <em>loss</em>), and uses <em>backpropagation</em> to nudge
+        every weight and bias in the direction that reduces that loss. The learning rate controls how
+        big each nudge is.
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        If every weight starts at the same value, both hidden neurons receive identical updates and
+        stay identical forever. Randomize the weights before training XOR to break that symmetry; the seed
+        it picks is shown under Parameter Ranges and Initialization, so a run can be repeated.
+      </Typography>
+
+      <Box display="flex" flexWrap="wrap" gap={4}>
+        <Box flex="1 1 300px">
+          <Typography gutterBottom>Dataset</Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={datasetId}
+            onChange={(event, value) => value && setDatasetId(value)}
+            aria-label="Training dataset"
+          >
+            {Object.entries(DATASETS).map(([id, { label }]) => (
+              <ToggleButton key={id} value={id}>
+                {label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+
+          {datasetId === 'custom' && (
+            <TextField
+              label="One sample per line: inputs then targets"
+              multiline
+              minRows={4}
+              fullWidth
+              margin="normal"
+              value={customText}
+              onChange={(event) => setCustomText(event.target.value)}
+              error={Boolean(dataset.error)}
+              helperText={dataset.error}
+            />
+          )}
+
+          <Box mt={2}>
+            <Typography gutterBottom>Learning rate: {learningRate.toFixed(2)}</Typography>
+            <Slider
+              aria-label="Learning rate"
+              value={learningRate}
+              min={0.05}
+              max={5}
+              step={0.05}
+              onChange={(event, newValue) => setLearningRate(newValue)}
+              valueLabelDisplay="auto"
+            />
+          </Box>
+
+          <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+            <Button
+              variant="contained"
+              color="primary"
+              onClick={() => {
+                if (!isPlaying) onRunEnd?.();
+                setIsPlaying(!isPlaying);
+              }}
+              disabled={!samples}
+              startIcon={isPlaying ? <PauseIcon /> : <PlayArrowIcon />}
+            >
+              {isPlaying ? 'Pause' : 'Play'}
+            </Button>
+            <Button
+              variant="outlined"
+              onClick={() => {
+                onRunEnd?.();
+                runEpochs(1);
+                onRunEnd?.();
+              }}
+              disabled={!samples || isPlaying}
+              startIcon={<SkipNextIcon />}
+            >
+              Step
+            </Button>
+            <Button variant="outlined" onClick={randomizeWeights}>
+              Randomize Weights
+            </Button>
+            <Button variant="text" onClick={resetTraining}>
+              Reset Training
+            </Button>
+          </Box>
+
+          <Typography variant="body2" color="text.secondary" mt={2}>
+            Epoch: {epoch}
+            {currentLoss !== null && ` · Loss: ${currentLoss.toFixed(4)}`}
+          </Typography>
+
+          {samples && samples.length <= 16 && (
+            <Box component="ul" mt={1} pl={3}>
+              {samples.map(({ inputs: sampleInputs, targets }, index) => {
+                const outputs = forwardPass(architecture, weights, biases, sampleInputs);
+                return (
+                  <li key={index}>
+                    <Typography variant="caption" color="text.secondary">
+                      {Object.values(sampleInputs).join(', ')} → target{' '}
+                      {outputIds.map((id) => targets[id]).join(', ')}, output{' '}
+                      {outputIds.map((id) => outputs[id].toFixed(2)).join(', ')}
+                    </Typography>
+                  </li>
+                );
+              })}
+            </Box>
+          )}
+        </Box>
+
+        <Box flex="1 1 300px">
+          <LossChart history={history} />
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default TrainingPanel;
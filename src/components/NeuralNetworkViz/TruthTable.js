@@ -0,0 +1,202 @@
+// src/components/NeuralNetworkViz/TruthTable.js
+
+import React, { useId, useMemo, useState } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  useTheme,
+} from '@mui/material';
+import { buildInputGrid, evaluateInputSets, getLayerNodes, identifyLogicFunction } from '../../engine';
+import { getActivationColor } from './colors';
+
+const GRID_STEPS = [3, 5, 11];
+
+const f = (value) => value.toFixed(2);
+
+// The network on the corners of the input space, or on a grid over the first two inputs
+const TruthTable = ({ architecture, weights, biases, inputs }) => {
+  const idPrefix = useId();
+  const theme = useTheme();
+  const [mode, setMode] = useState('corners');
+  const [gridSteps, setGridSteps] = useState(5);
+  const [selectedOutput, setSelectedOutput] = useState(null);
+
+  const layers = useMemo(() => getLayerNodes(architecture), [architecture]);
+  const inputIds = layers[0];
+  const outputIds = layers[layers.length - 1];
+  const [xId, yId] = inputIds;
+  const outputId = outputIds.includes(selectedOutput) ? selectedOutput : outputIds[0];
+
+  const corners = useMemo(
+    () => evaluateInputSets(architecture, weights, biases, buildInputGrid(inputs, inputIds, 2)),
+    [architecture, weights, biases, inputs, inputIds]
+  );
+  // One row per value of Input B, from the top down like the decision boundary plot; Input B varies
+  // fastest in the grid
+  const grid = useMemo(() => {
+    if (mode !== 'grid') return null;
+    const points = evaluateInputSets(architecture, weights, biases, buildInputGrid(inputs, inputIds.slice(0, 2), gridSteps));
+    const rowCount = yId ? gridSteps : 1;
+    return Array.from({ length: rowCount }, (_, row) => points.filter((_, index) => index % rowCount === row)).reverse();
+  }, [mode, architecture, weights, biases, inputs, inputIds, yId, gridSteps]);
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Truth Table: What Function Is This?
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Instead of dragging the inputs through every combination by hand, the table runs the network on all
+        of them at once and updates as you change the parameters. The corners are every input switched fully
+        off (0) or on (1); reading an output of 0.5 or more as on shows which logic gate the network computes.
+        The grid fills in the values in between for Input {xId}
+        {yId ? ` and Input ${yId}` : ''}
+        {inputIds.length > 2 ? ', with the other inputs held at their slider values' : ''}.
+      </Typography>
+
+      <Box display="flex" alignItems="center" gap={2} flexWrap="wrap" mb={2}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={mode}
+          onChange={(event, value) => value && setMode(value)}
+          aria-label="Truth table inputs"
+        >
+          <ToggleButton value="corners">Corners</ToggleButton>
+          <ToggleButton value="grid">Grid</ToggleButton>
+        </ToggleButtonGroup>
+        {mode === 'grid' && (
+          <FormControl size="small" sx={{ minWidth: '8rem' }}>
+            <InputLabel id={`${idPrefix}grid-steps-label`}>Grid steps</InputLabel>
+            <Select
+              labelId={`${idPrefix}grid-steps-label`}
+              label="Grid steps"
+              value={gridSteps}
+              onChange={(event) => setGridSteps(event.target.value)}
+            >
+              {GRID_STEPS.map((steps) => (
+                <MenuItem key={steps} value={steps}>
+                  {steps} (every {f(1 / (steps - 1))})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+        {mode === 'grid' && outputIds.length > 1 && (
+          <FormControl size="small" sx={{ minWidth: '8rem' }}>
+            <InputLabel id={`${idPrefix}output-label`}>Output neuron</InputLabel>
+            <Select
+              labelId={`${idPrefix}output-label`}
+              label="Output neuron"
+              value={outputId}
+              onChange={(event) => setSelectedOutput(event.target.value)}
+            >
+              {outputIds.map((id) => (
+                <MenuItem key={id} value={id}>
+                  {id}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
+
+      {mode === 'corners' ? (
+        <>
+          <TableContainer sx={{ maxHeight: 400, maxWidth: 800 }}>
+            <Table size="small" stickyHeader aria-label="Truth table">
+              <TableHead>
+                <TableRow>
+                  {inputIds.map((id) => (
+                    <TableCell key={id} align="center">
+                      {id}
+                    </TableCell>
+                  ))}
+                  {outputIds.map((id) => (
+                    <TableCell key={id} align="right">
+                      {id}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {corners.map(({ inputs: cornerInputs, activations }) => (
+                  <TableRow key={inputIds.map((id) => cornerInputs[id]).join('')}>
+                    {inputIds.map((id) => (
+                      <TableCell key={id} align="center">
+                        {cornerInputs[id]}
+                      </TableCell>
+                    ))}
+                    {outputIds.map((id) => (
+                      <TableCell key={id} align="right">
+                        {f(activations[id])} → {activations[id] >= 0.5 ? 1 : 0}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {outputIds.map((id) => {
+            const name = identifyLogicFunction(architecture, corners, id);
+            return (
+              <Typography key={id} variant="body2" mt={1}>
+                Output {id}: {name ? <strong>{name}</strong> : 'not one of the common logic gates'}
+              </Typography>
+            );
+          })}
+        </>
+      ) : (
+        <TableContainer sx={{ maxWidth: 800 }}>
+          <Table size="small" aria-label={`Output ${outputId} on a grid of inputs`}>
+            <TableHead>
+              <TableRow>
+                <TableCell>{yId ? `${yId} \\ ${xId}` : xId}</TableCell>
+                {grid[0].map(({ inputs: cellInputs }) => (
+                  <TableCell key={cellInputs[xId]} align="center">
+                    {f(cellInputs[xId])}
+                  </TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {grid.map((row) => (
+                <TableRow key={yId ? row[0].inputs[yId] : 'row'}>
+                  <TableCell component="th" scope="row">
+                    {yId ? f(row[0].inputs[yId]) : ''}
+                  </TableCell>
+                  {row.map(({ inputs: cellInputs, activations }) => {
+                    const color = getActivationColor(activations[outputId], theme.network?.palette);
+                    return (
+                      <TableCell
+                        key={cellInputs[xId]}
+                        align="center"
+                        sx={{ backgroundColor: color, color: theme.palette.getContrastText(color) }}
+                      >
+                        {f(activations[outputId])}
+                      </TableCell>
+                    );
+                  })}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default TruthTable;
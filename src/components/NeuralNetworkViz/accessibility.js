@@ -0,0 +1,73 @@
+// src/components/NeuralNetworkViz/accessibility.js
+
+import { getActivation, getConnections, getLayerNodes, getNodeLabel } from '../../engine';
+
+const f = (value) => value.toFixed(2);
+
+// Readable name for every neuron id, e.g. { A: 'Input A', H1: 'Hidden Neuron 1', O: 'Output Neuron' }
+export const getNodeLabels = (architecture) =>
+  Object.fromEntries(
+    getLayerNodes(architecture).flatMap((ids, layerIndex) =>
+      ids.map((id, neuronIndex) => [id, getNodeLabel(architecture, layerIndex, neuronIndex)])
+    )
+  );
+
+// Keyboard order through the diagram, following the signal from left to right:
+// each layer's neurons, then the connections leaving that layer
+export const getFocusOrder = (architecture) => {
+  const layers = getLayerNodes(architecture);
+  const connections = getConnections(architecture);
+  return layers.flatMap((ids, layerIndex) => [
+    ...ids.map((id) => ({ type: 'node', id })),
+    ...connections
+      .filter((connection) => connection.layerIndex === layerIndex + 1)
+      .map(({ key }) => ({ type: 'edge', key })),
+  ]);
+};
+
+// One sentence for a neuron or connection with its current numbers
+export const describeTarget = (architecture, target, { weights, biases, inputs, sums, activations }) => {
+  const labels = getNodeLabels(architecture);
+  if (target.type === 'edge') {
+    const { from, to } = getConnections(architecture).find(({ key }) => key === target.key);
+    const value = from in inputs ? inputs[from] : activations[from];
+    return `Connection from ${labels[from]} to ${labels[to]}, weight ${f(weights[target.key])}, contributes ${f(value * weights[target.key])}`;
+  }
+  if (target.id in inputs) {
+    return `${labels[target.id]}, value ${f(inputs[target.id])}`;
+  }
+  return `${labels[target.id]}, bias ${f(biases[target.id])}, weighted sum ${f(sums[target.id])}, activation ${f(activations[target.id])}`;
+};
+
+const MAX_ANNOUNCED_CHANGES = 3;
+
+// Announce activations that changed at two-decimal precision, e.g.
+// "Hidden Neuron 1 activation rose to 0.82". Empty when nothing visible changed.
+export const describeActivationChanges = (architecture, previous, next) => {
+  const labels = getNodeLabels(architecture);
+  const changes = Object.keys(next)
+    .filter((id) => id in previous && f(previous[id]) !== f(next[id]))
+    .map((id) => `${labels[id]} activation ${next[id] > previous[id] ? 'rose' : 'fell'} to ${f(next[id])}`);
+  if (changes.length > MAX_ANNOUNCED_CHANGES) {
+    const hidden = changes.length - MAX_ANNOUNCED_CHANGES;
+    return `${changes.slice(0, MAX_ANNOUNCED_CHANGES).join(', ')}, and ${hidden} more ${hidden === 1 ? 'neuron' : 'neurons'} changed`;
+  }
+  return changes.join(', ');
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Summary of the architecture, e.g. "2 inputs, a hidden layer of 2 Sigmoid neurons and 1 Sigmoid output neuron"
+export const describeArchitecture = (architecture) => {
+  const hidden = architecture.slice(1, -1).map(
+    (layer, index) =>
+      `${architecture.length > 3 ? `hidden layer ${index + 1}` : 'a hidden layer'} of ${plural(layer.size, `${getActivation(layer.activation).label} neuron`)}`
+  );
+  const output = architecture[architecture.length - 1];
+  const parts = [
+    plural(architecture[0].size, 'input'),
+    ...hidden,
+    plural(output.size, `${getActivation(output.activation).label} output neuron`),
+  ];
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
@@ -0,0 +1,36 @@
+import { DEFAULT_ARCHITECTURE } from '../../engine';
+import { describeActivationChanges, describeArchitecture, getFocusOrder } from './accessibility';
+
+describe('getFocusOrder', () => {
+  test('follows the signal through each layer and the connections leaving it', () => {
+    const order = getFocusOrder(DEFAULT_ARCHITECTURE).map((target) => target.id ?? target.key);
+    expect(order).toEqual(['A', 'B', 'A->H1', 'A->H2', 'B->H1', 'B->H2', 'H1', 'H2', 'H1->O', 'H2->O', 'O']);
+  });
+});
+
+describe('describeActivationChanges', () => {
+  test('names each neuron whose rounded activation changed', () => {
+    expect(describeActivationChanges(DEFAULT_ARCHITECTURE, { H1: 0.5, H2: 0.5, O: 0.7 }, { H1: 0.82, H2: 0.501, O: 0.6 })).toBe(
+      'Hidden Neuron 1 activation rose to 0.82, Output Neuron activation fell to 0.60'
+    );
+  });
+
+  test('is empty when nothing visible changed', () => {
+    expect(describeActivationChanges(DEFAULT_ARCHITECTURE, { H1: 0.5 }, { H1: 0.501 })).toBe('');
+  });
+
+  test('summarises long lists of changes', () => {
+    const architecture = [{ size: 1 }, { size: 5, activation: 'relu' }];
+    const previous = { O1: 0, O2: 0, O3: 0, O4: 0, O5: 0 };
+    const next = { O1: 1, O2: 1, O3: 1, O4: 1, O5: 1 };
+    expect(describeActivationChanges(architecture, previous, next)).toMatch(/, and 2 more neurons changed$/);
+  });
+});
+
+describe('describeArchitecture', () => {
+  test('summarises the layers', () => {
+    expect(describeArchitecture(DEFAULT_ARCHITECTURE)).toBe(
+      '2 inputs, a hidden layer of 2 Sigmoid neurons and 1 Sigmoid output neuron'
+    );
+  });
+});
@@ -0,0 +1,155 @@
+// src/components/NeuralNetworkViz/colors.js
+
+// Blend two RGB colors, t in [0,1], optionally with an alpha
+const mixColor = (start, end, t, alpha = null) => {
+  const r = Math.round(start.r + (end.r - start.r) * t);
+  const g = Math.round(start.g + (end.g - start.g) * t);
+  const b = Math.round(start.b + (end.b - start.b) * t);
+  return alpha === null ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+// Sample a list of evenly spaced color stops, t in [0,1]
+const sampleStops = (stops, t, alpha = null) => {
+  const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  return mixColor(stops[index], stops[index + 1], position - index, alpha);
+};
+
+// Activations in [0,1] run from `low` to `high`. Negative outputs (tanh, leaky ReLU, linear) fade
+// towards `negative`, reaching it at -1; outputs above 1 (ReLU, linear) approach `overflow` asymptotically.
+const activationScale = ({ low, high, negative, overflow, stops }) => (activation) => {
+  if (activation < 0) {
+    return mixColor(low, negative, Math.min(-activation, 1));
+  }
+  if (activation > 1) {
+    return mixColor(high, overflow, 1 - Math.exp(-(activation - 1)));
+  }
+  return stops ? sampleStops(stops, activation) : mixColor(low, high, activation);
+};
+
+// Weights fade in with their magnitude, in one color per sign
+const signedWeightScale = (positive, negative) => (weight) => {
+  const intensity = Math.min(Math.abs(weight), 1);
+  if (weight > 0) return `rgba(${positive.join(', ')}, ${intensity})`;
+  if (weight < 0) return `rgba(${negative.join(', ')}, ${intensity})`;
+  return `rgba(100, 100, 100, 0.5)`;
+};
+
+const VIRIDIS = [
+  { r: 68, g: 1, b: 84 },
+  { r: 59, g: 82, b: 139 },
+  { r: 33, g: 145, b: 140 },
+  { r: 94, g: 201, b: 98 },
+  { r: 253, g: 231, b: 37 },
+];
+
+// Palettes for weights and activations. Every palette pairs with dashed lines for negative
+// weights and line width for magnitude, so the sign never depends on color alone. `names` are
+// the colors in words, for the explanations that refer to them.
+export const PALETTES = {
+  classic: {
+    label: 'Green and red',
+    getWeightColor: (weight) => {
+      const intensity = Math.min(Math.abs(weight), 1);
+      if (weight > 0) return `rgba(0, ${150 + 105 * intensity}, 0, ${intensity})`;
+      if (weight < 0) return `rgba(${150 + 105 * intensity}, 0, 0, ${intensity})`;
+      return `rgba(100, 100, 100, 0.5)`;
+    },
+    // Pale yellow to orange
+    getActivationColor: activationScale({
+      low: { r: 255, g: 249, b: 196 },
+      high: { r: 255, g: 152, b: 0 },
+      negative: { r: 30, g: 136, b: 229 },
+      overflow: { r: 191, g: 54, b: 12 },
+    }),
+    names: {
+      positiveWeight: 'green',
+      negativeWeight: 'red',
+      lowActivation: 'pale yellow',
+      highActivation: 'deep orange',
+      overflowActivation: 'dark red',
+      negativeActivation: 'blue',
+    },
+  },
+  'blue-orange': {
+    label: 'Blue and orange (colorblind safe)',
+    getWeightColor: signedWeightScale([33, 113, 181], [230, 97, 1]),
+    // Pale to deep blue, with orange for negative outputs
+    getActivationColor: activationScale({
+      low: { r: 239, g: 243, b: 255 },
+      high: { r: 33, g: 113, b: 181 },
+      negative: { r: 230, g: 97, b: 1 },
+      overflow: { r: 8, g: 48, b: 107 },
+    }),
+    names: {
+      positiveWeight: 'blue',
+      negativeWeight: 'orange',
+      lowActivation: 'pale blue',
+      highActivation: 'blue',
+      overflowActivation: 'navy',
+      negativeActivation: 'orange',
+    },
+  },
+  viridis: {
+    label: 'Viridis (colorblind safe)',
+    // -1 is purple, 0 teal and +1 yellow, fading in with the magnitude like the other palettes
+    getWeightColor: (weight) => {
+      if (weight === 0) return `rgba(100, 100, 100, 0.5)`;
+      const clamped = Math.min(Math.max(weight, -1), 1);
+      return sampleStops(VIRIDIS, (clamped + 1) / 2, Math.abs(clamped));
+    },
+    getActivationColor: activationScale({
+      low: VIRIDIS[0],
+      high: VIRIDIS[VIRIDIS.length - 1],
+      negative: { r: 120, g: 120, b: 120 },
+      overflow: { r: 255, g: 255, b: 255 },
+      stops: VIRIDIS,
+    }),
+    names: {
+      positiveWeight: 'yellow',
+      negativeWeight: 'purple',
+      lowActivation: 'dark purple',
+      highActivation: 'yellow',
+      overflowActivation: 'pale yellow',
+      negativeActivation: 'grey',
+    },
+  },
+};
+
+export const DEFAULT_PALETTE = 'classic';
+
+const getPalette = (palette) => (Object.hasOwn(PALETTES, palette) ? PALETTES[palette] : PALETTES[DEFAULT_PALETTE]);
+
+export const getWeightColor = (weight, palette = DEFAULT_PALETTE) => getPalette(palette).getWeightColor(weight);
+
+export const getActivationColor = (activation, palette = DEFAULT_PALETTE) =>
+  getPalette(palette).getActivationColor(activation);
+
+export const getColorNames = (palette = DEFAULT_PALETTE) => getPalette(palette).names;
+
+// Distinct colors for one marker or line per neuron in the charts
+export const SERIES_COLORS = ['#00796b', '#6a1b9a', '#c62828', '#1565c0', '#ef6c00', '#2e7d32', '#ad1457', '#4e342e'];
+
+// Stroke width and dash pattern for a weight: thicker when stronger, dashed when negative
+export const getWeightStroke = (weight) => ({
+  width: 1.5 + 3 * Math.min(Math.abs(weight), 1),
+  dash: weight < 0 ? [8, 5] : null,
+});
+
+/**
+ * Colors for drawing the network diagram in a color mode with a palette.
+ * Carried on the MUI theme as `theme.network`.
+ * @param {{ mode?: 'light' | 'dark', palette?: string }} options
+ */
+export const getNetworkColors = ({ mode = 'light', palette = DEFAULT_PALETTE } = {}) => {
+  const dark = mode === 'dark';
+  return {
+    palette,
+    text: dark ? '#e0e0e0' : '#333',
+    background: dark ? '#1e1e1e' : '#ffffff',
+    highlight: dark ? '#64b5f6' : '#1565c0',
+    highlightGlow: dark ? 'rgba(100, 181, 246, 0.4)' : 'rgba(21, 101, 192, 0.35)',
+    hoverGlow: dark ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.15)',
+    pendingFill: dark ? '#424242' : '#eeeeee',
+  };
+};
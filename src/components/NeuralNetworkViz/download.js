@@ -0,0 +1,11 @@
+// src/components/NeuralNetworkViz/download.js
+
+// Save a blob as a file through a temporary link
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,70 @@
+// src/components/NeuralNetworkViz/layout.js
+
+import { getNodeId, getNodeLabel } from '../../engine';
+
+// How close (in logical pixels) the pointer has to be to a connection to grab it
+const EDGE_HIT_DISTANCE = 8;
+// Space left and right of the outer layers, and the span the layers share up to the width of 800
+const SIDE_MARGIN = 150;
+const LAYER_SPAN = 500;
+// Closer than this, the weight and activation labels of neighbouring layers run into each other
+const MIN_LAYER_GAP = 200;
+
+// Canvas layout: layers spread across the width, neurons centred vertically in each layer. Deep
+// networks get a wider canvas so their layers stay far enough apart to read.
+export const layoutNetwork = (architecture) => {
+  const layerGap = Math.max(MIN_LAYER_GAP, LAYER_SPAN / (architecture.length - 1));
+  const logicalWidth = 2 * SIDE_MARGIN + layerGap * (architecture.length - 1);
+  const maxLayerSize = Math.max(...architecture.map((layer) => layer.size));
+  const logicalHeight = Math.max(500, maxLayerSize * 110 + 120);
+  const nodeRadius = 30;
+  const nodes = {};
+  architecture.forEach((layer, layerIndex) => {
+    const x = SIDE_MARGIN + layerGap * layerIndex;
+    const spacing = layer.size > 1 ? Math.min(200, (logicalHeight - 200) / (layer.size - 1)) : 0;
+    for (let neuronIndex = 0; neuronIndex < layer.size; neuronIndex++) {
+      nodes[getNodeId(architecture, layerIndex, neuronIndex)] = {
+        x,
+        y: logicalHeight / 2 + (neuronIndex - (layer.size - 1) / 2) * spacing,
+        label: getNodeLabel(architecture, layerIndex, neuronIndex),
+        layerIndex,
+      };
+    }
+  });
+  return { nodes, nodeRadius, logicalWidth, logicalHeight };
+};
+
+// Connections are drawn from the right edge of one neuron to the left edge of the next
+export const getEdgeEndpoints = ({ nodes, nodeRadius }, { from, to }) => ({
+  x1: nodes[from].x + nodeRadius,
+  y1: nodes[from].y,
+  x2: nodes[to].x - nodeRadius,
+  y2: nodes[to].y,
+});
+
+const distanceToSegment = (x, y, { x1, y1, x2, y2 }) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const t = Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+};
+
+// What sits under a point in logical canvas coordinates: { type: 'node', id },
+// { type: 'edge', key } or null. Neurons win over the connections that touch them.
+export const hitTestNetwork = (layout, connections, x, y) => {
+  const node = Object.entries(layout.nodes).find(
+    ([, pos]) => Math.hypot(x - pos.x, y - pos.y) <= layout.nodeRadius
+  );
+  if (node) return { type: 'node', id: node[0] };
+
+  let closest = null;
+  let closestDistance = EDGE_HIT_DISTANCE;
+  connections.forEach((connection) => {
+    const distance = distanceToSegment(x, y, getEdgeEndpoints(layout, connection));
+    if (distance <= closestDistance) {
+      closest = connection;
+      closestDistance = distance;
+    }
+  });
+  return closest && { type: 'edge', key: closest.key };
+};
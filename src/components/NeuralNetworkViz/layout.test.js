@@ -0,0 +1,34 @@
+import { DEFAULT_ARCHITECTURE, getConnections } from '../../engine';
+import { hitTestNetwork, layoutNetwork } from './layout';
+
+describe('layoutNetwork', () => {
+  test('spreads a few layers over the standard width and widens the canvas for deep networks', () => {
+    const hidden = { size: 2, activation: 'sigmoid' };
+    expect(layoutNetwork(DEFAULT_ARCHITECTURE).logicalWidth).toBe(800);
+    expect(layoutNetwork(DEFAULT_ARCHITECTURE).nodes.H1.x).toBe(400);
+
+    const deep = layoutNetwork([{ size: 2 }, hidden, hidden, hidden, hidden, { size: 1, activation: 'sigmoid' }]);
+    expect(deep.logicalWidth).toBe(1300);
+    expect(deep.nodes['H2.1'].x - deep.nodes['H1.1'].x).toBe(200);
+    expect(deep.nodes.O.x).toBe(1150);
+  });
+});
+
+describe('hitTestNetwork', () => {
+  const layout = layoutNetwork(DEFAULT_ARCHITECTURE);
+  const connections = getConnections(DEFAULT_ARCHITECTURE);
+
+  test('finds the neuron under the point', () => {
+    const { x, y } = layout.nodes.H2;
+    expect(hitTestNetwork(layout, connections, x + 10, y - 10)).toEqual({ type: 'node', id: 'H2' });
+  });
+
+  test('finds the connection closest to the point', () => {
+    // H1 sits at (400, 150) and O at (650, 250), so the edge passes through (525, 200)
+    expect(hitTestNetwork(layout, connections, 525, 203)).toEqual({ type: 'edge', key: 'H1->O' });
+  });
+
+  test('returns null for empty space', () => {
+    expect(hitTestNetwork(layout, connections, 20, 20)).toBeNull();
+  });
+});
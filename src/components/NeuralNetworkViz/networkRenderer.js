@@ -0,0 +1,101 @@
+// src/components/NeuralNetworkViz/networkRenderer.js
+
+import { paintScene } from './networkScene';
+
+// The on-screen canvas never grows taller than this; bigger layouts are zoomed out to fit
+const MAX_VIEWPORT_HEIGHT = 1000;
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+// Below this many screen pixels per logical pixel the weight labels are too small to read, so
+// they are hidden, along with connections too weak to tell apart from the background
+const DETAIL_ZOOM = 0.4;
+const THIN_OUT_MAGNITUDE = 0.1;
+// Text is positioned by its anchor, so keep it while its anchor is this close to the visible area
+const TEXT_MARGIN = 150;
+
+// Logical size of the canvas for a layout
+export const getViewport = ({ logicalWidth, logicalHeight }) => ({
+  width: logicalWidth,
+  height: Math.min(logicalHeight, MAX_VIEWPORT_HEIGHT),
+});
+
+// A view maps layout coordinates to the viewport: screen = layout × zoom + (x, y).
+// The fitted view shows the whole layout, centred, and never enlarges it.
+export const fitView = (layout, viewport = getViewport(layout)) => {
+  const zoom = Math.min(1, viewport.width / layout.logicalWidth, viewport.height / layout.logicalHeight);
+  return {
+    zoom,
+    x: (viewport.width - layout.logicalWidth * zoom) / 2,
+    y: (viewport.height - layout.logicalHeight * zoom) / 2,
+  };
+};
+
+// Zoom by `factor`, keeping the viewport point (cx, cy) still
+export const zoomView = (view, factor, cx, cy) => {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+  const scale = zoom / view.zoom;
+  return { zoom, x: cx - (cx - view.x) * scale, y: cy - (cy - view.y) * scale };
+};
+
+export const toLayoutPoint = (view, x, y) => ({ x: (x - view.x) / view.zoom, y: (y - view.y) / view.zoom });
+
+/**
+ * The items worth painting at a view: everything off screen is culled, and when zoomed out
+ * the weight labels and the weakest connections go.
+ * @param {Array} items scene items in layout coordinates
+ * @param {{ view: object, viewport: object, screenScale?: number }} options screenScale is the
+ *   canvas' CSS width over its logical width
+ */
+export const selectVisibleItems = (items, { view, viewport, screenScale = 1 }) => {
+  const left = -view.x / view.zoom;
+  const top = -view.y / view.zoom;
+  const right = (viewport.width - view.x) / view.zoom;
+  const bottom = (viewport.height - view.y) / view.zoom;
+  const zoomedOut = view.zoom * screenScale < DETAIL_ZOOM;
+
+  return items.filter((item) => {
+    if (item.role === 'edge-label' && zoomedOut) return false;
+    if (item.role === 'edge' && zoomedOut && item.magnitude < THIN_OUT_MAGNITUDE) return false;
+    if (item.type === 'line') {
+      return (
+        Math.max(item.x1, item.x2) >= left &&
+        Math.min(item.x1, item.x2) <= right &&
+        Math.max(item.y1, item.y2) >= top &&
+        Math.min(item.y1, item.y2) <= bottom
+      );
+    }
+    const margin = item.type === 'circle' ? item.radius : TEXT_MARGIN;
+    return item.x + margin >= left && item.x - margin <= right && item.y + margin >= top && item.y - margin <= bottom;
+  });
+};
+
+/**
+ * Repaint one layer canvas with the visible part of its items. The canvas is only resized
+ * (which clears it and resets its context) when the viewport or pixel ratio changed.
+ */
+export const paintLayer = (canvas, items, { view, viewport }) => {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const devicePixelRatio = window.devicePixelRatio || 1;
+  const width = Math.round(viewport.width * devicePixelRatio);
+  const height = Math.round(viewport.height * devicePixelRatio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  const scale = devicePixelRatio * view.zoom;
+  ctx.setTransform(scale, 0, 0, scale, devicePixelRatio * view.x, devicePixelRatio * view.y);
+  const screenScale = canvas.clientWidth ? canvas.clientWidth / viewport.width : 1;
+  paintScene(ctx, { items: selectVisibleItems(items, { view, viewport, screenScale }) });
+};
+
+// CSS transform that makes a layer painted at view `from` look as if it were painted at view `to`.
+// Used while panning and zooming, so the layers only repaint once the view settles.
+export const getInterimTransform = (from, to, screenScale) => {
+  const scale = to.zoom / from.zoom;
+  const x = (to.x - from.x * scale) * screenScale;
+  const y = (to.y - from.y * scale) * screenScale;
+  return `translate(${x}px, ${y}px) scale(${scale})`;
+};
@@ -0,0 +1,53 @@
+import { createNetwork, forwardPass } from '../../engine';
+import { buildNetworkScene } from './networkScene';
+import { fitView, getViewport, selectVisibleItems, toLayoutPoint, zoomView } from './networkRenderer';
+
+const line = (x1, y1, x2, y2, extra = {}) => ({ type: 'line', x1, y1, x2, y2, color: '#000', width: 1, dash: null, ...extra });
+
+describe('views', () => {
+  test('fit tall layouts into the viewport and leave small ones alone', () => {
+    expect(fitView({ logicalWidth: 800, logicalHeight: 500 })).toEqual({ zoom: 1, x: 0, y: 0 });
+
+    const tall = { logicalWidth: 800, logicalHeight: 4000 };
+    expect(getViewport(tall)).toEqual({ width: 800, height: 1000 });
+    expect(fitView(tall)).toEqual({ zoom: 0.25, x: 300, y: 0 });
+  });
+
+  test('zoom around a point that stays still', () => {
+    const view = zoomView({ zoom: 1, x: 0, y: 0 }, 2, 400, 250);
+    expect(view).toEqual({ zoom: 2, x: -400, y: -250 });
+    expect(toLayoutPoint(view, 400, 250)).toEqual({ x: 400, y: 250 });
+  });
+});
+
+describe('selectVisibleItems', () => {
+  const viewport = { width: 800, height: 500 };
+
+  test('culls items outside the view', () => {
+    const items = [line(0, 0, 100, 100), line(900, 0, 1000, 100), { type: 'circle', x: 830, y: 100, radius: 40 }];
+    expect(selectVisibleItems(items, { view: { zoom: 1, x: 0, y: 0 }, viewport })).toEqual([items[0], items[2]]);
+    // Panned 200 to the left, the second line comes into view and the first leaves it
+    expect(selectVisibleItems(items, { view: { zoom: 1, x: -200, y: 0 }, viewport })).toEqual([items[1], items[2]]);
+  });
+
+  test('drops weight labels and weak connections when zoomed out', () => {
+    const { architecture, weights, biases, inputs } = createNetwork(undefined, { weights: { 'A->H1': 0.05 } });
+    const { items } = buildNetworkScene({
+      architecture,
+      weights,
+      inputs,
+      activations: forwardPass(architecture, weights, biases, inputs),
+    });
+    const edges = (visible) => visible.filter(({ role }) => role === 'edge');
+    const labels = (visible) => visible.filter(({ role }) => role === 'edge-label');
+
+    const close = selectVisibleItems(items, { view: { zoom: 1, x: 0, y: 0 }, viewport });
+    expect(edges(close)).toHaveLength(6);
+    expect(labels(close)).toHaveLength(6);
+    // Zoomed out, the 0.05 connection goes and the 0.5 ones stay
+    const far = selectVisibleItems(items, { view: { zoom: 0.25, x: 0, y: 0 }, viewport });
+    expect(edges(far)).toHaveLength(5);
+    expect(edges(far).every(({ magnitude }) => magnitude === 0.5)).toBe(true);
+    expect(labels(far)).toEqual([]);
+  });
+});
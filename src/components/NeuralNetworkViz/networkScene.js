@@ -0,0 +1,336 @@
+// src/components/NeuralNetworkViz/networkScene.js
+
+import { getConnections, getLayerLabel, getLayerNodes, hasSoftmaxOutput, predictClass } from '../../engine';
+import { getActivationColor, getNetworkColors, getWeightColor, getWeightStroke } from './colors';
+import { getEdgeEndpoints, layoutNetwork } from './layout';
+
+const FONT_FAMILY = '"Open Sans", sans-serif';
+
+// Weights share colors and widths in steps of 1 / WEIGHT_STYLE_STEPS, so the edges fall into a few
+// dozen styles that can each be stroked as one path
+const WEIGHT_STYLE_STEPS = 20;
+
+const textItem = (colors) => (x, y, value, options) => ({
+  type: 'text',
+  x,
+  y,
+  text: value,
+  bold: false,
+  color: colors.text,
+  align: 'center',
+  baseline: 'alphabetic',
+  ...options,
+});
+
+// Connections and their weight labels. Depends on the weights, not the inputs, so it can stay cached
+// while the inputs change. `edgeGlows` optionally maps connection keys to a strength in [0,1] for a
+// glow behind each edge, such as how sensitive the output is to its weight.
+export const buildEdgeLayer = ({ architecture, weights, currentStep = null, edgeGlows = null, colors = getNetworkColors() }) => {
+  const layout = layoutNetwork(architecture);
+  const text = textItem(colors);
+  const connections = getConnections(architecture).map((connection) => ({
+    ...connection,
+    endpoints: getEdgeEndpoints(layout, connection),
+  }));
+  const highlightedEdges = new Set(currentStep ? currentStep.highlightEdges : []);
+
+  // Glow behind the edges taking part in the current step, or wider behind the edges with stronger glows
+  const glows = connections
+    .filter(({ key }) => highlightedEdges.has(key))
+    .map(({ endpoints }) => ({ type: 'line', ...endpoints, color: colors.highlightGlow, width: 10, dash: null }));
+  if (edgeGlows) {
+    connections.forEach(({ key, endpoints }) => {
+      const strength = Math.round(Math.min(edgeGlows[key] ?? 0, 1) * WEIGHT_STYLE_STEPS) / WEIGHT_STYLE_STEPS;
+      if (strength > 0) {
+        glows.push({ type: 'line', ...endpoints, color: colors.highlightGlow, width: 4 + 16 * strength, dash: null });
+      }
+    });
+  }
+
+  // Dashes and width show the sign and strength without relying on color
+  const lines = connections.map(({ key, endpoints }) => {
+    const styleWeight = Math.round(weights[key] * WEIGHT_STYLE_STEPS) / WEIGHT_STYLE_STEPS;
+    return {
+      type: 'line',
+      role: 'edge',
+      magnitude: Math.abs(weights[key]),
+      ...endpoints,
+      color: getWeightColor(styleWeight, colors.palette),
+      ...getWeightStroke(styleWeight),
+    };
+  });
+
+  const labels = connections.map(({ key, endpoints }) => {
+    const edgeLabel = currentStep && currentStep.edgeLabels[key];
+    return text((endpoints.x1 + endpoints.x2) / 2, (endpoints.y1 + endpoints.y2) / 2 - 10, edgeLabel || weights[key].toFixed(2), {
+      role: 'edge-label',
+      size: 12,
+      color: edgeLabel ? colors.highlight : colors.text,
+    });
+  });
+
+  return [...glows, ...lines, ...labels];
+};
+
+// Length and thickness of the class probability bars beside softmax outputs
+const PROBABILITY_BAR_LENGTH = 70;
+const PROBABILITY_BAR_WIDTH = 12;
+
+// Layer titles, neurons and their values. Softmax outputs also get a probability bar each, with
+// the predicted class highlighted.
+export const buildNodeLayer = ({ architecture, inputs, activations, currentStep = null, colors = getNetworkColors() }) => {
+  const { nodes, nodeRadius } = layoutNetwork(architecture);
+  const text = textItem(colors);
+  const layers = getLayerNodes(architecture);
+  const items = layers.map(([firstNode], layerIndex) =>
+    text(nodes[firstNode].x, 40, getLayerLabel(architecture, layerIndex), { size: 20, bold: true })
+  );
+
+  // Classes are only shown once every output is known, which in step mode means after the forward pass
+  const outputIds = layers[layers.length - 1];
+  const showClasses =
+    hasSoftmaxOutput(architecture) && (!currentStep || outputIds.every((id) => currentStep.computed.includes(id)));
+  const predicted = showClasses ? predictClass(outputIds, activations) : null;
+
+  Object.entries(nodes).forEach(([key, pos]) => {
+    const isInput = pos.layerIndex === 0;
+    const activation = isInput ? inputs[key] : activations[key];
+    // In step mode, neurons the forward pass hasn't reached yet have no activation
+    const isPending = currentStep && !isInput && !currentStep.computed.includes(key);
+    const isActive = currentStep && currentStep.nodeId === key;
+    const isPredicted = key === predicted;
+    items.push({
+      type: 'circle',
+      x: pos.x,
+      y: pos.y,
+      radius: nodeRadius,
+      fill: isPending ? colors.pendingFill : getActivationColor(activation, colors.palette),
+      stroke: isActive || isPredicted ? colors.highlight : colors.text,
+      strokeWidth: isActive || isPredicted ? 4 : 2,
+    });
+
+    if (showClasses && outputIds.includes(key)) {
+      const x1 = pos.x + nodeRadius + 12;
+      const bar = { type: 'line', y1: pos.y, y2: pos.y, width: PROBABILITY_BAR_WIDTH, dash: null };
+      items.push({ ...bar, x1, x2: x1 + PROBABILITY_BAR_LENGTH, color: colors.pendingFill });
+      if (activation > 0) {
+        items.push({
+          ...bar,
+          x1,
+          x2: x1 + PROBABILITY_BAR_LENGTH * activation,
+          color: isPredicted ? colors.highlight : colors.text,
+        });
+      }
+      items.push(
+        text(x1 + PROBABILITY_BAR_LENGTH / 2, pos.y - PROBABILITY_BAR_WIDTH / 2 - 4, `${Math.round(activation * 100)}%`, {
+          size: 13,
+          baseline: 'bottom',
+          bold: isPredicted,
+          color: isPredicted ? colors.highlight : colors.text,
+        })
+      );
+    }
+
+    // Label above the node, activation or value below it
+    items.push(text(pos.x, pos.y - nodeRadius - 10, pos.label, { size: 16, baseline: 'bottom' }));
+    let valueText = isInput ? `Value: ${inputs[key].toFixed(2)}` : `Activation: ${activation.toFixed(2)}`;
+    if (isPending) valueText = 'Activation: ?';
+    items.push(text(pos.x, pos.y + nodeRadius + 10, valueText, { size: 14, baseline: 'top' }));
+
+    const note = currentStep && currentStep.nodeNotes[key];
+    if (note) {
+      items.push(text(pos.x, pos.y + nodeRadius + 28, note, { size: 14, baseline: 'top', color: colors.highlight }));
+    }
+  });
+  return items;
+};
+
+// Highlights for the neuron or connection under the pointer and the keyboard focus.
+// Cheap to rebuild, so the pointer can move without repainting the other layers.
+export const buildOverlayLayer = ({ architecture, hoverTarget = null, focusTarget = null, colors = getNetworkColors() }) => {
+  if (!hoverTarget && !focusTarget) return [];
+  const layout = layoutNetwork(architecture);
+  const connections = getConnections(architecture);
+  const items = [];
+  const highlight = (target, isFocus) => {
+    if (target.type === 'edge') {
+      const endpoints = getEdgeEndpoints(layout, connections.find(({ key }) => key === target.key));
+      items.push({ type: 'line', ...endpoints, color: isFocus ? colors.highlightGlow : colors.hoverGlow, width: 10, dash: null });
+      return;
+    }
+    const { x, y } = layout.nodes[target.id];
+    items.push(
+      isFocus
+        ? // Keyboard focus ring
+          { type: 'circle', x, y, radius: layout.nodeRadius + 6, fill: null, stroke: colors.highlight, strokeWidth: 3 }
+        : { type: 'circle', x, y, radius: layout.nodeRadius, fill: null, stroke: colors.highlight, strokeWidth: 4 }
+    );
+  };
+  if (hoverTarget) highlight(hoverTarget, false);
+  if (focusTarget) highlight(focusTarget, true);
+  return items;
+};
+
+// Seconds a wave of pulses takes to cross one layer of connections, and the pause after it
+// reaches the output before the next wave leaves the inputs
+const PULSE_LAYER_DURATION = 1.2;
+const PULSE_WAVE_PAUSE = 0.8;
+// Contributions weaker than this send no pulse
+const MIN_PULSE_STRENGTH = 0.02;
+
+// Signal-flow pulses `elapsed` seconds after a wave started. Waves repeat; within one, each layer's
+// pulses set off together once the previous layer's have arrived. A pulse's size and brightness
+// follow its connection's contribution (value × weight); negative contributions are rings.
+// Called every animation frame, so callers can pass the architecture's `layout` and `connections`
+// rather than have them worked out again each time.
+export const buildPulseLayer = ({
+  architecture,
+  weights,
+  inputs,
+  activations,
+  elapsed,
+  colors = getNetworkColors(),
+  layout = layoutNetwork(architecture),
+  connections = getConnections(architecture),
+}) => {
+  const time = elapsed % ((architecture.length - 1) * PULSE_LAYER_DURATION + PULSE_WAVE_PAUSE);
+  const items = [];
+  connections.forEach((connection) => {
+    const progress = (time - (connection.layerIndex - 1) * PULSE_LAYER_DURATION) / PULSE_LAYER_DURATION;
+    if (progress < 0 || progress > 1) return;
+    const { from, key } = connection;
+    const contribution = (from in inputs ? inputs[from] : activations[from]) * weights[key];
+    const strength = Math.min(Math.abs(contribution), 1);
+    if (strength < MIN_PULSE_STRENGTH) return;
+    const { x1, y1, x2, y2 } = getEdgeEndpoints(layout, connection);
+    const color = getWeightColor(Math.sign(contribution) * (0.3 + 0.7 * strength), colors.palette);
+    items.push({
+      type: 'circle',
+      x: x1 + (x2 - x1) * progress,
+      y: y1 + (y2 - y1) * progress,
+      radius: 3 + 6 * strength,
+      fill: contribution > 0 ? color : null,
+      stroke: color,
+      strokeWidth: 2.5,
+    });
+  });
+  return items;
+};
+
+// The network diagram as a list of drawing primitives in logical coordinates, in paint order:
+//   { type: 'line', x1, y1, x2, y2, color, width, dash }  (dash null for a solid line)
+//   { type: 'circle', x, y, radius, fill, stroke, strokeWidth }  (fill null for a ring)
+//   { type: 'text', x, y, text, size, bold, color, align, baseline }
+// Connections carry role 'edge' (with their weight's magnitude) and their labels role 'edge-label',
+// so the on-screen renderer can thin them out when zoomed out. The canvas, PNG, SVG and frame exports all paint
+// these same layers, so they can't drift apart.
+export const buildNetworkScene = (options) => {
+  const { logicalWidth, logicalHeight } = layoutNetwork(options.architecture);
+  return {
+    width: logicalWidth,
+    height: logicalHeight,
+    items: [...buildEdgeLayer(options), ...buildNodeLayer(options), ...buildOverlayLayer(options)],
+  };
+};
+
+const lineStyleKey = ({ color, width, dash }) => `${color}|${width}|${dash ? dash.join(',') : ''}`;
+
+// Stroke a run of lines with one path per style, in the order each style first appears
+const paintLines = (ctx, lines) => {
+  const batches = new Map();
+  lines.forEach((line) => {
+    const key = lineStyleKey(line);
+    if (!batches.has(key)) batches.set(key, []);
+    batches.get(key).push(line);
+  });
+  batches.forEach((batch) => {
+    const [{ color, width, dash }] = batch;
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.setLineDash(dash || []);
+    batch.forEach(({ x1, y1, x2, y2 }) => {
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+    });
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+};
+
+// Paint a scene onto a 2D context already scaled to logical coordinates. Consecutive lines are
+// batched by style, which keeps large networks to a few dozen strokes.
+export const paintScene = (ctx, { items }) => {
+  let lines = [];
+  items.forEach((item) => {
+    if (item.type === 'line') {
+      lines.push(item);
+      return;
+    }
+    if (lines.length) {
+      paintLines(ctx, lines);
+      lines = [];
+    }
+    if (item.type === 'circle') {
+      ctx.beginPath();
+      ctx.arc(item.x, item.y, item.radius, 0, Math.PI * 2);
+      if (item.fill) {
+        ctx.fillStyle = item.fill;
+        ctx.fill();
+      }
+      ctx.strokeStyle = item.stroke;
+      ctx.lineWidth = item.strokeWidth;
+      ctx.stroke();
+    } else if (item.type === 'text') {
+      ctx.fillStyle = item.color;
+      ctx.font = `${item.bold ? 'bold ' : ''}${item.size}px ${FONT_FAMILY}`;
+      ctx.textAlign = item.align;
+      ctx.textBaseline = item.baseline;
+      ctx.fillText(item.text, item.x, item.y);
+    }
+  });
+  if (lines.length) paintLines(ctx, lines);
+};
+
+const SVG_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const SVG_BASELINES = { alphabetic: 'alphabetic', top: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// rgba() is not understood by every SVG editor, so split it into a color and an opacity
+const svgPaint = (attribute, color) => {
+  const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+  if (!match) return `${attribute}="${color}"`;
+  const [, r, g, b, alpha] = match;
+  return `${attribute}="rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})" ${attribute}-opacity="${Number(alpha).toFixed(3)}"`;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Render a scene as a standalone SVG document.
+ * @param {{ width: number, height: number, items: Array }} scene
+ * @param {{ background?: string }} options fill the whole image first, e.g. '#fff'
+ * @returns {string}
+ */
+export const sceneToSvg = ({ width, height, items }, { background } = {}) => {
+  const elements = items.map((item) => {
+    if (item.type === 'line') {
+      return `<line x1="${round(item.x1)}" y1="${round(item.y1)}" x2="${round(item.x2)}" y2="${round(item.y2)}" ${svgPaint('stroke', item.color)} stroke-width="${item.width}"${item.dash ? ` stroke-dasharray="${item.dash.join(' ')}"` : ''} />`;
+    }
+    if (item.type === 'circle') {
+      return `<circle cx="${round(item.x)}" cy="${round(item.y)}" r="${item.radius}" ${item.fill ? svgPaint('fill', item.fill) : 'fill="none"'} ${svgPaint('stroke', item.stroke)} stroke-width="${item.strokeWidth}" />`;
+    }
+    return `<text x="${round(item.x)}" y="${round(item.y)}" font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''} ${svgPaint('fill', item.color)} text-anchor="${SVG_ANCHORS[item.align]}" dominant-baseline="${SVG_BASELINES[item.baseline]}">${escapeXml(item.text)}</text>`;
+  });
+  if (background) {
+    elements.unshift(`<rect width="${width}" height="${height}" fill="${background}" />`);
+  }
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="'Open Sans', sans-serif">`,
+    ...elements.map((element) => `  ${element}`),
+    '</svg>',
+    '',
+  ].join('\n');
+};
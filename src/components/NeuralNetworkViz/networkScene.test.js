@@ -0,0 +1,156 @@
+import { createNetwork, forwardPass, getConnections } from '../../engine';
+import { layoutNetwork } from './layout';
+import { getNetworkColors } from './colors';
+import { buildNetworkScene, buildPulseLayer, paintScene, sceneToSvg } from './networkScene';
+
+const buildDefaultScene = (options = {}) => {
+  const { architecture, weights, biases, inputs } = createNetwork();
+  return buildNetworkScene({
+    architecture,
+    weights,
+    inputs,
+    activations: forwardPass(architecture, weights, biases, inputs),
+    ...options,
+  });
+};
+
+describe('buildNetworkScene', () => {
+  test('lays out every connection, neuron and label', () => {
+    const scene = buildDefaultScene();
+    expect(scene).toMatchObject({ width: 800, height: 500 });
+    const count = (type) => scene.items.filter((item) => item.type === type).length;
+    expect(count('line')).toBe(6);
+    expect(count('circle')).toBe(5);
+    const texts = scene.items.filter(({ type }) => type === 'text').map(({ text }) => text);
+    expect(texts).toEqual(expect.arrayContaining(['Hidden Layer', '0.50', 'Output Neuron', 'Activation: 0.62']));
+  });
+
+  test('adds a glow behind hovered connections', () => {
+    const scene = buildDefaultScene({ hoverTarget: { type: 'edge', key: 'A->H1' } });
+    expect(scene.items.filter(({ type }) => type === 'line')).toHaveLength(7);
+  });
+
+  test('glows behind edges in proportion to their glow strength', () => {
+    const scene = buildDefaultScene({ edgeGlows: { 'A->H1': 1, 'B->H1': 0.25, 'H1->O': 0 } });
+    const glows = scene.items.filter(({ type, role }) => type === 'line' && role !== 'edge');
+    expect(glows.map(({ width }) => width)).toEqual([20, 8]);
+  });
+
+  test('shows the sign and strength of weights without relying on color', () => {
+    const { architecture, weights, biases, inputs } = createNetwork(undefined, { weights: { 'A->H1': -1, 'A->H2': 0.2 } });
+    const scene = buildNetworkScene({ architecture, weights, inputs, activations: forwardPass(architecture, weights, biases, inputs) });
+    const [negative, weak] = scene.items.filter(({ type }) => type === 'line');
+    expect(negative.dash).toEqual([8, 5]);
+    expect(weak.dash).toBeNull();
+    expect(negative.width).toBeGreaterThan(weak.width);
+  });
+
+  test('draws a probability bar beside each softmax output and highlights the predicted class', () => {
+    const architecture = [{ size: 2 }, { size: 2, activation: 'sigmoid' }, { size: 3, activation: 'softmax' }];
+    const { weights, biases, inputs } = createNetwork(architecture, { biases: { O2: 1 } });
+    const colors = getNetworkColors();
+    const scene = buildNetworkScene({ architecture, weights, inputs, activations: forwardPass(architecture, weights, biases, inputs), colors });
+    const percentages = scene.items.filter(({ type, text }) => type === 'text' && text.endsWith('%'));
+    // O2's extra bias makes it e times as likely as each of the others: e / (e + 2) = 58%
+    expect(percentages.map(({ text }) => text)).toEqual(['21%', '58%', '21%']);
+    expect(percentages[1]).toMatchObject({ bold: true, color: colors.highlight });
+    const bars = scene.items.filter(({ type, width }) => type === 'line' && width === 12);
+    // A track and a fill for each output
+    expect(bars).toHaveLength(6);
+    expect(scene.items.filter(({ type, stroke }) => type === 'circle' && stroke === colors.highlight)).toHaveLength(1);
+  });
+
+  test('uses the colors it is given', () => {
+    const colors = getNetworkColors({ mode: 'dark', palette: 'viridis' });
+    const scene = buildDefaultScene({ colors });
+    expect(scene.items.find(({ type }) => type === 'text').color).toBe(colors.text);
+    // Viridis runs from purple through teal to yellow, so a weight of 0.5 is green, half faded in
+    expect(scene.items.find(({ type }) => type === 'line').color).toBe('rgba(94, 201, 98, 0.5)');
+    const faint = buildDefaultScene({ colors, weights: { ...createNetwork().weights, 'A->H1': 0.1 } });
+    expect(faint.items.find(({ type }) => type === 'line').color).toMatch(/, 0\.1\)$/);
+  });
+});
+
+describe('buildPulseLayer', () => {
+  const { architecture, weights, biases } = createNetwork(undefined, { weights: { 'H2->O': -1 } });
+  const inputs = { A: 1, B: 0 };
+  const activations = forwardPass(architecture, weights, biases, inputs);
+  const pulsesAt = (elapsed) => buildPulseLayer({ architecture, weights, inputs, activations, elapsed });
+
+  test('sends pulses one layer at a time, sized by contribution', () => {
+    // Halfway through the first layer only A carries a signal; B is 0
+    const first = pulsesAt(0.6);
+    expect(first).toHaveLength(2);
+    // A sits at (150, 150) and H1 at (400, 150), so halfway along the edge is x = 275
+    expect(first[0].x).toBeCloseTo(275);
+    expect(first[0]).toMatchObject({ y: 150, radius: 3 + 6 * 0.5 });
+
+    const second = pulsesAt(1.8);
+    expect(second).toHaveLength(2);
+    // H2 -> O has a negative weight, so its pulse is a ring and is bigger than H1 -> O's
+    expect(second[0].fill).not.toBeNull();
+    expect(second[1].fill).toBeNull();
+    expect(second[1].radius).toBeGreaterThan(second[0].radius);
+  });
+
+  test('pauses between waves and then repeats', () => {
+    expect(pulsesAt(2.8)).toEqual([]);
+    const repeated = pulsesAt(3.2 + 0.6);
+    expect(repeated).toHaveLength(2);
+    expect(repeated[0].x).toBeCloseTo(pulsesAt(0.6)[0].x);
+  });
+
+  test('reuses the layout and connections it is given', () => {
+    const layout = layoutNetwork(architecture);
+    const connections = getConnections(architecture);
+    expect(buildPulseLayer({ architecture, weights, inputs, activations, elapsed: 0.6, layout, connections })).toEqual(
+      pulsesAt(0.6)
+    );
+    // Only the connections passed in send pulses
+    const [first] = connections;
+    expect(
+      buildPulseLayer({ architecture, weights, inputs, activations, elapsed: 0.6, layout, connections: [first] })
+    ).toHaveLength(1);
+  });
+});
+
+describe('paintScene', () => {
+  test('draws each item onto the context', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    paintScene(ctx, buildDefaultScene());
+    const methods = ctx.calls.map(({ method }) => method);
+    expect(methods.filter((method) => method === 'arc')).toHaveLength(5);
+    expect(methods.filter((method) => method === 'fillText')).toHaveLength(3 + 6 + 10);
+  });
+
+  test('strokes all connections of one style as a single path', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    // Default weights are all 0.5, so the six connections share one style
+    paintScene(ctx, { items: buildDefaultScene().items.filter(({ role }) => role === 'edge') });
+    const methods = ctx.calls.map(({ method }) => method);
+    expect(methods.filter((method) => method === 'stroke')).toHaveLength(1);
+    expect(methods.filter((method) => method === 'lineTo')).toHaveLength(6);
+  });
+});
+
+describe('sceneToSvg', () => {
+  test('renders the same scene as vector elements', () => {
+    const svg = sceneToSvg(buildDefaultScene(), { background: '#fff' });
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="800" height="500" viewBox="0 0 800 500"/);
+    expect(svg).toContain('<rect width="800" height="500" fill="#fff" />');
+    expect(svg.match(/<line /g)).toHaveLength(6);
+    expect(svg.match(/<circle /g)).toHaveLength(5);
+    expect(svg).toContain('>Activation: 0.62</text>');
+    // Positive weights are translucent green, split into a color and an opacity
+    expect(svg).toContain('stroke="rgb(0, 203, 0)" stroke-opacity="0.500"');
+  });
+
+  test('escapes text', () => {
+    const svg = sceneToSvg({
+      width: 10,
+      height: 10,
+      items: [{ type: 'text', x: 0, y: 0, text: 'a < b & "c"', size: 12, color: '#333', align: 'left', baseline: 'top' }],
+    });
+    expect(svg).toContain('>a &#60; b &#38; &#34;c&#34;</text>');
+  });
+});
@@ -0,0 +1,133 @@
+// src/components/NeuralNetworkViz/passSteps.js
+
+import { computeGradients, getActivation, getLayerNodes, getNodeLabel } from '../../engine';
+
+const f = (value) => value.toFixed(2);
+
+// Break one forward and backward pass into the individual steps a student would do by hand.
+// Every step describes what happens and what the canvas should highlight:
+//   computed:       neurons whose activation is known so far
+//   highlightEdges: connections involved in this step
+//   edgeLabels:     replacement labels for connections (gradients during the backward pass)
+//   nodeNotes:      extra lines under neurons (error signals during the backward pass)
+export const buildPassSteps = (architecture, weights, biases, inputs, targets) => {
+  const layers = getLayerNodes(architecture);
+  const outputLayerIndex = layers.length - 1;
+  const { sums, activations, deltas, weightGradients, loss } = computeGradients(
+    architecture,
+    weights,
+    biases,
+    inputs,
+    targets
+  );
+  const values = { ...inputs, ...activations };
+  const labels = Object.fromEntries(
+    layers.flatMap((ids, layerIndex) =>
+      ids.map((id, neuronIndex) => [id, getNodeLabel(architecture, layerIndex, neuronIndex)])
+    )
+  );
+
+  const steps = [];
+  const computed = [];
+
+  // Forward pass: weighted sum, then activation, one neuron at a time. Softmax needs every sum in
+  // its layer, so those layers take all their sums before any activation.
+  for (let layerIndex = 1; layerIndex < layers.length; layerIndex++) {
+    const activation = getActivation(architecture[layerIndex].activation);
+    const incoming = layers[layerIndex - 1];
+    const sumStep = (id) => ({
+      phase: 'forward',
+      nodeId: id,
+      title: `${labels[id]}: weighted sum`,
+      description: `Multiply each incoming activation by its weight and add the bias: ${incoming
+        .map((from) => `${f(values[from])} × ${f(weights[`${from}->${id}`])}`)
+        .join(' + ')} + ${f(biases[id])} = ${f(sums[id])}`,
+      computed: [...computed],
+      highlightEdges: incoming.map((from) => `${from}->${id}`),
+      edgeLabels: {},
+      nodeNotes: { [id]: `Sum: ${f(sums[id])}` },
+    });
+    const activationStep = (id) => ({
+      phase: 'forward',
+      nodeId: id,
+      title: `${labels[id]}: activation`,
+      description: activation.layer
+        ? `Apply ${activation.label} across the layer: e^${f(sums[id])} / (${layers[layerIndex]
+          .map((other) => `e^${f(sums[other])}`)
+          .join(' + ')}) = ${f(values[id])}`
+        : `Apply ${activation.label} to the sum: ${activation.label}(${f(sums[id])}) = ${f(values[id])}`,
+      computed: [...computed],
+      highlightEdges: [],
+      edgeLabels: {},
+      nodeNotes: { [id]: `Sum: ${f(sums[id])}` },
+    });
+    if (activation.layer) {
+      layers[layerIndex].forEach((id) => steps.push(sumStep(id)));
+      layers[layerIndex].forEach((id) => {
+        computed.push(id);
+        steps.push(activationStep(id));
+      });
+    } else {
+      layers[layerIndex].forEach((id) => {
+        steps.push(sumStep(id));
+        computed.push(id);
+        steps.push(activationStep(id));
+      });
+    }
+  }
+
+  // Backward pass: error signal (delta) for each neuron, then the gradient on its incoming weights
+  const nodeNotes = {};
+  const edgeLabels = {};
+  for (let layerIndex = outputLayerIndex; layerIndex >= 1; layerIndex--) {
+    const activation = getActivation(architecture[layerIndex].activation);
+    layers[layerIndex].forEach((id) => {
+      const incoming = layers[layerIndex - 1];
+      let description;
+      let highlightEdges;
+      if (activation.layer) {
+        // Softmax links every output to every sum, so δ compares each error with their average
+        const average = layers[layerIndex].reduce((total, other) => total + (values[other] - targets[other]) * values[other], 0);
+        description = `Compare the output with its target (loss for this example: ${loss.toFixed(3)}). ${activation.label} ties the outputs together, so the error signal weighs this output's error against the probability-weighted average of all of them: δ = output × ((output − target) − average) = ${f(values[id])} × ((${f(values[id])} − ${f(targets[id])}) − ${average.toFixed(3)}) = ${deltas[id].toFixed(3)}`;
+        highlightEdges = [];
+      } else if (layerIndex === outputLayerIndex) {
+        const slope = activation.derivative(sums[id], values[id]);
+        description = `Compare the output with its target (loss for this example: ${loss.toFixed(3)}). Error signal δ = (output − target) × slope of ${activation.label} = (${f(values[id])} − ${f(targets[id])}) × ${f(slope)} = ${deltas[id].toFixed(3)}`;
+        highlightEdges = [];
+      } else {
+        const slope = activation.derivative(sums[id], values[id]);
+        const outgoing = layers[layerIndex + 1];
+        const terms = outgoing.map((next) => `${f(weights[`${id}->${next}`])} × ${deltas[next].toFixed(3)}`);
+        description = `Send the error back along the outgoing weights: δ = (${terms.join(' + ')}) × ${f(slope)} (the slope of ${activation.label}) = ${deltas[id].toFixed(3)}`;
+        highlightEdges = outgoing.map((next) => `${id}->${next}`);
+      }
+      nodeNotes[id] = `δ: ${deltas[id].toFixed(3)}`;
+      steps.push({
+        phase: 'backward',
+        nodeId: id,
+        title: `${labels[id]}: error signal`,
+        description,
+        computed: [...computed],
+        highlightEdges,
+        edgeLabels: { ...edgeLabels },
+        nodeNotes: { ...nodeNotes },
+      });
+
+      incoming.forEach((from) => {
+        edgeLabels[`${from}->${id}`] = `∂ ${weightGradients[`${from}->${id}`].toFixed(3)}`;
+      });
+      steps.push({
+        phase: 'backward',
+        nodeId: id,
+        title: `${labels[id]}: gradients`,
+        description: `Each incoming weight's gradient is the activation feeding it times δ (for example ${incoming[0]}: ${f(values[incoming[0]])} × ${deltas[id].toFixed(3)} = ${weightGradients[`${incoming[0]}->${id}`].toFixed(3)}). The bias gradient is δ itself. Gradient descent moves each weight against its gradient.`,
+        computed: [...computed],
+        highlightEdges: incoming.map((from) => `${from}->${id}`),
+        edgeLabels: { ...edgeLabels },
+        nodeNotes: { ...nodeNotes },
+      });
+    });
+  }
+
+  return steps;
+};
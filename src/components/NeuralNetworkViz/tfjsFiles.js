@@ -0,0 +1,69 @@
+// src/components/NeuralNetworkViz/tfjsFiles.js
+
+import { exportTfjsModel, getTfjsWeightPaths, parseTfjsModel } from '../../engine';
+import { createZip } from './zip';
+
+const readFile = (file, asText) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    if (asText) reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
+  });
+
+const baseName = (path) => path.split('/').pop();
+
+/**
+ * Load a network from the files of a TensorFlow.js layers model: its model.json and every
+ * weight file the manifest lists, picked together in one file dialog.
+ * @param {File[]} files
+ * @returns {Promise<{ state: Object, name: string } | { error: string, layerErrors?: string[] }>}
+ */
+export const readTfjsModelFiles = async (files) => {
+  const jsonFiles = files.filter(({ name }) => name.toLowerCase().endsWith('.json'));
+  if (jsonFiles.length !== 1) {
+    return { error: 'Select one model.json together with its .bin weight files' };
+  }
+  let model;
+  try {
+    model = JSON.parse(await readFile(jsonFiles[0], true));
+  } catch (error) {
+    return { error: error instanceof SyntaxError ? `${jsonFiles[0].name} is not valid JSON` : error.message };
+  }
+
+  // The manifest names weight files by path; the browser only gives us their names
+  const paths = getTfjsWeightPaths(model);
+  const weightFiles = paths.map((path) => files.find(({ name }) => name === baseName(path)));
+  const missing = paths.filter((_, index) => !weightFiles[index]);
+  if (missing.length) {
+    return { error: `Also select the weight ${missing.length === 1 ? 'file' : 'files'} ${missing.map(baseName).join(', ')}` };
+  }
+  let buffers;
+  try {
+    buffers = await Promise.all(weightFiles.map((file) => readFile(file, false)));
+  } catch (error) {
+    return { error: error.message };
+  }
+  const weightData = new Uint8Array(buffers.reduce((total, buffer) => total + buffer.byteLength, 0));
+  buffers.reduce((offset, buffer) => {
+    weightData.set(new Uint8Array(buffer), offset);
+    return offset + buffer.byteLength;
+  }, 0);
+
+  return { ...parseTfjsModel(model, weightData.buffer), name: jsonFiles[0].name };
+};
+
+/**
+ * The network as a zip of model.json and its weight file, ready for tf.loadLayersModel once unpacked.
+ * @returns {{ blob: Blob } | { error: string }}
+ */
+export const buildTfjsModelZip = (state) => {
+  const { modelJson, weightsPath, weightData, error } = exportTfjsModel(state);
+  if (error) return { error };
+  const files = [
+    { name: 'model.json', data: new TextEncoder().encode(JSON.stringify(modelJson, null, 2)) },
+    { name: weightsPath, data: new Uint8Array(weightData) },
+  ];
+  return { blob: new Blob([createZip(files)], { type: 'application/zip' }) };
+};
@@ -0,0 +1,59 @@
+// src/components/NeuralNetworkViz/useNetworkHistory.js
+
+import { useCallback, useRef, useState } from 'react';
+
+const MAX_UNDO_STEPS = 100;
+
+// Undo/redo stack for network state. Call `record` just before changing the
+// state; it saves the current state as an undo step. Calls that share a `group`
+// (e.g. one slider drag) collapse into a single step until `endGroup` is called.
+const useNetworkHistory = (present, restore) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const groupRef = useRef(null);
+
+  // Read through refs so the callbacks below stay stable between renders
+  const presentRef = useRef(present);
+  presentRef.current = present;
+  const restoreRef = useRef(restore);
+  restoreRef.current = restore;
+
+  const record = useCallback((group = null) => {
+    if (group && groupRef.current === group) return;
+    groupRef.current = group;
+    const snapshot = presentRef.current;
+    setPast((prev) => [...prev, snapshot].slice(-MAX_UNDO_STEPS));
+    setFuture([]);
+  }, []);
+
+  const endGroup = useCallback(() => {
+    groupRef.current = null;
+  }, []);
+
+  const undo = useCallback(() => {
+    if (past.length === 0) return;
+    groupRef.current = null;
+    setPast(past.slice(0, -1));
+    setFuture((prev) => [presentRef.current, ...prev]);
+    restoreRef.current(past[past.length - 1]);
+  }, [past]);
+
+  const redo = useCallback(() => {
+    if (future.length === 0) return;
+    groupRef.current = null;
+    setFuture(future.slice(1));
+    setPast((prev) => [...prev, presentRef.current]);
+    restoreRef.current(future[0]);
+  }, [future]);
+
+  return {
+    record,
+    endGroup,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+  };
+};
+
+export default useNetworkHistory;
@@ -0,0 +1,54 @@
+import { act, renderHook } from '@testing-library/react';
+import { useState } from 'react';
+import useNetworkHistory from './useNetworkHistory';
+
+// A counter stands in for the network state
+const useCounterHistory = () => {
+  const [value, setValue] = useState(0);
+  const history = useNetworkHistory(value, setValue);
+  const change = (next, group) => {
+    history.record(group);
+    setValue(next);
+  };
+  return { value, change, ...history };
+};
+
+describe('useNetworkHistory', () => {
+  test('undoes and redoes changes in order', () => {
+    const { result } = renderHook(useCounterHistory);
+    act(() => result.current.change(1));
+    act(() => result.current.change(2));
+
+    act(() => result.current.undo());
+    expect(result.current.value).toBe(1);
+    act(() => result.current.undo());
+    expect(result.current.value).toBe(0);
+    expect(result.current.canUndo).toBe(false);
+
+    act(() => result.current.redo());
+    expect(result.current.value).toBe(1);
+    expect(result.current.canRedo).toBe(true);
+  });
+
+  test('collapses a group of changes into one step until the group ends', () => {
+    const { result } = renderHook(useCounterHistory);
+    act(() => result.current.change(1, 'slider'));
+    act(() => result.current.change(2, 'slider'));
+    act(() => result.current.change(3, 'slider'));
+    act(() => result.current.endGroup());
+    act(() => result.current.change(4, 'slider'));
+
+    act(() => result.current.undo());
+    expect(result.current.value).toBe(3);
+    act(() => result.current.undo());
+    expect(result.current.value).toBe(0);
+  });
+
+  test('a new change clears the redo stack', () => {
+    const { result } = renderHook(useCounterHistory);
+    act(() => result.current.change(1));
+    act(() => result.current.undo());
+    act(() => result.current.change(5));
+    expect(result.current.canRedo).toBe(false);
+  });
+});
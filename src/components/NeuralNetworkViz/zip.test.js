@@ -0,0 +1,26 @@
+import { crc32, createZip } from './zip';
+
+describe('createZip', () => {
+  test('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('stores each file after a local header and lists it in the central directory', () => {
+    const data = new TextEncoder().encode('hello');
+    const zip = createZip([{ name: 'frame-001.png', data }], new Date(2024, 0, 2, 3, 4, 6));
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(crc32(data));
+    expect(new TextDecoder().decode(zip.slice(30, 43))).toBe('frame-001.png');
+    expect(new TextDecoder().decode(zip.slice(43, 48))).toBe('hello');
+
+    const centralOffset = 48;
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(1);
+    expect(view.getUint32(end + 16, true)).toBe(centralOffset);
+  });
+});
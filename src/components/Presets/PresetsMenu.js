@@ -0,0 +1,137 @@
+// src/components/Presets/PresetsMenu.js
+
+import React, { useId, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  ListSubheader,
+  Menu,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import BookmarksIcon from '@mui/icons-material/Bookmarks';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { BUILT_IN_PRESETS } from '../../presets/presets';
+import useUserPresets from './useUserPresets';
+
+// Built-in example networks and the user's own saved ones. Choosing one calls
+// `onLoad({ title, description, network })`; saved presets have no description. `label` names the
+// button for screen readers when a page has several menus, and `canSave` offers saving the current
+// network; only one menu on a page should, so their saved lists can't get out of step.
+const PresetsMenu = ({ network, onLoad, label, canSave = true }) => {
+  const menuId = useId();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [name, setName] = useState('');
+  const { presets, savePreset, deletePreset } = useUserPresets();
+
+  const load = (preset) => {
+    setAnchorEl(null);
+    onLoad(preset);
+  };
+
+  const openDialog = () => {
+    setAnchorEl(null);
+    setName('');
+    setDialogOpen(true);
+  };
+
+  const trimmedName = name.trim();
+  const save = (event) => {
+    event.preventDefault();
+    if (!trimmedName) return;
+    savePreset(trimmedName, network);
+    setDialogOpen(false);
+  };
+
+  return (
+    <>
+      <Button
+        startIcon={<BookmarksIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        aria-label={label}
+        aria-controls={anchorEl ? menuId : undefined}
+        aria-haspopup="true"
+      >
+        Presets
+      </Button>
+      <Menu
+        id={menuId}
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        slotProps={{ paper: { sx: { maxWidth: 420 } } }}
+      >
+        <ListSubheader>Examples</ListSubheader>
+        {BUILT_IN_PRESETS.map(({ id, title, description, network: presetNetwork }) => (
+          <MenuItem key={id} onClick={() => load({ title, description, network: presetNetwork })} sx={{ whiteSpace: 'normal' }}>
+            <ListItemText primary={title} secondary={description} />
+          </MenuItem>
+        ))}
+        {(canSave || presets.length > 0) && [
+          <Divider key="divider" />,
+          <ListSubheader key="heading">Your presets</ListSubheader>,
+          ...presets.map(({ name: presetName, network: presetNetwork }) => (
+            <MenuItem key={presetName} onClick={() => load({ title: presetName, description: null, network: presetNetwork })}>
+              {presetName}
+            </MenuItem>
+          )),
+        ]}
+        {canSave && <MenuItem onClick={openDialog}>Save or Manage Presets…</MenuItem>}
+      </Menu>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="xs">
+        <form onSubmit={save}>
+          <DialogTitle>Your Presets</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Save the current network under a name to come back to it from the Presets menu. Presets are kept in this
+              browser; saving under an existing name replaces that preset.
+            </Typography>
+            <TextField
+              label="Preset name"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              fullWidth
+              autoFocus
+              margin="dense"
+            />
+            {presets.length > 0 && (
+              <List dense aria-label="Saved presets">
+                {presets.map(({ name: presetName }) => (
+                  <ListItem
+                    key={presetName}
+                    secondaryAction={
+                      <IconButton edge="end" aria-label={`Delete preset ${presetName}`} onClick={() => deletePreset(presetName)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemText primary={presetName} />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialogOpen(false)}>Close</Button>
+            <Button type="submit" variant="contained" disabled={!trimmedName}>
+              Save Current Network
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+};
+
+export default PresetsMenu;
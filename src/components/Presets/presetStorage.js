@@ -0,0 +1,77 @@
+// src/components/Presets/presetStorage.js
+
+import { INITIALIZERS, parseNetworkState, serializeNetwork } from '../../engine';
+import { readJson, writeJson } from '../../utils/storage';
+
+const SESSION_STORAGE_KEY = 'neural-network-explorer:session';
+const PRESETS_STORAGE_KEY = 'neural-network-explorer:presets';
+
+// Bump when the stored session or presets change shape, and add a migration from the old version.
+// The networks inside carry their own format version, which parseNetworkState already reads.
+export const STORAGE_VERSION = 1;
+
+// Each entry upgrades data stored by that version to the next version
+const MIGRATIONS = {};
+
+/**
+ * Bring stored data up to STORAGE_VERSION, one version at a time.
+ * @returns {Object | null} the upgraded data, or null when it has no version, comes from a newer
+ *   version of the app or has no migration path
+ */
+export const migrateStoredData = (data, migrations = MIGRATIONS, version = STORAGE_VERSION) => {
+  if (typeof data !== 'object' || data === null || !Number.isInteger(data.version) || data.version > version) {
+    return null;
+  }
+  let current = data;
+  while (current.version < version) {
+    const migrate = migrations[current.version];
+    if (!migrate) return null;
+    current = { ...migrate(current), version: current.version + 1 };
+  }
+  return current;
+};
+
+const readStored = (key) => migrateStoredData(readJson(key));
+
+const writeStored = (key, data) => writeJson(key, { version: STORAGE_VERSION, ...data });
+
+const isValidRange = (range) =>
+  Number.isFinite(range?.min) && Number.isFinite(range?.max) && range.min < range.max;
+
+/**
+ * The explorer's last network, slider ranges and initialization settings.
+ * @returns {{ state: Object, ranges: Object | null, initialization: Object | null } | null}
+ *   null when nothing usable is stored; settings that don't check out are null on their own
+ */
+export const readSession = () => {
+  const stored = readStored(SESSION_STORAGE_KEY);
+  const { state } = stored ? parseNetworkState(stored.network) : {};
+  if (!state) return null;
+  const { ranges, initialization } = stored;
+  return {
+    state,
+    ranges: ['input', 'weight', 'bias'].every((group) => isValidRange(ranges?.[group])) ? ranges : null,
+    initialization:
+      Object.hasOwn(INITIALIZERS, initialization?.scheme) && Number.isInteger(initialization.seed) && initialization.scale > 0
+        ? initialization
+        : null,
+  };
+};
+
+export const writeSession = ({ network, ranges, initialization }) =>
+  writeStored(SESSION_STORAGE_KEY, { network: serializeNetwork(network), ranges, initialization });
+
+// Presets the user saved, as `{ name, network }`, leaving out any that no longer load
+export const readUserPresets = () => {
+  const stored = readStored(PRESETS_STORAGE_KEY);
+  if (!Array.isArray(stored?.presets)) return [];
+  return stored.presets.flatMap((preset) => {
+    const { state } = parseNetworkState(preset?.network);
+    return typeof preset?.name === 'string' && state ? [{ name: preset.name, network: state }] : [];
+  });
+};
+
+export const writeUserPresets = (presets) =>
+  writeStored(PRESETS_STORAGE_KEY, {
+    presets: presets.map(({ name, network }) => ({ name, network: serializeNetwork(network) })),
+  });
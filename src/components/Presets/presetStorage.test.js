@@ -0,0 +1,61 @@
+import { STORAGE_VERSION, migrateStoredData, readSession, readUserPresets, writeSession, writeUserPresets } from './presetStorage';
+import { createNetwork } from '../../engine';
+
+const ranges = { input: { min: 0, max: 1 }, weight: { min: -6, max: 6 }, bias: { min: -9, max: 9 } };
+const initialization = { scheme: 'he', seed: 7, scale: 1 };
+
+describe('presetStorage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('upgrades stored data one version at a time', () => {
+    const migrations = {
+      1: ({ network, ...rest }) => ({ ...rest, session: { network } }),
+      2: ({ session, ...rest }) => ({ ...rest, session: { ...session, ranges: null } }),
+    };
+    expect(migrateStoredData({ version: 1, network: 'net' }, migrations, 3)).toEqual({
+      version: 3,
+      session: { network: 'net', ranges: null },
+    });
+    expect(migrateStoredData({ version: 3, session: {} }, migrations, 3)).toEqual({ version: 3, session: {} });
+    // Newer than this app, unversioned, or with a gap in the migrations
+    expect(migrateStoredData({ version: 4 }, migrations, 3)).toBeNull();
+    expect(migrateStoredData({ network: 'net' }, migrations, 3)).toBeNull();
+    expect(migrateStoredData({ version: 1 }, { 2: migrations[2] }, 3)).toBeNull();
+  });
+
+  test('restores the session it wrote and ignores what it cannot read', () => {
+    expect(readSession()).toBeNull();
+    const network = createNetwork(undefined, { weights: { 'A->H1': 6 } });
+    writeSession({ network, ranges, initialization });
+    expect(JSON.parse(window.localStorage.getItem('neural-network-explorer:session')).version).toBe(STORAGE_VERSION);
+    expect(readSession()).toEqual({ state: network, ranges, initialization });
+
+    // Broken settings fall back on their own; a broken network discards the session
+    const stored = JSON.parse(window.localStorage.getItem('neural-network-explorer:session'));
+    window.localStorage.setItem(
+      'neural-network-explorer:session',
+      JSON.stringify({ ...stored, ranges: { ...ranges, weight: { min: 2, max: 1 } }, initialization: { scheme: 'magic' } })
+    );
+    expect(readSession()).toEqual({ state: network, ranges: null, initialization: null });
+    window.localStorage.setItem(
+      'neural-network-explorer:session',
+      JSON.stringify({ ...stored, initialization: { ...initialization, scheme: 'constructor' } })
+    );
+    expect(readSession().initialization).toBeNull();
+    window.localStorage.setItem('neural-network-explorer:session', JSON.stringify({ ...stored, network: { version: 1 } }));
+    expect(readSession()).toBeNull();
+    window.localStorage.setItem('neural-network-explorer:session', '{not json');
+    expect(readSession()).toBeNull();
+  });
+
+  test('keeps the user presets that still load', () => {
+    const network = createNetwork();
+    writeUserPresets([{ name: 'Mine', network }]);
+    expect(readUserPresets()).toEqual([{ name: 'Mine', network }]);
+
+    const stored = JSON.parse(window.localStorage.getItem('neural-network-explorer:presets'));
+    stored.presets.push(null, { name: 'Broken', network: { version: 1 } });
+    window.localStorage.setItem('neural-network-explorer:presets', JSON.stringify(stored));
+    expect(readUserPresets()).toEqual([{ name: 'Mine', network }]);
+  });
+});
@@ -0,0 +1,26 @@
+// src/components/Presets/useUserPresets.js
+
+import { useCallback, useEffect, useState } from 'react';
+import { readUserPresets, writeUserPresets } from './presetStorage';
+
+// Networks the user saved under a name, remembered in localStorage between visits
+const useUserPresets = () => {
+  const [presets, setPresets] = useState(readUserPresets);
+
+  useEffect(() => {
+    writeUserPresets(presets);
+  }, [presets]);
+
+  // Saving under an existing name replaces that preset
+  const savePreset = useCallback((name, network) => {
+    setPresets((prev) => [...prev.filter((preset) => preset.name !== name), { name, network }]);
+  }, []);
+
+  const deletePreset = useCallback((name) => {
+    setPresets((prev) => prev.filter((preset) => preset.name !== name));
+  }, []);
+
+  return { presets, savePreset, deletePreset };
+};
+
+export default useUserPresets;
@@ -0,0 +1,80 @@
+// src/engine/activations.js
+
+const LEAKY_SLOPE = 0.01;
+
+// Each activation knows its derivative (given both the weighted sum and the
+// activation it produced) and the output range used to scale plots.
+export const ACTIVATIONS = {
+  sigmoid: {
+    label: 'Sigmoid',
+    fn: (x) => 1 / (1 + Math.exp(-x)),
+    derivative: (x, y) => y * (1 - y),
+    range: [0, 1],
+    description: 'squashes any sum into a value between 0 and 1',
+  },
+  tanh: {
+    label: 'Tanh',
+    fn: (x) => Math.tanh(x),
+    derivative: (x, y) => 1 - y * y,
+    range: [-1, 1],
+    description: 'squashes any sum into a value between -1 and 1',
+  },
+  relu: {
+    label: 'ReLU',
+    fn: (x) => Math.max(0, x),
+    derivative: (x) => (x > 0 ? 1 : 0),
+    range: [0, 6],
+    description: 'passes positive sums through unchanged and outputs 0 for negative ones',
+  },
+  leakyRelu: {
+    label: 'Leaky ReLU',
+    fn: (x) => (x > 0 ? x : LEAKY_SLOPE * x),
+    derivative: (x) => (x > 0 ? 1 : LEAKY_SLOPE),
+    range: [-1, 6],
+    description: 'works like ReLU but lets a small fraction of negative sums through',
+  },
+  linear: {
+    label: 'Linear',
+    fn: (x) => x,
+    derivative: () => 1,
+    range: [-6, 6],
+    description: 'outputs the sum unchanged',
+  },
+  step: {
+    label: 'Step',
+    fn: (x) => (x >= 0 ? 1 : 0),
+    derivative: () => 0,
+    range: [0, 1],
+    description: 'fires fully (1) when the sum is at least 0 and not at all (0) otherwise; its slope is 0 everywhere, so it cannot be trained with backpropagation',
+  },
+  // Works on a whole layer rather than one neuron at a time, so it has `layer` instead of `fn`
+  // and `derivative`. Only the output layer can use it.
+  softmax: {
+    label: 'Softmax',
+    layer: (sums) => {
+      // Subtracting the largest sum keeps exp() from overflowing without changing the result
+      const largest = Math.max(...sums);
+      const exps = sums.map((sum) => Math.exp(sum - largest));
+      const total = exps.reduce((acc, value) => acc + value, 0);
+      return exps.map((value) => value / total);
+    },
+    range: [0, 1],
+    outputOnly: true,
+    description: 'turns the output layer\'s sums into probabilities that add up to 1, one for each class',
+  },
+};
+
+export const DEFAULT_ACTIVATION = 'sigmoid';
+
+// Own properties only, so names like "constructor" fall back to the default too
+export const getActivation = (id) => (Object.hasOwn(ACTIVATIONS, id) ? ACTIVATIONS[id] : ACTIVATIONS[DEFAULT_ACTIVATION]);
+
+// Activations of a layer from its neurons' weighted sums, in the same order
+export const activateLayer = (id, sums) => {
+  const activation = getActivation(id);
+  return activation.layer ? activation.layer(sums) : sums.map((sum) => activation.fn(sum));
+};
+
+// Activations a layer can use: those marked `outputOnly` are left out for hidden layers
+export const getLayerActivations = (isOutputLayer) =>
+  Object.fromEntries(Object.entries(ACTIVATIONS).filter(([, { outputOnly }]) => isOutputLayer || !outputOnly));
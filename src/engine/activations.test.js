@@ -0,0 +1,30 @@
+import { ACTIVATIONS, getActivation } from './activations';
+
+describe('activation functions', () => {
+  // Softmax works on whole layers; its gradient is checked through backpropagation
+  test.each(Object.keys(ACTIVATIONS).filter((id) => id !== 'step' && !ACTIVATIONS[id].layer))(
+    '%s derivative matches a finite difference',
+    (id) => {
+      const { fn, derivative } = ACTIVATIONS[id];
+      [-3, -0.7, 0.4, 2.5].forEach((x) => {
+        const numeric = (fn(x + 1e-6) - fn(x - 1e-6)) / 2e-6;
+        expect(derivative(x, fn(x))).toBeCloseTo(numeric, 5);
+      });
+    }
+  );
+
+  test('produce the expected values', () => {
+    expect(ACTIVATIONS.sigmoid.fn(0)).toBe(0.5);
+    expect(ACTIVATIONS.tanh.fn(0)).toBe(0);
+    expect(ACTIVATIONS.relu.fn(-2)).toBe(0);
+    expect(ACTIVATIONS.leakyRelu.fn(-2)).toBeCloseTo(-0.02);
+    expect(ACTIVATIONS.linear.fn(-2)).toBe(-2);
+    expect(ACTIVATIONS.step.fn(0)).toBe(1);
+    expect(ACTIVATIONS.step.fn(-0.1)).toBe(0);
+  });
+
+  test('falls back to sigmoid for unknown ids', () => {
+    expect(getActivation('nope')).toBe(ACTIVATIONS.sigmoid);
+    expect(getActivation('toString')).toBe(ACTIVATIONS.sigmoid);
+  });
+});
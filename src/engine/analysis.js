@@ -0,0 +1,138 @@
+// src/engine/analysis.js
+
+import { forwardPass, forwardPassWithSums, getLayerNodes } from './network';
+import { backpropagate } from './training';
+
+// Evenly spaced values from 0 to 1, both included
+const spacedValues = (steps) => Array.from({ length: steps }, (_, index) => index / (steps - 1));
+
+/**
+ * Every combination of `steps` evenly spaced values in [0,1] for the inputs in `inputIds`,
+ * with the other inputs held at their values in `inputs`. The last id varies fastest, so two
+ * steps give the truth-table order 00, 01, 10, 11.
+ * @returns {Object[]} one inputs map per combination
+ */
+export const buildInputGrid = (inputs, inputIds, steps = 2) => {
+  const values = spacedValues(steps);
+  return inputIds.reduce(
+    (combinations, id) => combinations.flatMap((combination) => values.map((value) => ({ ...combination, [id]: value }))),
+    [{ ...inputs }]
+  );
+};
+
+/**
+ * Run the network on each set of inputs, with the same forward pass as the diagram.
+ * @returns {Array<{ inputs: Object, sums: Object, activations: Object }>}
+ */
+export const evaluateInputSets = (architecture, weights, biases, inputSets) =>
+  inputSets.map((inputs) => ({ inputs, ...forwardPassWithSums(architecture, weights, biases, inputs) }));
+
+/**
+ * Every neuron's activation while one input sweeps from 0 to 1 and the others stay fixed.
+ * @returns {Array<{ value: number, activations: Object }>} `steps` points in order
+ */
+export const sweepInput = (architecture, weights, biases, inputs, inputId, steps = 51) =>
+  spacedValues(steps).map((value) => ({
+    value,
+    activations: forwardPassWithSums(architecture, weights, biases, { ...inputs, [inputId]: value }).activations,
+  }));
+
+// Boolean functions of any number of inputs, tested on the on/off bits of one corner
+const LOGIC_FUNCTIONS = [
+  ['always off', () => false],
+  ['always on', () => true],
+  ['AND', (bits) => bits.every(Boolean)],
+  ['OR', (bits) => bits.some(Boolean)],
+  ['NAND', (bits) => !bits.every(Boolean)],
+  ['NOR', (bits) => !bits.some(Boolean)],
+  ['XOR', (bits) => bits.filter(Boolean).length % 2 === 1],
+  ['XNOR', (bits) => bits.filter(Boolean).length % 2 === 0],
+];
+
+/**
+ * Name the logic function an output computes on the corners of the input space, reading an
+ * activation of 0.5 or more as on. Corners come from buildInputGrid over every input with two steps.
+ * @returns {string | null} e.g. 'XOR', or null when it is none of the common gates
+ */
+export const identifyLogicFunction = (architecture, corners, outputId) => {
+  const inputIds = getLayerNodes(architecture)[0];
+  const match = LOGIC_FUNCTIONS.find(([, gate]) =>
+    corners.every(({ inputs, activations }) => gate(inputIds.map((id) => inputs[id] >= 0.5)) === (activations[outputId] >= 0.5))
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * How sensitive one output is to everything at the current inputs: the partial derivative of
+ * its activation with respect to every weight, bias and input.
+ * @returns {{ output: number, weights: Object, biases: Object, inputs: Object }} the output's
+ *   activation and the derivatives, keyed like the network's parameter maps
+ */
+export const computeSensitivity = (architecture, weights, biases, inputs, outputId) => {
+  const { weightGradients, biasGradients, inputGradients, activations } = backpropagate(
+    architecture,
+    weights,
+    biases,
+    inputs,
+    () => ({ [outputId]: 1 })
+  );
+  return { output: activations[outputId], weights: weightGradients, biases: biasGradients, inputs: inputGradients };
+};
+
+/**
+ * Gradient × input: each input's value times the output's derivative with respect to it, a
+ * first-order estimate of how much of the output that input is responsible for.
+ */
+export const gradientTimesInput = (architecture, weights, biases, inputs, outputId) => {
+  const { inputs: gradients } = computeSensitivity(architecture, weights, biases, inputs, outputId);
+  return Object.fromEntries(Object.keys(inputs).map((id) => [id, inputs[id] * gradients[id]]));
+};
+
+/**
+ * Integrated gradients: each input's change from `baseline` times the output's derivative with
+ * respect to it, averaged along the straight path from the baseline to the inputs (a midpoint
+ * sum over `steps` points). The attributions add up to the output minus the output at the baseline.
+ * @returns {{ attributions: Object, output: number, baselineOutput: number }}
+ */
+export const integratedGradients = (architecture, weights, biases, inputs, outputId, { baseline, steps = 50 } = {}) => {
+  const start = baseline ?? Object.fromEntries(Object.keys(inputs).map((id) => [id, 0]));
+  const totals = Object.fromEntries(Object.keys(inputs).map((id) => [id, 0]));
+  for (let step = 0; step < steps; step++) {
+    const alpha = (step + 0.5) / steps;
+    const point = Object.fromEntries(Object.keys(inputs).map((id) => [id, start[id] + alpha * (inputs[id] - start[id])]));
+    const { inputs: gradients } = computeSensitivity(architecture, weights, biases, point, outputId);
+    Object.keys(totals).forEach((id) => {
+      totals[id] += gradients[id];
+    });
+  }
+  return {
+    attributions: Object.fromEntries(Object.keys(inputs).map((id) => [id, ((inputs[id] - start[id]) * totals[id]) / steps])),
+    output: forwardPass(architecture, weights, biases, inputs)[outputId],
+    baselineOutput: forwardPass(architecture, weights, biases, start)[outputId],
+  };
+};
+
+// One entry per key in either map, in the order the keys first appear; a value is null on the
+// side that lacks the key
+const diffMaps = (left, right) =>
+  [...new Set([...Object.keys(left), ...Object.keys(right)])].map((key) => {
+    const a = key in left ? left[key] : null;
+    const b = key in right ? right[key] : null;
+    return { key, left: a, right: b, difference: a === null || b === null ? null : b - a };
+  });
+
+/**
+ * Compare two networks parameter by parameter and neuron by neuron, each run on its own inputs.
+ * Networks with different architectures are compared on the keys they share; the difference is
+ * right minus left, or null where only one network has the key.
+ * @returns {{ weights: Object[], biases: Object[], activations: Object[] }} lists of
+ *   `{ key, left, right, difference }`
+ */
+export const compareNetworks = (left, right) => ({
+  weights: diffMaps(left.weights, right.weights),
+  biases: diffMaps(left.biases, right.biases),
+  activations: diffMaps(
+    forwardPass(left.architecture, left.weights, left.biases, left.inputs),
+    forwardPass(right.architecture, right.weights, right.biases, right.inputs)
+  ),
+});
@@ -0,0 +1,133 @@
+import { createNetwork, forwardPass } from './network';
+import {
+  buildInputGrid,
+  compareNetworks,
+  computeSensitivity,
+  evaluateInputSets,
+  gradientTimesInput,
+  identifyLogicFunction,
+  integratedGradients,
+  sweepInput,
+} from './analysis';
+
+const ARCHITECTURE = [{ size: 2 }, { size: 2, activation: 'sigmoid' }, { size: 1, activation: 'sigmoid' }];
+
+// A hand-made XOR: H1 is OR, H2 is AND, and the output is "OR but not AND"
+const xor = createNetwork(ARCHITECTURE, {
+  weights: { 'A->H1': 20, 'B->H1': 20, 'A->H2': 20, 'B->H2': 20, 'H1->O': 20, 'H2->O': -20 },
+  biases: { H1: -10, H2: -30, O: -10 },
+});
+
+describe('input grids', () => {
+  test('lists the corners in truth-table order and holds other inputs fixed', () => {
+    expect(buildInputGrid({ A: 0.3, B: 0.6 }, ['A', 'B']).map(({ A, B }) => [A, B])).toEqual([
+      [0, 0],
+      [0, 1],
+      [1, 0],
+      [1, 1],
+    ]);
+    const grid = buildInputGrid({ A: 0.3, B: 0.6, C: 0.9 }, ['B'], 5);
+    expect(grid.map(({ B }) => B)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(grid.every(({ A, C }) => A === 0.3 && C === 0.9)).toBe(true);
+  });
+
+  test('evaluates with the same forward pass as the diagram', () => {
+    const [row] = evaluateInputSets(xor.architecture, xor.weights, xor.biases, [{ A: 1, B: 0 }]);
+    expect(row.activations).toEqual(forwardPass(xor.architecture, xor.weights, xor.biases, { A: 1, B: 0 }));
+    expect(row.sums.H1).toBe(10);
+  });
+
+  test('names the logic function on the corners', () => {
+    const corners = (network) =>
+      evaluateInputSets(network.architecture, network.weights, network.biases, buildInputGrid(network.inputs, ['A', 'B']));
+    expect(identifyLogicFunction(ARCHITECTURE, corners(xor), 'O')).toBe('XOR');
+
+    const nand = { ...xor, weights: { ...xor.weights, 'H1->O': 0 }, biases: { ...xor.biases, O: 10 } };
+    expect(identifyLogicFunction(ARCHITECTURE, corners(nand), 'O')).toBe('NAND');
+
+    const onlyA = { ...xor, weights: { ...xor.weights, 'B->H1': 0, 'H2->O': 0 } };
+    expect(identifyLogicFunction(ARCHITECTURE, corners(onlyA), 'O')).toBeNull();
+  });
+});
+
+test('sweeps one input from 0 to 1', () => {
+  const points = sweepInput(xor.architecture, xor.weights, xor.biases, { A: 0, B: 1 }, 'A', 3);
+  expect(points.map(({ value }) => value)).toEqual([0, 0.5, 1]);
+  expect(points[0].activations.O).toBeGreaterThan(0.99);
+  expect(points[2].activations.O).toBeLessThan(0.01);
+});
+
+describe('sensitivity and attribution', () => {
+  const architecture = [{ size: 2 }, { size: 3, activation: 'tanh' }, { size: 2, activation: 'sigmoid' }];
+  const network = createNetwork(architecture, {
+    weights: { 'A->H1': 0.8, 'A->H2': -0.4, 'A->H3': 0.3, 'B->H1': -0.7, 'B->H2': 0.9, 'B->H3': 0.2, 'H1->O1': 1.2, 'H2->O1': -0.6, 'H3->O2': 0.5 },
+    biases: { H1: 0.1, H2: -0.2, O1: 0.3 },
+    inputs: { A: 0.6, B: 0.9 },
+  });
+  const output = (overrides) => {
+    const { weights, biases, inputs } = { ...network, ...overrides };
+    return forwardPass(architecture, weights, biases, inputs).O1;
+  };
+  const numeric = (map, key, build) => {
+    const h = 1e-5;
+    return (output(build({ ...map, [key]: map[key] + h })) - output(build({ ...map, [key]: map[key] - h }))) / (2 * h);
+  };
+
+  test('matches finite differences for every weight, bias and input', () => {
+    const sensitivity = computeSensitivity(architecture, network.weights, network.biases, network.inputs, 'O1');
+    expect(sensitivity.output).toBeCloseTo(output({}));
+    Object.keys(network.weights).forEach((key) => {
+      expect(sensitivity.weights[key]).toBeCloseTo(numeric(network.weights, key, (weights) => ({ weights })), 6);
+    });
+    Object.keys(network.biases).forEach((key) => {
+      expect(sensitivity.biases[key]).toBeCloseTo(numeric(network.biases, key, (biases) => ({ biases })), 6);
+    });
+    Object.keys(network.inputs).forEach((key) => {
+      expect(sensitivity.inputs[key]).toBeCloseTo(numeric(network.inputs, key, (inputs) => ({ inputs })), 6);
+    });
+    // O1 doesn't depend on H3's connection to O2
+    expect(sensitivity.weights['H3->O2']).toBe(0);
+  });
+
+  test('attributes the output to the inputs', () => {
+    const { inputs: gradients } = computeSensitivity(architecture, network.weights, network.biases, network.inputs, 'O1');
+    expect(gradientTimesInput(architecture, network.weights, network.biases, network.inputs, 'O1')).toEqual({
+      A: 0.6 * gradients.A,
+      B: 0.9 * gradients.B,
+    });
+
+    // Integrated gradients add up to the change in output from the all-zero baseline
+    const { attributions, output: value, baselineOutput } = integratedGradients(
+      architecture,
+      network.weights,
+      network.biases,
+      network.inputs,
+      'O1'
+    );
+    expect(attributions.A + attributions.B).toBeCloseTo(value - baselineOutput, 4);
+    expect(baselineOutput).toBeCloseTo(output({ inputs: { A: 0, B: 0 } }));
+  });
+});
+
+describe('compareNetworks', () => {
+  test('lists how far every weight, bias and activation moved', () => {
+    const inputs = { A: 1, B: 0 };
+    const defaults = createNetwork(ARCHITECTURE, { inputs });
+    const { weights, biases, activations } = compareNetworks({ ...xor, inputs }, defaults);
+    expect(weights.find(({ key }) => key === 'H2->O')).toEqual({ key: 'H2->O', left: -20, right: 0.5, difference: 20.5 });
+    expect(biases.map(({ key }) => key)).toEqual(['H1', 'H2', 'O']);
+    // The XOR fires for A alone; the default network sits at sigmoid(0.5)
+    const output = activations.find(({ key }) => key === 'O');
+    expect(output.left).toBeCloseTo(1);
+    expect(output.right).toBe(forwardPass(ARCHITECTURE, defaults.weights, defaults.biases, inputs).O);
+    expect(output.difference).toBeCloseTo(output.right - 1);
+  });
+
+  test('leaves a gap where only one network has a neuron', () => {
+    const wide = createNetwork([{ size: 2 }, { size: 3, activation: 'sigmoid' }, { size: 1, activation: 'sigmoid' }]);
+    const { weights, activations } = compareNetworks(createNetwork(ARCHITECTURE), wide);
+    expect(weights.find(({ key }) => key === 'A->H3')).toEqual({ key: 'A->H3', left: null, right: 0.5, difference: null });
+    expect(weights.find(({ key }) => key === 'A->H1').difference).toBe(0);
+    expect(activations.map(({ key }) => key)).toEqual(['H1', 'H2', 'O', 'H3']);
+  });
+});
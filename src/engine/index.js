@@ -0,0 +1,91 @@
+// src/engine/index.js
+
+/**
+ * Headless neural network engine: the model behind the visualizer, with no
+ * React, DOM or canvas dependencies.
+ *
+ * A network is described by plain data:
+ *   - architecture: one `{ size, activation }` entry per layer, input layer first
+ *     (the input layer has no activation; only the output layer can use softmax,
+ *     which turns its sums into class probabilities)
+ *   - weights: `{ 'A->H1': 0.5, ... }`, one entry per connection
+ *   - biases:  `{ H1: 0, ... }`, one entry per hidden or output neuron
+ *   - inputs:  `{ A: 0, ... }`, one entry per input neuron
+ *
+ * Neuron ids come from getNodeId: inputs are A, B, C..., a single hidden layer
+ * is H1, H2..., deeper networks use H<layer>.<neuron>, and the output is O
+ * (or O1, O2... when there are several outputs).
+ *
+ * Example:
+ *   const network = createNetwork([{ size: 2 }, { size: 2, activation: 'tanh' }, { size: 1, activation: 'sigmoid' }]);
+ *   const { activations } = forwardPassWithSums(network.architecture, network.weights, network.biases, { A: 1, B: 0 });
+ */
+
+export {
+  DEFAULT_ARCHITECTURE,
+  MAX_LAYER_SIZE,
+  MAX_HIDDEN_LAYERS,
+  DEFAULT_WEIGHT,
+  DEFAULT_BIAS,
+  getNodeId,
+  getNodeLabel,
+  getLayerLabel,
+  getLayerNodes,
+  getConnections,
+  buildWeights,
+  buildBiases,
+  buildInputs,
+  createNetwork,
+  resizeNetwork,
+  hasSoftmaxOutput,
+  forwardPassWithSums,
+  forwardPass,
+} from './network';
+
+export { ACTIVATIONS, DEFAULT_ACTIVATION, getActivation, activateLayer, getLayerActivations } from './activations';
+
+export {
+  DATASETS,
+  parseCustomDataset,
+  parseCsvDataset,
+  buildDataset,
+  computeGradients,
+  squaredErrorLoss,
+  crossEntropyLoss,
+  predictClass,
+  getClassTargets,
+  datasetLoss,
+  evaluateDataset,
+  trainEpoch,
+} from './training';
+
+export {
+  SCHEMA_VERSION,
+  NETWORK_URL_PARAM,
+  serializeNetwork,
+  parseNetworkState,
+  parseNetworkJson,
+  encodeNetworkToUrl,
+  decodeNetworkFromUrl,
+} from './serialization';
+
+export { getTfjsWeightPaths, parseTfjsModel, exportTfjsModel } from './tfjs';
+
+export {
+  buildInputGrid,
+  evaluateInputSets,
+  sweepInput,
+  identifyLogicFunction,
+  computeSensitivity,
+  gradientTimesInput,
+  integratedGradients,
+  compareNetworks,
+} from './analysis';
+
+export {
+  INITIALIZERS,
+  DEFAULT_INITIALIZATION,
+  createRandom,
+  randomSeed,
+  initializeParameters,
+} from './initialization';
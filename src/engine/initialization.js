@@ -0,0 +1,74 @@
+// src/engine/initialization.js
+
+import { DEFAULT_BIAS, DEFAULT_WEIGHT, getConnections, getLayerNodes } from './network';
+
+// Largest seed, so seeds stay short enough to read out and type back in
+const MAX_SEED = 999999;
+
+// Weight initialization schemes. Each draws one weight for a connection into a layer with
+// `fanIn` inputs and `fanOut` neurons, using `random` (uniform in [0,1)) and `scale`, the
+// uniform scheme's range.
+export const INITIALIZERS = {
+  constant: {
+    label: `Constant (${DEFAULT_WEIGHT})`,
+    description: 'every weight starts equal, so neurons in a layer stay identical until something breaks the symmetry',
+    draw: () => DEFAULT_WEIGHT,
+  },
+  uniform: {
+    label: 'Uniform',
+    description: 'weights drawn evenly from -scale to scale',
+    draw: ({ random, scale }) => (random() * 2 - 1) * scale,
+  },
+  xavier: {
+    label: 'Xavier / Glorot',
+    description: 'uniform within ±√(6 / (fan in + fan out)), keeping signals a similar size through sigmoid and tanh layers',
+    draw: ({ random, fanIn, fanOut }) => (random() * 2 - 1) * Math.sqrt(6 / (fanIn + fanOut)),
+  },
+  he: {
+    label: 'He',
+    description: 'normal with standard deviation √(2 / fan in), suited to ReLU layers that zero half their inputs',
+    draw: ({ random, fanIn }) => {
+      // Box-Muller; 1 - random() avoids log(0)
+      const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      return normal * Math.sqrt(2 / fanIn);
+    },
+  },
+};
+
+export const DEFAULT_INITIALIZATION = { scheme: 'constant', seed: 1, scale: 1 };
+
+// Mulberry32: a small seeded generator, so a seed always gives the same weights
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A fresh seed to show and share
+export const randomSeed = () => 1 + Math.floor(Math.random() * MAX_SEED);
+
+/**
+ * Weights and biases for an architecture from an initialization scheme. The same scheme, seed
+ * and architecture always give the same values. Biases start at 0.
+ * @param {{ scheme?: string, seed?: number, scale?: number }} initialization
+ * @returns {{ weights: Object, biases: Object }}
+ */
+export const initializeParameters = (architecture, { scheme, seed, scale } = DEFAULT_INITIALIZATION) => {
+  const { draw } = INITIALIZERS[Object.hasOwn(INITIALIZERS, scheme) ? scheme : DEFAULT_INITIALIZATION.scheme];
+  const random = createRandom(seed ?? DEFAULT_INITIALIZATION.seed);
+  const sizes = architecture.map(({ size }) => size);
+  const weights = Object.fromEntries(
+    getConnections(architecture).map(({ key, layerIndex }) => [
+      key,
+      // Two decimals, like the sliders
+      Math.round(draw({ random, scale: scale ?? 1, fanIn: sizes[layerIndex - 1], fanOut: sizes[layerIndex] }) * 100) / 100,
+    ])
+  );
+  const biases = Object.fromEntries(getLayerNodes(architecture).slice(1).flat().map((id) => [id, DEFAULT_BIAS]));
+  return { weights, biases };
+};
@@ -0,0 +1,40 @@
+import { DEFAULT_WEIGHT } from './network';
+import { DEFAULT_INITIALIZATION, createRandom, initializeParameters } from './initialization';
+
+const ARCHITECTURE = [{ size: 4 }, { size: 8, activation: 'relu' }, { size: 2, activation: 'sigmoid' }];
+
+const spread = (values) => Math.max(...values.map(Math.abs));
+
+describe('initializeParameters', () => {
+  test('starts every weight at the default by default', () => {
+    const { weights, biases } = initializeParameters(ARCHITECTURE);
+    expect(new Set(Object.values(weights))).toEqual(new Set([DEFAULT_WEIGHT]));
+    expect(Object.values(biases).every((bias) => bias === 0)).toBe(true);
+    expect(DEFAULT_INITIALIZATION.scheme).toBe('constant');
+  });
+
+  test('gives the same weights for the same seed', () => {
+    const first = initializeParameters(ARCHITECTURE, { scheme: 'he', seed: 42 });
+    expect(initializeParameters(ARCHITECTURE, { scheme: 'he', seed: 42 })).toEqual(first);
+    expect(initializeParameters(ARCHITECTURE, { scheme: 'he', seed: 43 }).weights).not.toEqual(first.weights);
+  });
+
+  test('scales each scheme to its layer sizes', () => {
+    const uniform = Object.values(initializeParameters(ARCHITECTURE, { scheme: 'uniform', seed: 7, scale: 6 }).weights);
+    expect(spread(uniform)).toBeLessThanOrEqual(6);
+    expect(spread(uniform)).toBeGreaterThan(3);
+
+    // Xavier's limit for the 8 → 2 layer is √(6 / 10)
+    const { weights: xavier } = initializeParameters(ARCHITECTURE, { scheme: 'xavier', seed: 7 });
+    const outputWeights = Object.keys(xavier).filter((key) => key.endsWith('O1') || key.endsWith('O2'));
+    expect(spread(outputWeights.map((key) => xavier[key]))).toBeLessThanOrEqual(Math.sqrt(0.6) + 0.005);
+  });
+});
+
+test('createRandom is deterministic and uniform in [0, 1)', () => {
+  const values = Array.from({ length: 1000 }, createRandom(5));
+  expect(Array.from({ length: 1000 }, createRandom(5))).toEqual(values);
+  expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+  expect(Math.max(...values)).toBeLessThan(1);
+  expect(values.reduce((total, value) => total + value, 0) / values.length).toBeCloseTo(0.5, 1);
+});
@@ -0,0 +1,172 @@
+// src/engine/network.js
+
+import { DEFAULT_ACTIVATION, activateLayer } from './activations';
+
+// Network architecture: one entry per layer, input layer first, output layer last.
+// Every layer after the input layer names the activation function its neurons apply.
+export const DEFAULT_ARCHITECTURE = [
+  { size: 2 },
+  { size: 2, activation: DEFAULT_ACTIVATION },
+  { size: 1, activation: DEFAULT_ACTIVATION },
+];
+export const MAX_LAYER_SIZE = 8;
+export const MAX_HIDDEN_LAYERS = 4;
+export const DEFAULT_WEIGHT = 0.5;
+export const DEFAULT_BIAS = 0;
+
+// Node ids keep the familiar A/B, H1/H2 and O names for the default 2-2-1 network
+export const getNodeId = (architecture, layerIndex, neuronIndex) => {
+  const lastLayer = architecture.length - 1;
+  if (layerIndex === 0) {
+    return String.fromCharCode(65 + neuronIndex);
+  }
+  if (layerIndex === lastLayer) {
+    return architecture[lastLayer].size === 1 ? 'O' : `O${neuronIndex + 1}`;
+  }
+  return architecture.length === 3
+    ? `H${neuronIndex + 1}`
+    : `H${layerIndex}.${neuronIndex + 1}`;
+};
+
+export const getNodeLabel = (architecture, layerIndex, neuronIndex) => {
+  const id = getNodeId(architecture, layerIndex, neuronIndex);
+  if (layerIndex === 0) return `Input ${id}`;
+  if (layerIndex === architecture.length - 1) {
+    return architecture[layerIndex].size === 1 ? 'Output Neuron' : `Output ${neuronIndex + 1}`;
+  }
+  return architecture.length === 3 ? `Hidden Neuron ${neuronIndex + 1}` : `Hidden ${id.slice(1)}`;
+};
+
+export const getLayerLabel = (architecture, layerIndex) => {
+  if (layerIndex === 0) return 'Input Layer';
+  if (layerIndex === architecture.length - 1) return 'Output Layer';
+  return architecture.length === 3 ? 'Hidden Layer' : `Hidden Layer ${layerIndex}`;
+};
+
+// Node ids grouped by layer, e.g. [['A', 'B'], ['H1', 'H2'], ['O']]
+export const getLayerNodes = (architecture) =>
+  architecture.map((layer, layerIndex) =>
+    Array.from({ length: layer.size }, (_, neuronIndex) =>
+      getNodeId(architecture, layerIndex, neuronIndex)
+    )
+  );
+
+// Fully connected edges between consecutive layers, keyed like 'A->H1'
+export const getConnections = (architecture) => {
+  const layers = getLayerNodes(architecture);
+  const connections = [];
+  for (let layerIndex = 1; layerIndex < layers.length; layerIndex++) {
+    layers[layerIndex - 1].forEach((from) => {
+      layers[layerIndex].forEach((to) => {
+        connections.push({ key: `${from}->${to}`, from, to, layerIndex });
+      });
+    });
+  }
+  return connections;
+};
+
+// Parameter maps for an architecture, keeping any values that still apply from `previous`
+export const buildWeights = (architecture, previous = {}) =>
+  Object.fromEntries(
+    getConnections(architecture).map(({ key }) => [key, previous[key] ?? DEFAULT_WEIGHT])
+  );
+
+export const buildBiases = (architecture, previous = {}) =>
+  Object.fromEntries(
+    getLayerNodes(architecture)
+      .slice(1)
+      .flat()
+      .map((id) => [id, previous[id] ?? DEFAULT_BIAS])
+  );
+
+export const buildInputs = (architecture, previous = {}) =>
+  Object.fromEntries(getLayerNodes(architecture)[0].map((id) => [id, previous[id] ?? 0]));
+
+/**
+ * Create a network with default parameters for an architecture. Values in
+ * `overrides.weights`, `overrides.biases` and `overrides.inputs` replace the
+ * defaults wherever their keys exist in the architecture.
+ * @returns {{ architecture: Array, weights: Object, biases: Object, inputs: Object }}
+ */
+export const createNetwork = (architecture = DEFAULT_ARCHITECTURE, overrides = {}) => ({
+  architecture,
+  weights: buildWeights(architecture, overrides.weights),
+  biases: buildBiases(architecture, overrides.biases),
+  inputs: buildInputs(architecture, overrides.inputs),
+});
+
+// Ids of the neurons of `previous` that `next` still has, keyed by their old id. Inputs and outputs
+// match up as layers, and hidden layers by position, so adding a hidden layer (which renames H1 to
+// H1.1) or a second output (which renames O to O1) keeps pointing at the same neurons.
+const matchNodeIds = (previous, next) => {
+  const previousLast = previous.length - 1;
+  const nextLast = next.length - 1;
+  const layerPairs = [[previousLast, nextLast]];
+  for (let layerIndex = 0; layerIndex < Math.min(previousLast, nextLast); layerIndex++) {
+    layerPairs.push([layerIndex, layerIndex]);
+  }
+  const matches = {};
+  layerPairs.forEach(([from, to]) => {
+    for (let neuronIndex = 0; neuronIndex < Math.min(previous[from].size, next[to].size); neuronIndex++) {
+      matches[getNodeId(previous, from, neuronIndex)] = getNodeId(next, to, neuronIndex);
+    }
+  });
+  return matches;
+};
+
+/**
+ * A network rebuilt for `architecture`, keeping the inputs, weights and biases of every neuron and
+ * connection it still has, even where their ids change, and defaults for the rest.
+ * @returns {{ architecture: Array, weights: Object, biases: Object, inputs: Object }}
+ */
+export const resizeNetwork = ({ architecture: previous, weights, biases, inputs }, architecture) => {
+  const ids = matchNodeIds(previous, architecture);
+  const renameKeys = (values, rename) =>
+    Object.fromEntries(Object.entries(values).flatMap(([key, value]) => (rename(key) ? [[rename(key), value]] : [])));
+  const renameConnection = (key) => {
+    const [from, to] = key.split('->');
+    return ids[from] && ids[to] ? `${ids[from]}->${ids[to]}` : null;
+  };
+  return createNetwork(architecture, {
+    weights: renameKeys(weights, renameConnection),
+    biases: renameKeys(biases, (id) => ids[id]),
+    inputs: renameKeys(inputs, (id) => ids[id]),
+  });
+};
+
+// Whether the output layer turns its sums into class probabilities
+export const hasSoftmaxOutput = (architecture) => architecture[architecture.length - 1].activation === 'softmax';
+
+/**
+ * Forward pass that also records each neuron's weighted sum (its pre-activation).
+ * @returns {{ sums: Object<string, number>, activations: Object<string, number> }}
+ *   keyed by hidden and output neuron id
+ */
+export const forwardPassWithSums = (architecture, weights, biases, inputs) => {
+  const layers = getLayerNodes(architecture);
+  const values = { ...inputs };
+  const sums = {};
+  const activations = {};
+  for (let layerIndex = 1; layerIndex < layers.length; layerIndex++) {
+    layers[layerIndex].forEach((to) => {
+      sums[to] = layers[layerIndex - 1].reduce(
+        (total, from) => total + values[from] * weights[`${from}->${to}`],
+        biases[to]
+      );
+    });
+    // All of the layer's sums first, since softmax needs them together
+    const layerActivations = activateLayer(architecture[layerIndex].activation, layers[layerIndex].map((id) => sums[id]));
+    layers[layerIndex].forEach((to, neuronIndex) => {
+      values[to] = layerActivations[neuronIndex];
+      activations[to] = values[to];
+    });
+  }
+  return { sums, activations };
+};
+
+/**
+ * Forward pass: returns the activation of every hidden and output neuron.
+ * @returns {Object<string, number>}
+ */
+export const forwardPass = (architecture, weights, biases, inputs) =>
+  forwardPassWithSums(architecture, weights, biases, inputs).activations;
@@ -0,0 +1,112 @@
+import {
+  DEFAULT_ARCHITECTURE,
+  buildWeights,
+  createNetwork,
+  forwardPass,
+  forwardPassWithSums,
+  getConnections,
+  getLayerNodes,
+  getNodeLabel,
+  resizeNetwork,
+} from './network';
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+describe('network structure', () => {
+  test('keeps the familiar names for the default 2-2-1 network', () => {
+    expect(getLayerNodes(DEFAULT_ARCHITECTURE)).toEqual([['A', 'B'], ['H1', 'H2'], ['O']]);
+    expect(getConnections(DEFAULT_ARCHITECTURE).map(({ key }) => key)).toEqual([
+      'A->H1',
+      'A->H2',
+      'B->H1',
+      'B->H2',
+      'H1->O',
+      'H2->O',
+    ]);
+    expect(getNodeLabel(DEFAULT_ARCHITECTURE, 1, 1)).toBe('Hidden Neuron 2');
+  });
+
+  test('names neurons in deeper networks by layer', () => {
+    const architecture = [
+      { size: 3 },
+      { size: 4, activation: 'relu' },
+      { size: 4, activation: 'relu' },
+      { size: 2, activation: 'sigmoid' },
+    ];
+    const layers = getLayerNodes(architecture);
+    expect(layers[0]).toEqual(['A', 'B', 'C']);
+    expect(layers[2]).toEqual(['H2.1', 'H2.2', 'H2.3', 'H2.4']);
+    expect(layers[3]).toEqual(['O1', 'O2']);
+    expect(getConnections(architecture)).toHaveLength(3 * 4 + 4 * 4 + 4 * 2);
+  });
+
+  test('keeps surviving parameters when the architecture changes', () => {
+    const weights = { ...buildWeights(DEFAULT_ARCHITECTURE), 'A->H1': -0.3 };
+    const grown = buildWeights([{ size: 3 }, ...DEFAULT_ARCHITECTURE.slice(1)], weights);
+    expect(grown['A->H1']).toBe(-0.3);
+    expect(grown['C->H2']).toBe(0.5);
+  });
+
+  test('follows neurons whose ids change when a layer is added or removed', () => {
+    const network = createNetwork(undefined, {
+      weights: { 'A->H1': -0.3, 'H2->O': 2 },
+      biases: { H1: 1.5, O: -1 },
+      inputs: { B: 0.7 },
+    });
+    const deeper = resizeNetwork(network, [...DEFAULT_ARCHITECTURE.slice(0, 2), ...DEFAULT_ARCHITECTURE.slice(1)]);
+    expect(deeper.weights).toMatchObject({ 'A->H1.1': -0.3, 'H1.1->H2.1': 0.5, 'H2.2->O': 0.5 });
+    expect(deeper.biases).toMatchObject({ 'H1.1': 1.5, 'H2.1': 0, O: -1 });
+    expect(deeper.inputs).toEqual({ A: 0, B: 0.7 });
+    expect(resizeNetwork(deeper, DEFAULT_ARCHITECTURE)).toEqual({ ...network, weights: { ...network.weights, 'H2->O': 0.5 } });
+
+    // A second output takes over from the only one
+    const twoOutputs = resizeNetwork(network, [...DEFAULT_ARCHITECTURE.slice(0, 2), { size: 2, activation: 'sigmoid' }]);
+    expect(twoOutputs.weights).toMatchObject({ 'H2->O1': 2, 'H2->O2': 0.5 });
+    expect(twoOutputs.biases).toMatchObject({ O1: -1, O2: 0 });
+  });
+});
+
+describe('forward pass', () => {
+  test('matches a hand computation for the default network', () => {
+    const { architecture, weights, biases } = createNetwork();
+    const activations = forwardPass(architecture, weights, biases, { A: 1, B: 0 });
+    const hidden = sigmoid(0.5);
+    expect(activations.H1).toBeCloseTo(hidden, 10);
+    expect(activations.H2).toBeCloseTo(hidden, 10);
+    expect(activations.O).toBeCloseTo(sigmoid(hidden), 10);
+  });
+
+  test('records weighted sums and applies each layer\'s activation', () => {
+    const network = createNetwork(
+      [{ size: 2 }, { size: 1, activation: 'relu' }, { size: 1, activation: 'linear' }],
+      { weights: { 'A->H1': 2, 'B->H1': -1, 'H1->O': 3 }, biases: { H1: -0.5, O: 1 } }
+    );
+    const { sums, activations } = forwardPassWithSums(
+      network.architecture,
+      network.weights,
+      network.biases,
+      { A: 1, B: 1 }
+    );
+    expect(sums.H1).toBeCloseTo(0.5);
+    expect(activations.H1).toBeCloseTo(0.5);
+    expect(activations.O).toBeCloseTo(2.5);
+
+    const negative = forwardPass(network.architecture, network.weights, network.biases, { A: 0, B: 1 });
+    expect(negative.H1).toBe(0);
+    expect(negative.O).toBe(1);
+  });
+
+  test('turns a softmax output layer\'s sums into probabilities', () => {
+    const network = createNetwork(
+      [{ size: 1 }, { size: 3, activation: 'softmax' }],
+      { weights: { 'A->O1': 1, 'A->O2': 2, 'A->O3': 3 }, biases: { O1: 0, O2: 0, O3: 1000 } }
+    );
+    // A huge sum would overflow exp() without the shift by the largest sum
+    const { O1, O2, O3 } = forwardPass(network.architecture, network.weights, network.biases, { A: 1 });
+    expect(O3).toBeCloseTo(1, 10);
+    expect(O1 + O2 + O3).toBeCloseTo(1, 10);
+
+    const even = forwardPass(network.architecture, network.weights, { O1: 0, O2: 0, O3: 0 }, { A: 0 });
+    expect(Object.values(even).map((p) => p.toFixed(4))).toEqual(['0.3333', '0.3333', '0.3333']);
+  });
+});
@@ -0,0 +1,182 @@
+// src/engine/serialization.js
+
+import {
+  MAX_LAYER_SIZE,
+  MAX_HIDDEN_LAYERS,
+  getConnections,
+  getLayerNodes,
+} from './network';
+import { ACTIVATIONS } from './activations';
+
+// Bump when the exported format changes, and teach parseNetworkState to read the old one
+export const SCHEMA_VERSION = 1;
+
+// Query parameter that carries the encoded network in shared links
+export const NETWORK_URL_PARAM = 'net';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateArchitecture = (architecture) => {
+  if (!Array.isArray(architecture) || architecture.length < 2) {
+    return '"architecture" must be a list of at least two layers';
+  }
+  if (architecture.length - 2 > MAX_HIDDEN_LAYERS) {
+    return `"architecture" has ${architecture.length - 2} hidden layers; the maximum is ${MAX_HIDDEN_LAYERS}`;
+  }
+  for (let layerIndex = 0; layerIndex < architecture.length; layerIndex++) {
+    const layer = architecture[layerIndex];
+    if (!isPlainObject(layer)) {
+      return `Layer ${layerIndex + 1} must be an object with a "size"`;
+    }
+    if (!Number.isInteger(layer.size) || layer.size < 1 || layer.size > MAX_LAYER_SIZE) {
+      return `Layer ${layerIndex + 1} must have a whole-number "size" from 1 to ${MAX_LAYER_SIZE}`;
+    }
+    if (layerIndex > 0 && !Object.hasOwn(ACTIVATIONS, layer.activation)) {
+      return `Layer ${layerIndex + 1} has unknown activation "${layer.activation}"; expected one of ${Object.keys(ACTIVATIONS).join(', ')}`;
+    }
+    if (layerIndex > 0 && layerIndex < architecture.length - 1 && ACTIVATIONS[layer.activation].outputOnly) {
+      return `Layer ${layerIndex + 1} uses ${layer.activation}, which only the output layer can use`;
+    }
+  }
+  return null;
+};
+
+// Check that a parameter map has exactly the expected keys, each holding a finite number
+const validateParameterMap = (name, map, expectedKeys) => {
+  if (!isPlainObject(map)) {
+    return `"${name}" must be an object`;
+  }
+  const missing = expectedKeys.find((key) => !(key in map));
+  if (missing) {
+    return `"${name}" is missing a value for "${missing}"`;
+  }
+  const unexpected = Object.keys(map).find((key) => !expectedKeys.includes(key));
+  if (unexpected) {
+    return `"${name}" has "${unexpected}", which does not exist in this architecture`;
+  }
+  const invalid = expectedKeys.find((key) => typeof map[key] !== 'number' || !Number.isFinite(map[key]));
+  if (invalid) {
+    return `"${name}.${invalid}" must be a finite number`;
+  }
+  return null;
+};
+
+// Plain, versioned snapshot of everything needed to rebuild a network
+export const serializeNetwork = ({ architecture, weights, biases, inputs }) => ({
+  version: SCHEMA_VERSION,
+  architecture: architecture.map(({ size, activation }, layerIndex) =>
+    layerIndex === 0 ? { size } : { size, activation }
+  ),
+  weights,
+  biases,
+  inputs,
+});
+
+/**
+ * Validate a parsed snapshot such as the output of serializeNetwork.
+ * @returns {{ state: Object } | { error: string }} the network state, or a
+ *   human-readable description of the first problem found
+ */
+export const parseNetworkState = (data) => {
+  if (!isPlainObject(data)) {
+    return { error: 'Expected a JSON object describing the network' };
+  }
+  if (data.version === undefined) {
+    return { error: 'Missing "version"; this does not look like an exported network' };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { error: `"version" must be a positive whole number, not ${JSON.stringify(data.version)}` };
+  }
+  if (data.version > SCHEMA_VERSION) {
+    return {
+      error: `This file uses format version ${data.version}, but this app only understands up to version ${SCHEMA_VERSION}`,
+    };
+  }
+
+  const architectureError = validateArchitecture(data.architecture);
+  if (architectureError) return { error: architectureError };
+
+  const architecture = data.architecture.map(({ size, activation }, layerIndex) =>
+    layerIndex === 0 ? { size } : { size, activation }
+  );
+  const layers = getLayerNodes(architecture);
+  const error =
+    validateParameterMap('weights', data.weights, getConnections(architecture).map(({ key }) => key)) ||
+    validateParameterMap('biases', data.biases, layers.slice(1).flat()) ||
+    validateParameterMap('inputs', data.inputs, layers[0]);
+  if (error) return { error };
+
+  return {
+    state: {
+      architecture,
+      weights: { ...data.weights },
+      biases: { ...data.biases },
+      inputs: { ...data.inputs },
+    },
+  };
+};
+
+// Same as parseNetworkState, starting from the JSON text of an exported file
+export const parseNetworkJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { error: `The file is not valid JSON (${err.message})` };
+  }
+  return parseNetworkState(data);
+};
+
+// URL form: base64url-encoded JSON with parameters stored as arrays in connection order,
+// which keeps links considerably shorter than the exported file.
+const toBase64Url = (text) =>
+  btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+export const encodeNetworkToUrl = (state) => {
+  const { architecture, weights, biases, inputs } = serializeNetwork(state);
+  const layers = getLayerNodes(architecture);
+  return toBase64Url(
+    JSON.stringify({
+      v: SCHEMA_VERSION,
+      l: architecture.map(({ size, activation }) => (activation ? [size, activation] : [size])),
+      w: getConnections(architecture).map(({ key }) => weights[key]),
+      b: layers.slice(1).flat().map((id) => biases[id]),
+      i: layers[0].map((id) => inputs[id]),
+    })
+  );
+};
+
+// Inverse of encodeNetworkToUrl. Returns { state } or { error } like parseNetworkState.
+export const decodeNetworkFromUrl = (encoded) => {
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(encoded));
+  } catch (err) {
+    return { error: 'The network in this link is damaged and could not be read' };
+  }
+  if (!isPlainObject(compact) || !Array.isArray(compact.l)) {
+    return { error: 'The network in this link is damaged and could not be read' };
+  }
+  const architecture = compact.l.map((layer) =>
+    Array.isArray(layer) ? { size: layer[0], activation: layer[1] } : layer
+  );
+  const architectureError = validateArchitecture(architecture);
+  if (architectureError) return { error: architectureError };
+
+  const layers = getLayerNodes(architecture);
+  const zip = (keys, values) =>
+    Object.fromEntries(keys.map((key, index) => [key, Array.isArray(values) ? values[index] : undefined]));
+  return parseNetworkState({
+    version: compact.v,
+    architecture,
+    weights: zip(getConnections(architecture).map(({ key }) => key), compact.w),
+    biases: zip(layers.slice(1).flat(), compact.b),
+    inputs: zip(layers[0], compact.i),
+  });
+};
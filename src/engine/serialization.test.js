@@ -0,0 +1,70 @@
+import { createNetwork } from './network';
+import {
+  SCHEMA_VERSION,
+  decodeNetworkFromUrl,
+  encodeNetworkToUrl,
+  parseNetworkJson,
+  parseNetworkState,
+  serializeNetwork,
+} from './serialization';
+
+const network = createNetwork(
+  [{ size: 3 }, { size: 2, activation: 'tanh' }, { size: 2, activation: 'relu' }],
+  { weights: { 'A->H1': -0.123456789 }, biases: { O2: 1.5 }, inputs: { C: 1 } }
+);
+
+describe('JSON export', () => {
+  test('round-trips the full network state', () => {
+    const exported = serializeNetwork(network);
+    expect(exported.version).toBe(SCHEMA_VERSION);
+    expect(parseNetworkJson(JSON.stringify(exported))).toEqual({ state: network });
+  });
+
+  test.each([
+    ['not JSON', '{', /^The file is not valid JSON/],
+    ['a newer version', '{"version": 99}', /format version 99/],
+    ['no version', '{"architecture": []}', /Missing "version"/],
+    ['a zero version', '{"version": 0}', /"version" must be a positive whole number, not 0/],
+    ['a fractional version', '{"version": 0.5}', /not 0\.5/],
+    ['a text version', '{"version": "1"}', /not "1"/],
+  ])('rejects %s', (_, text, message) => {
+    expect(parseNetworkJson(text).error).toMatch(message);
+  });
+
+  test('explains what is wrong with the contents', () => {
+    const exported = serializeNetwork(network);
+    const withArchitecture = (architecture) => parseNetworkState({ ...exported, architecture }).error;
+    expect(withArchitecture([{ size: 2 }])).toBe('"architecture" must be a list of at least two layers');
+    expect(withArchitecture([{ size: 2 }, { size: 20, activation: 'tanh' }])).toMatch(/Layer 2 must have a whole-number "size"/);
+    expect(withArchitecture([{ size: 2 }, { size: 1, activation: 'swish' }])).toMatch(/unknown activation "swish"/);
+    expect(withArchitecture([{ size: 2 }, { size: 1, activation: 'constructor' }])).toMatch(/unknown activation "constructor"/);
+    expect(withArchitecture([{ size: 2 }, { size: 2, activation: 'softmax' }, { size: 1, activation: 'sigmoid' }])).toBe(
+      'Layer 2 uses softmax, which only the output layer can use'
+    );
+
+    const { 'A->H1': removed, ...missingWeight } = exported.weights;
+    expect(parseNetworkState({ ...exported, weights: missingWeight }).error).toBe(
+      '"weights" is missing a value for "A->H1"'
+    );
+    expect(parseNetworkState({ ...exported, biases: { ...exported.biases, H9: 0 } }).error).toBe(
+      '"biases" has "H9", which does not exist in this architecture'
+    );
+    expect(parseNetworkState({ ...exported, inputs: { ...exported.inputs, A: 'high' } }).error).toBe(
+      '"inputs.A" must be a finite number'
+    );
+  });
+});
+
+describe('URL encoding', () => {
+  test('round-trips the full network state', () => {
+    const encoded = encodeNetworkToUrl(network);
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeNetworkFromUrl(encoded)).toEqual({ state: network });
+  });
+
+  test('rejects damaged links', () => {
+    expect(decodeNetworkFromUrl('not-a-network').error).toBe(
+      'The network in this link is damaged and could not be read'
+    );
+  });
+});
@@ -0,0 +1,287 @@
+// src/engine/tfjs.js
+
+import {
+  MAX_HIDDEN_LAYERS,
+  MAX_LAYER_SIZE,
+  buildInputs,
+  getLayerNodes,
+} from './network';
+
+// Conversion to and from TensorFlow.js layers models (a model.json plus binary weight files).
+// Only sequential stacks of Dense layers map onto this network; a separate Activation or
+// LeakyReLU layer straight after a linear Dense layer is folded into it.
+
+// TensorFlow.js activation names for the ones the explorer has. Step has no equivalent.
+const TFJS_ACTIVATIONS = { sigmoid: 'sigmoid', tanh: 'tanh', relu: 'relu', linear: 'linear', softmax: 'softmax' };
+// The only LeakyReLU slope the explorer's leakyRelu uses
+const LEAKY_RELU_ALPHA = 0.01;
+const TFJS_WEIGHTS_PATH = 'group1-shard1of1.bin';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Layers of the topology, whether it was written by TensorFlow.js or converted from Keras
+const getTopologyLayers = (model) => {
+  const topology = model.modelTopology?.model_config ?? model.modelTopology;
+  const config = topology?.config;
+  if (Array.isArray(config)) return config;
+  return Array.isArray(config?.layers) ? config.layers : null;
+};
+
+const describeLayer = (layer, index) =>
+  `Layer ${index + 1} ("${layer.config?.name ?? 'unnamed'}", ${layer.class_name ?? 'unknown type'})`;
+
+const toActivation = (name) => {
+  if (name === undefined || name === null) return 'linear';
+  return Object.keys(TFJS_ACTIVATIONS).find((id) => TFJS_ACTIVATIONS[id] === name) ?? null;
+};
+
+// Dense layers with their activations, or the problem with each layer that can't be shown
+const readDenseLayers = (layers) => {
+  const dense = [];
+  const layerErrors = [];
+  let inputSize = null;
+  layers.forEach((layer, index) => {
+    const config = layer.config ?? {};
+    const previous = dense[dense.length - 1];
+    const canFold = previous && previous.activation === 'linear' && !previous.folded;
+    const inputShape = config.batch_input_shape ?? config.batchInputShape;
+    if (dense.length === 0 && Array.isArray(inputShape)) {
+      inputSize = inputShape[inputShape.length - 1];
+    }
+
+    switch (layer.class_name) {
+      case 'InputLayer':
+        if (index > 0) layerErrors.push(`${describeLayer(layer, index)}: an input layer can only come first`);
+        return;
+      case 'Dense': {
+        const activation = toActivation(config.activation);
+        if (!activation) {
+          layerErrors.push(
+            `${describeLayer(layer, index)}: the "${config.activation}" activation is not supported; use one of ${Object.values(TFJS_ACTIVATIONS).join(', ')}`
+          );
+        }
+        dense.push({ name: config.name, units: config.units, useBias: config.use_bias !== false, activation });
+        return;
+      }
+      case 'Activation': {
+        const activation = toActivation(config.activation);
+        if (!canFold || !activation) {
+          layerErrors.push(
+            `${describeLayer(layer, index)}: an Activation layer is only supported straight after a linear Dense layer, with one of ${Object.values(TFJS_ACTIVATIONS).join(', ')}`
+          );
+          return;
+        }
+        Object.assign(previous, { activation, folded: true });
+        return;
+      }
+      case 'LeakyReLU':
+        if (!canFold || Math.abs((config.alpha ?? 0.3) - LEAKY_RELU_ALPHA) > 1e-6) {
+          layerErrors.push(
+            `${describeLayer(layer, index)}: a LeakyReLU layer is only supported straight after a linear Dense layer, with alpha ${LEAKY_RELU_ALPHA}`
+          );
+          return;
+        }
+        Object.assign(previous, { activation: 'leakyRelu', folded: true });
+        return;
+      default:
+        layerErrors.push(`${describeLayer(layer, index)}: only Dense layers are supported`);
+    }
+  });
+  return { dense, inputSize, layerErrors };
+};
+
+// Every weight entry of the manifest with its byte offset in the concatenated weight data
+const readManifest = (model) => {
+  const entries = [];
+  let offset = 0;
+  (model.weightsManifest ?? []).forEach((group) => {
+    (group.weights ?? []).forEach((entry) => {
+      const count = (entry.shape ?? []).reduce((product, size) => product * size, 1);
+      entries.push({ ...entry, count, offset });
+      offset += count * 4;
+    });
+  });
+  return { entries, byteLength: offset };
+};
+
+/**
+ * Weight file names a model.json refers to, in the order their contents must be concatenated.
+ * @returns {string[]}
+ */
+export const getTfjsWeightPaths = (model) =>
+  isPlainObject(model) && Array.isArray(model.weightsManifest)
+    ? model.weightsManifest.flatMap((group) => group.paths ?? [])
+    : [];
+
+/**
+ * Turn a TensorFlow.js layers model into a network state.
+ * @param {Object} model the parsed model.json
+ * @param {ArrayBuffer} weightData the contents of its weight files, concatenated in the order of getTfjsWeightPaths
+ * @returns {{ state: Object } | { error: string, layerErrors?: string[] }} the network (with every
+ *   input at 0), or what is wrong: `layerErrors` lists each layer that can't be shown
+ */
+export const parseTfjsModel = (model, weightData) => {
+  if (!isPlainObject(model) || !isPlainObject(model.modelTopology)) {
+    return { error: 'This is not a TensorFlow.js layers model: "modelTopology" is missing' };
+  }
+  const layers = getTopologyLayers(model);
+  if (!layers) {
+    return { error: 'The model topology has no list of layers' };
+  }
+
+  const { dense, inputSize, layerErrors } = readDenseLayers(layers);
+  if (dense.length === 0) {
+    layerErrors.push('The model has no Dense layers');
+  }
+  dense.slice(0, -1).forEach(({ name, activation }) => {
+    if (activation === 'softmax') {
+      layerErrors.push(`Dense layer "${name}": softmax is only supported on the output layer`);
+    }
+  });
+  if (dense.length - 1 > MAX_HIDDEN_LAYERS) {
+    layerErrors.push(`The model has ${dense.length - 1} hidden layers; the maximum is ${MAX_HIDDEN_LAYERS}`);
+  }
+  [{ units: inputSize, name: 'input' }, ...dense].forEach(({ units, name }, index) => {
+    if (index === 0 && units === null) return;
+    if (!Number.isInteger(units) || units < 1 || units > MAX_LAYER_SIZE) {
+      layerErrors.push(
+        `${index === 0 ? 'The input' : `Dense layer "${name}"`} has ${units} units; the explorer shows 1 to ${MAX_LAYER_SIZE} neurons per layer`
+      );
+    }
+  });
+  if (layerErrors.length) {
+    return { error: 'This model has layers the explorer cannot show', layerErrors };
+  }
+
+  const { entries, byteLength } = readManifest(model);
+  const unsupportedType = entries.find((entry) => entry.dtype !== 'float32' || entry.quantization);
+  if (unsupportedType) {
+    return { error: `Weight "${unsupportedType.name}" is not stored as plain float32, which is the only format supported` };
+  }
+  if (!(weightData instanceof ArrayBuffer) || weightData.byteLength < byteLength) {
+    return {
+      error: `The weight data is ${weightData?.byteLength ?? 0} bytes, but model.json describes ${byteLength}; select every weight file listed in model.json`,
+    };
+  }
+  const view = new DataView(weightData);
+  const readValues = (entry) =>
+    Array.from({ length: entry.count }, (_, index) => view.getFloat32(entry.offset + index * 4, true));
+  const findEntry = (layerName, kind) =>
+    entries.find(({ name }) => name === `${layerName}/${kind}` || name.endsWith(`/${layerName}/${kind}`));
+
+  const architecture = [
+    { size: inputSize ?? findEntry(dense[0].name, 'kernel')?.shape?.[0] },
+    ...dense.map(({ units, activation }) => ({ size: units, activation })),
+  ];
+  if (!Number.isInteger(architecture[0].size) || architecture[0].size < 1 || architecture[0].size > MAX_LAYER_SIZE) {
+    return { error: `The model's input size could not be read or is over ${MAX_LAYER_SIZE}` };
+  }
+  const nodes = getLayerNodes(architecture);
+  const weights = {};
+  const biases = {};
+  for (let index = 0; index < dense.length; index++) {
+    const { name, units, useBias } = dense[index];
+    const fromIds = nodes[index];
+    const toIds = nodes[index + 1];
+    const kernel = findEntry(name, 'kernel');
+    if (!kernel || kernel.shape?.[0] !== fromIds.length || kernel.shape?.[1] !== units) {
+      return { error: `Dense layer "${name}" needs a ${fromIds.length} × ${units} kernel in the weights manifest` };
+    }
+    // Kernels are stored row-major as [inputs, units]
+    const kernelValues = readValues(kernel);
+    fromIds.forEach((from, row) => {
+      toIds.forEach((to, column) => {
+        weights[`${from}->${to}`] = kernelValues[row * units + column];
+      });
+    });
+    const bias = useBias ? findEntry(name, 'bias') : null;
+    if (useBias && (!bias || bias.count !== units)) {
+      return { error: `Dense layer "${name}" needs a bias of ${units} values in the weights manifest` };
+    }
+    const biasValues = bias ? readValues(bias) : [];
+    toIds.forEach((id, column) => {
+      biases[id] = biasValues[column] ?? 0;
+    });
+  }
+  if (Object.values(weights).concat(Object.values(biases)).some((value) => !Number.isFinite(value))) {
+    return { error: 'The weights contain values that are not finite numbers' };
+  }
+
+  return { state: { architecture, weights, biases, inputs: buildInputs(architecture) } };
+};
+
+const denseLayerConfig = (name, units, activation, inputSize) => ({
+  class_name: 'Dense',
+  config: {
+    name,
+    trainable: true,
+    ...(inputSize !== undefined && { batch_input_shape: [null, inputSize] }),
+    dtype: 'float32',
+    units,
+    activation,
+    use_bias: true,
+    kernel_initializer: {
+      class_name: 'VarianceScaling',
+      config: { scale: 1, mode: 'fan_avg', distribution: 'normal', seed: null },
+    },
+    bias_initializer: { class_name: 'Zeros', config: {} },
+    kernel_regularizer: null,
+    bias_regularizer: null,
+    activity_regularizer: null,
+    kernel_constraint: null,
+    bias_constraint: null,
+  },
+});
+
+/**
+ * Write a network as a TensorFlow.js layers model: Dense layers, with Leaky ReLU as a linear Dense
+ * layer followed by a LeakyReLU layer. Inputs are not part of the model.
+ * @returns {{ modelJson: Object, weightsPath: string, weightData: ArrayBuffer } | { error: string }}
+ */
+export const exportTfjsModel = ({ architecture, weights, biases }) => {
+  const stepLayer = architecture.findIndex(({ activation }, index) => index > 0 && activation === 'step');
+  if (stepLayer !== -1) {
+    return {
+      error: `Layer ${stepLayer + 1} uses the Step activation, which TensorFlow.js does not have; switch it to another activation to export`,
+    };
+  }
+
+  const nodes = getLayerNodes(architecture);
+  const layers = [];
+  const manifest = [];
+  const values = [];
+  architecture.slice(1).forEach(({ size, activation }, index) => {
+    const name = `dense_${index + 1}`;
+    const isLeaky = activation === 'leakyRelu';
+    layers.push(denseLayerConfig(name, size, isLeaky ? 'linear' : TFJS_ACTIVATIONS[activation], index === 0 ? architecture[0].size : undefined));
+    if (isLeaky) {
+      layers.push({ class_name: 'LeakyReLU', config: { name: `leaky_re_lu_${index + 1}`, trainable: true, dtype: 'float32', alpha: LEAKY_RELU_ALPHA } });
+    }
+    // Kernel row-major as [inputs, units], then the bias
+    const fromIds = nodes[index];
+    const toIds = nodes[index + 1];
+    fromIds.forEach((from) => toIds.forEach((to) => values.push(weights[`${from}->${to}`])));
+    toIds.forEach((id) => values.push(biases[id]));
+    manifest.push(
+      { name: `${name}/kernel`, shape: [fromIds.length, toIds.length], dtype: 'float32' },
+      { name: `${name}/bias`, shape: [toIds.length], dtype: 'float32' }
+    );
+  });
+  return {
+    modelJson: {
+      format: 'layers-model',
+      generatedBy: 'Interactive Neural Network Explorer',
+      convertedBy: null,
+      modelTopology: {
+        class_name: 'Sequential',
+        config: { name: 'sequential_1', layers },
+        keras_version: 'tfjs-layers',
+        backend: 'tensor_flow.js',
+      },
+      weightsManifest: [{ paths: [TFJS_WEIGHTS_PATH], weights: manifest }],
+    },
+    weightsPath: TFJS_WEIGHTS_PATH,
+    weightData: new Float32Array(values).buffer,
+  };
+};
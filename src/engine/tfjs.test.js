@@ -0,0 +1,88 @@
+import { createNetwork } from './network';
+import { exportTfjsModel, getTfjsWeightPaths, parseTfjsModel } from './tfjs';
+
+const network = createNetwork(
+  [{ size: 2 }, { size: 3, activation: 'leakyRelu' }, { size: 1, activation: 'sigmoid' }],
+  { weights: { 'A->H2': -0.75, 'B->H3': 0.25, 'H1->O': 1.5 }, biases: { H2: 0.5, O: -1 } }
+);
+
+// A Keras-converted model.json for a Dense stack, with its float32 weights
+const kerasModel = (layers, weights) => ({
+  format: 'layers-model',
+  modelTopology: { model_config: { class_name: 'Sequential', config: { name: 'sequential', layers } } },
+  weightsManifest: [{ paths: ['group1-shard1of1.bin'], weights }],
+});
+const dense = (name, units, activation, extra = {}) => ({
+  class_name: 'Dense',
+  config: { name, units, activation, use_bias: true, ...extra },
+});
+const float32 = (name, shape) => ({ name, shape, dtype: 'float32' });
+
+describe('TensorFlow.js layers models', () => {
+  test('round-trips a network through the exported model', () => {
+    const { modelJson, weightData, weightsPath } = exportTfjsModel(network);
+    expect(getTfjsWeightPaths(modelJson)).toEqual([weightsPath]);
+    expect(modelJson.modelTopology.config.layers.map(({ class_name }) => class_name)).toEqual(['Dense', 'LeakyReLU', 'Dense']);
+
+    const { state } = parseTfjsModel(JSON.parse(JSON.stringify(modelJson)), weightData);
+    expect(state.architecture).toEqual(network.architecture);
+    expect(state.weights['A->H2']).toBeCloseTo(-0.75);
+    expect(state.weights['H1->O']).toBeCloseTo(1.5);
+    expect(state.biases.O).toBeCloseTo(-1);
+    expect(state.inputs).toEqual({ A: 0, B: 0 });
+  });
+
+  test('reads row-major kernels, folds Activation layers and skips the input layer', () => {
+    const model = kerasModel(
+      [
+        { class_name: 'InputLayer', config: { name: 'input', batch_input_shape: [null, 2] } },
+        dense('hidden', 2, 'linear'),
+        { class_name: 'Activation', config: { name: 'act', activation: 'tanh' } },
+        dense('out', 1, 'sigmoid', { use_bias: false }),
+      ],
+      [float32('hidden/kernel', [2, 2]), float32('hidden/bias', [2]), float32('out/kernel', [2, 1])]
+    );
+    const weightData = new Float32Array([1, 2, 3, 4, 0.5, -0.5, 5, 6]).buffer;
+    expect(parseTfjsModel(model, weightData).state).toEqual({
+      architecture: [{ size: 2 }, { size: 2, activation: 'tanh' }, { size: 1, activation: 'sigmoid' }],
+      weights: { 'A->H1': 1, 'A->H2': 2, 'B->H1': 3, 'B->H2': 4, 'H1->O': 5, 'H2->O': 6 },
+      biases: { H1: 0.5, H2: -0.5, O: 0 },
+      inputs: { A: 0, B: 0 },
+    });
+  });
+
+  test('names every layer that cannot be shown', () => {
+    const model = kerasModel(
+      [
+        { class_name: 'Conv2D', config: { name: 'conv' } },
+        dense('hidden', 12, 'softmax'),
+        dense('out', 3, 'elu'),
+      ],
+      []
+    );
+    const { error, layerErrors } = parseTfjsModel(model, new ArrayBuffer(0));
+    expect(error).toBe('This model has layers the explorer cannot show');
+    expect(layerErrors).toEqual([
+      'Layer 1 ("conv", Conv2D): only Dense layers are supported',
+      'Layer 3 ("out", Dense): the "elu" activation is not supported; use one of sigmoid, tanh, relu, linear, softmax',
+      'Dense layer "hidden": softmax is only supported on the output layer',
+      'Dense layer "hidden" has 12 units; the explorer shows 1 to 8 neurons per layer',
+    ]);
+  });
+
+  test('rejects missing or quantized weights', () => {
+    const layers = [dense('out', 1, 'sigmoid', { batch_input_shape: [null, 2] })];
+    const weights = [float32('out/kernel', [2, 1]), float32('out/bias', [1])];
+    expect(parseTfjsModel(kerasModel(layers, weights), new ArrayBuffer(4)).error).toMatch(
+      /weight data is 4 bytes, but model.json describes 12/
+    );
+    const quantized = [{ ...weights[0], dtype: 'float32', quantization: { dtype: 'uint8' } }, weights[1]];
+    expect(parseTfjsModel(kerasModel(layers, quantized), new ArrayBuffer(12)).error).toMatch(/"out\/kernel" is not stored as plain float32/);
+    expect(parseTfjsModel({ layers }, new ArrayBuffer(0)).error).toMatch(/"modelTopology" is missing/);
+  });
+
+  test('cannot export the step activation', () => {
+    const stepNetwork = createNetwork([{ size: 2 }, { size: 1, activation: 'step' }]);
+    expect(exportTfjsModel(stepNetwork).error).toMatch(/Layer 2 uses the Step activation/);
+  });
+});
@@ -0,0 +1,264 @@
+// src/engine/training.js
+
+import { getLayerNodes, getConnections, forwardPass, forwardPassWithSums, hasSoftmaxOutput } from './network';
+import { getActivation } from './activations';
+
+// Built-in datasets are logic gates over every on/off combination of the inputs.
+// XOR generalises to "an odd number of inputs are on" for more than two inputs.
+export const DATASETS = {
+  and: { label: 'AND', gate: (bits) => bits.every(Boolean) },
+  or: { label: 'OR', gate: (bits) => bits.some(Boolean) },
+  xor: { label: 'XOR', gate: (bits) => bits.filter(Boolean).length % 2 === 1 },
+  custom: { label: 'Custom' },
+};
+
+const buildGateDataset = (architecture, gate) => {
+  const layers = getLayerNodes(architecture);
+  const inputIds = layers[0];
+  const outputIds = layers[layers.length - 1];
+  return Array.from({ length: 2 ** inputIds.length }, (_, row) => {
+    const bits = inputIds.map((_, index) => (row >> (inputIds.length - 1 - index)) & 1);
+    const target = gate(bits) ? 1 : 0;
+    return {
+      inputs: Object.fromEntries(inputIds.map((id, index) => [id, bits[index]])),
+      targets: Object.fromEntries(outputIds.map((id) => [id, target])),
+    };
+  });
+};
+
+// Parse one sample per line: the input values followed by the target values,
+// separated by commas or spaces. Returns { samples } or { error }.
+export const parseCustomDataset = (architecture, text) => {
+  const layers = getLayerNodes(architecture);
+  const inputIds = layers[0];
+  const outputIds = layers[layers.length - 1];
+  const expected = inputIds.length + outputIds.length;
+  const samples = [];
+  const lines = text.split('\n');
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const line = lines[lineIndex].trim();
+    if (!line) continue;
+    const values = line.split(/[\s,]+/).map(Number);
+    if (values.length !== expected || values.some(Number.isNaN)) {
+      return {
+        error: `Line ${lineIndex + 1}: expected ${expected} numbers (${inputIds.join(', ')} then ${outputIds.join(', ')})`,
+      };
+    }
+    samples.push({
+      inputs: Object.fromEntries(inputIds.map((id, index) => [id, values[index]])),
+      targets: Object.fromEntries(outputIds.map((id, index) => [id, values[inputIds.length + index]])),
+    });
+  }
+  if (samples.length === 0) {
+    return { error: 'Enter at least one sample' };
+  }
+  return { samples };
+};
+
+// The same rows as a CSV file: input columns then target columns, with an optional header row.
+// The header only has to have the right number of columns; values are matched by position.
+export const parseCsvDataset = (architecture, text) => {
+  const lines = text.split('\n');
+  const headerIndex = lines.findIndex((line) => line.trim());
+  if (headerIndex === -1) {
+    return { error: 'The file has no rows' };
+  }
+  const header = lines[headerIndex].split(',').map((name) => name.trim());
+  if (header.every((name) => name === '' || Number.isNaN(Number(name)))) {
+    const layers = getLayerNodes(architecture);
+    const expected = layers[0].length + layers[layers.length - 1].length;
+    if (header.length !== expected) {
+      return {
+        error: `The header has ${header.length} columns; expected ${expected} (${layers[0].join(', ')} then ${layers[layers.length - 1].join(', ')})`,
+      };
+    }
+    // Blank the header so line numbers in errors still match the file
+    lines[headerIndex] = '';
+  }
+  return parseCustomDataset(architecture, lines.join('\n'));
+};
+
+export const buildDataset = (architecture, datasetId, customText = '') => {
+  if (datasetId === 'custom') {
+    return parseCustomDataset(architecture, customText);
+  }
+  return { samples: buildGateDataset(architecture, DATASETS[datasetId].gate) };
+};
+
+// Probabilities are kept this far from 0 and 1 so a confident wrong answer costs a large but finite loss
+const PROBABILITY_EPSILON = 1e-12;
+
+// Squared-error loss 1/2 * sum((output - target)^2) over the outputs in `targets`
+export const squaredErrorLoss = (outputs, targets) =>
+  Object.keys(targets).reduce((total, id) => total + 0.5 * (outputs[id] - targets[id]) ** 2, 0);
+
+/**
+ * Cross-entropy loss of the outputs in `targets`. With a softmax output layer the outputs are one
+ * probability distribution over the classes, giving -sum(target * log(output)); otherwise each
+ * output is a separate yes/no probability, giving the sum of their binary cross-entropies.
+ */
+export const crossEntropyLoss = (architecture, outputs, targets) =>
+  Object.keys(targets).reduce((total, id) => {
+    const p = Math.min(Math.max(outputs[id], PROBABILITY_EPSILON), 1 - PROBABILITY_EPSILON);
+    const t = targets[id];
+    return total - (hasSoftmaxOutput(architecture) ? t * Math.log(p) : t * Math.log(p) + (1 - t) * Math.log(1 - p));
+  }, 0);
+
+// The output with the highest activation, as the class the network predicts
+export const predictClass = (outputIds, outputs) =>
+  outputIds.reduce((best, id) => (outputs[id] > outputs[best] ? id : best), outputIds[0]);
+
+// One-hot targets: 1 for the output of `classId`, 0 for the others
+export const getClassTargets = (outputIds, classId) =>
+  Object.fromEntries(outputIds.map((id) => [id, id === classId ? 1 : 0]));
+
+/**
+ * Backpropagate the derivative of some quantity with respect to each output activation through
+ * the network for one set of inputs. `getOutputGradients(activations)` returns those derivatives
+ * by output id, given every neuron's activation.
+ * @returns {{ weightGradients: Object, biasGradients: Object, inputGradients: Object, deltas: Object,
+ *   sums: Object, activations: Object }} where deltas are the derivatives with respect to each
+ *   neuron's weighted sum
+ */
+export const backpropagate = (architecture, weights, biases, inputs, getOutputGradients) => {
+  const layers = getLayerNodes(architecture);
+  const { sums, activations } = forwardPassWithSums(architecture, weights, biases, inputs);
+  const values = { ...inputs, ...activations };
+  const outputGradients = getOutputGradients(activations);
+  const deltas = {};
+
+  for (let layerIndex = layers.length - 1; layerIndex >= 1; layerIndex--) {
+    const activation = getActivation(architecture[layerIndex].activation);
+    const errors = layers[layerIndex].map((id) =>
+      layerIndex === layers.length - 1
+        ? outputGradients[id] ?? 0
+        : layers[layerIndex + 1].reduce(
+          (total, next) => total + weights[`${id}->${next}`] * deltas[next],
+          0
+        )
+    );
+    if (activation.layer) {
+      // Softmax: each sum moves every probability, giving δi = pi × (errori − Σj errorj × pj)
+      const expected = layers[layerIndex].reduce((total, id, index) => total + errors[index] * values[id], 0);
+      layers[layerIndex].forEach((id, index) => {
+        deltas[id] = values[id] * (errors[index] - expected);
+      });
+    } else {
+      layers[layerIndex].forEach((id, index) => {
+        deltas[id] = errors[index] * activation.derivative(sums[id], values[id]);
+      });
+    }
+  }
+
+  const weightGradients = Object.fromEntries(
+    getConnections(architecture).map(({ key, from, to }) => [key, values[from] * deltas[to]])
+  );
+  const inputGradients = Object.fromEntries(
+    layers[0].map((id) => [id, layers[1].reduce((total, next) => total + weights[`${id}->${next}`] * deltas[next], 0)])
+  );
+
+  return { weightGradients, biasGradients: { ...deltas }, inputGradients, deltas, sums, activations };
+};
+
+/**
+ * Backpropagation for a single sample with squared-error loss 1/2 * sum((a - t)^2).
+ * `targets` maps each output neuron id to its desired activation.
+ * @returns {{ weightGradients: Object, biasGradients: Object, deltas: Object,
+ *   sums: Object, activations: Object, loss: number }} where each gradient is
+ *   the partial derivative of the loss, and deltas are the per-neuron error signals
+ */
+export const computeGradients = (architecture, weights, biases, inputs, targets) => {
+  const layers = getLayerNodes(architecture);
+  const outputIds = layers[layers.length - 1];
+  const { weightGradients, biasGradients, deltas, sums, activations } = backpropagate(
+    architecture,
+    weights,
+    biases,
+    inputs,
+    (outputs) => Object.fromEntries(outputIds.map((id) => [id, outputs[id] - targets[id]]))
+  );
+  const loss = squaredErrorLoss(activations, Object.fromEntries(outputIds.map((id) => [id, targets[id]])));
+
+  return { weightGradients, biasGradients, deltas, sums, activations, loss };
+};
+
+// Mean squared error over every sample and output neuron
+export const datasetLoss = (architecture, weights, biases, samples) => {
+  let total = 0;
+  let count = 0;
+  samples.forEach(({ inputs, targets }) => {
+    const activations = forwardPass(architecture, weights, biases, inputs);
+    Object.entries(targets).forEach(([id, target]) => {
+      total += (activations[id] - target) ** 2;
+      count += 1;
+    });
+  });
+  return count ? total / count : 0;
+};
+
+/**
+ * Run the network on every sample. An output counts as correct when it is on the same side of
+ * 0.5 as its target, and a sample when all of its outputs are. With a softmax output layer a
+ * sample is correct when its most likely class is the target's.
+ * @returns {{ rows: Array<{ outputs: Object, error: number, correct: boolean }>, accuracy: number,
+ *   loss: number }} where each row's error is its mean squared error, and loss their mean
+ */
+export const evaluateDataset = (architecture, weights, biases, samples) => {
+  const rows = samples.map(({ inputs, targets }) => {
+    const activations = forwardPass(architecture, weights, biases, inputs);
+    const ids = Object.keys(targets);
+    const outputs = Object.fromEntries(ids.map((id) => [id, activations[id]]));
+    const error = ids.reduce((total, id) => total + (outputs[id] - targets[id]) ** 2, 0) / ids.length;
+    const correct = hasSoftmaxOutput(architecture)
+      ? predictClass(ids, outputs) === predictClass(ids, targets)
+      : ids.every((id) => (outputs[id] >= 0.5) === (targets[id] >= 0.5));
+    return { outputs, error, correct };
+  });
+  const count = rows.length || 1;
+  return {
+    rows,
+    accuracy: rows.filter(({ correct }) => correct).length / count,
+    loss: rows.reduce((total, { error }) => total + error, 0) / count,
+  };
+};
+
+/**
+ * One epoch of full-batch gradient descent over `samples` (`[{ inputs, targets }]`).
+ * The parameter maps passed in are not modified.
+ * @returns {{ weights: Object, biases: Object, loss: number }} the updated
+ *   parameters and their mean squared error on the samples
+ */
+export const trainEpoch = (architecture, weights, biases, samples, learningRate) => {
+  const weightTotals = Object.fromEntries(Object.keys(weights).map((key) => [key, 0]));
+  const biasTotals = Object.fromEntries(Object.keys(biases).map((key) => [key, 0]));
+
+  samples.forEach(({ inputs, targets }) => {
+    const { weightGradients, biasGradients } = computeGradients(
+      architecture,
+      weights,
+      biases,
+      inputs,
+      targets
+    );
+    Object.entries(weightGradients).forEach(([key, gradient]) => {
+      weightTotals[key] += gradient;
+    });
+    Object.entries(biasGradients).forEach(([key, gradient]) => {
+      biasTotals[key] += gradient;
+    });
+  });
+
+  const scale = learningRate / samples.length;
+  const nextWeights = Object.fromEntries(
+    Object.entries(weights).map(([key, value]) => [key, value - scale * weightTotals[key]])
+  );
+  const nextBiases = Object.fromEntries(
+    Object.entries(biases).map(([key, value]) => [key, value - scale * biasTotals[key]])
+  );
+
+  return {
+    weights: nextWeights,
+    biases: nextBiases,
+    loss: datasetLoss(architecture, nextWeights, nextBiases, samples),
+  };
+};
@@ -0,0 +1,188 @@
+import { buildBiases, buildWeights, forwardPass } from './network';
+import {
+  buildDataset,
+  computeGradients,
+  crossEntropyLoss,
+  datasetLoss,
+  evaluateDataset,
+  parseCsvDataset,
+  parseCustomDataset,
+  predictClass,
+  getClassTargets,
+  trainEpoch,
+} from './training';
+
+const XOR_ARCHITECTURE = [
+  { size: 2 },
+  { size: 2, activation: 'sigmoid' },
+  { size: 1, activation: 'sigmoid' },
+];
+
+// A fixed asymmetric starting point so training is deterministic
+const XOR_START = { 'A->H1': 0.7, 'A->H2': -0.4, 'B->H1': -0.6, 'B->H2': 0.9, 'H1->O': 0.3, 'H2->O': -0.2 };
+
+const sampleLoss = (architecture, weights, biases, inputs, targets) => {
+  const activations = forwardPass(architecture, weights, biases, inputs);
+  return Object.entries(targets).reduce(
+    (total, [id, target]) => total + 0.5 * (activations[id] - target) ** 2,
+    0
+  );
+};
+
+describe('computeGradients', () => {
+  test('matches finite differences for every weight and bias', () => {
+    const architecture = [
+      { size: 2 },
+      { size: 3, activation: 'tanh' },
+      { size: 2, activation: 'leakyRelu' },
+      { size: 2, activation: 'sigmoid' },
+    ];
+    const weights = buildWeights(architecture);
+    Object.keys(weights).forEach((key, index) => {
+      weights[key] = Math.sin(index + 1);
+    });
+    const biases = buildBiases(architecture);
+    Object.keys(biases).forEach((key, index) => {
+      biases[key] = Math.cos(index + 1) / 2;
+    });
+    const inputs = { A: 0.3, B: 0.8 };
+    const targets = { O1: 1, O2: 0 };
+
+    const { weightGradients, biasGradients, loss } = computeGradients(
+      architecture,
+      weights,
+      biases,
+      inputs,
+      targets
+    );
+    expect(loss).toBeCloseTo(sampleLoss(architecture, weights, biases, inputs, targets), 10);
+
+    const epsilon = 1e-6;
+    Object.keys(weights).forEach((key) => {
+      const plus = sampleLoss(architecture, { ...weights, [key]: weights[key] + epsilon }, biases, inputs, targets);
+      const minus = sampleLoss(architecture, { ...weights, [key]: weights[key] - epsilon }, biases, inputs, targets);
+      expect(weightGradients[key]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+    });
+    Object.keys(biases).forEach((key) => {
+      const plus = sampleLoss(architecture, weights, { ...biases, [key]: biases[key] + epsilon }, inputs, targets);
+      const minus = sampleLoss(architecture, weights, { ...biases, [key]: biases[key] - epsilon }, inputs, targets);
+      expect(biasGradients[key]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+    });
+  });
+
+  test('backpropagates through a softmax output layer', () => {
+    const architecture = [{ size: 2 }, { size: 2, activation: 'tanh' }, { size: 3, activation: 'softmax' }];
+    const weights = Object.fromEntries(Object.keys(buildWeights(architecture)).map((key, index) => [key, Math.sin(index + 1)]));
+    const biases = { H1: 0.1, H2: -0.2, O1: 0.3, O2: 0, O3: -0.3 };
+    const inputs = { A: 0.6, B: 0.2 };
+    const targets = getClassTargets(['O1', 'O2', 'O3'], 'O2');
+    expect(targets).toEqual({ O1: 0, O2: 1, O3: 0 });
+
+    const { weightGradients } = computeGradients(architecture, weights, biases, inputs, targets);
+    const epsilon = 1e-6;
+    ['A->H1', 'H2->O3'].forEach((key) => {
+      const plus = sampleLoss(architecture, { ...weights, [key]: weights[key] + epsilon }, biases, inputs, targets);
+      const minus = sampleLoss(architecture, { ...weights, [key]: weights[key] - epsilon }, biases, inputs, targets);
+      expect(weightGradients[key]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+    });
+  });
+});
+
+describe('classification', () => {
+  test('measures cross-entropy and predicts the most likely class', () => {
+    const softmax = [{ size: 1 }, { size: 3, activation: 'softmax' }];
+    const outputs = { O1: 0.2, O2: 0.7, O3: 0.1 };
+    expect(predictClass(['O1', 'O2', 'O3'], outputs)).toBe('O2');
+    expect(crossEntropyLoss(softmax, outputs, { O1: 0, O2: 1, O3: 0 })).toBeCloseTo(-Math.log(0.7), 10);
+
+    // Separate sigmoid outputs each count as a yes/no probability
+    const sigmoid = [{ size: 1 }, { size: 2, activation: 'sigmoid' }];
+    expect(crossEntropyLoss(sigmoid, { O1: 0.8, O2: 0.4 }, { O1: 1, O2: 0 })).toBeCloseTo(-Math.log(0.8) - Math.log(0.6), 10);
+    // A certain wrong answer is expensive but finite
+    expect(Number.isFinite(crossEntropyLoss(softmax, { O1: 1, O2: 0, O3: 0 }, { O1: 0, O2: 1, O3: 0 }))).toBe(true);
+
+    // With softmax a sample is correct when its most likely class is the target
+    const network = { 'A->O1': 1, 'A->O2': 0, 'A->O3': -1 };
+    const { rows } = evaluateDataset(softmax, network, { O1: 0, O2: 0, O3: 0 }, [
+      { inputs: { A: 1 }, targets: { O1: 1, O2: 0, O3: 0 } },
+      { inputs: { A: -1 }, targets: { O1: 1, O2: 0, O3: 0 } },
+    ]);
+    expect(rows.map(({ correct }) => correct)).toEqual([true, false]);
+  });
+});
+
+describe('trainEpoch', () => {
+  test('reduces the loss without modifying its arguments', () => {
+    const { samples } = buildDataset(XOR_ARCHITECTURE, 'and');
+    const weights = { ...XOR_START };
+    const biases = buildBiases(XOR_ARCHITECTURE);
+    const before = datasetLoss(XOR_ARCHITECTURE, weights, biases, samples);
+    const result = trainEpoch(XOR_ARCHITECTURE, weights, biases, samples, 0.5);
+    expect(result.loss).toBeLessThan(before);
+    expect(weights).toEqual(XOR_START);
+  });
+
+  test('learns XOR from an asymmetric start', () => {
+    const { samples } = buildDataset(XOR_ARCHITECTURE, 'xor');
+    let weights = XOR_START;
+    let biases = buildBiases(XOR_ARCHITECTURE);
+    for (let epoch = 0; epoch < 5000; epoch++) {
+      ({ weights, biases } = trainEpoch(XOR_ARCHITECTURE, weights, biases, samples, 2));
+    }
+    samples.forEach(({ inputs, targets }) => {
+      const { O } = forwardPass(XOR_ARCHITECTURE, weights, biases, inputs);
+      expect(Math.abs(O - targets.O)).toBeLessThan(0.2);
+    });
+  });
+});
+
+describe('datasets', () => {
+  test('builds logic gates over every input combination', () => {
+    const { samples } = buildDataset(XOR_ARCHITECTURE, 'xor');
+    expect(samples.map(({ inputs, targets }) => [inputs.A, inputs.B, targets.O])).toEqual([
+      [0, 0, 0],
+      [0, 1, 1],
+      [1, 0, 1],
+      [1, 1, 0],
+    ]);
+    expect(buildDataset([{ size: 3 }, { size: 1, activation: 'sigmoid' }], 'and').samples).toHaveLength(8);
+  });
+
+  test('parses custom datasets and reports the offending line', () => {
+    expect(parseCustomDataset(XOR_ARCHITECTURE, '0, 1, 1\n\n1 1 0').samples).toEqual([
+      { inputs: { A: 0, B: 1 }, targets: { O: 1 } },
+      { inputs: { A: 1, B: 1 }, targets: { O: 0 } },
+    ]);
+    expect(parseCustomDataset(XOR_ARCHITECTURE, '0 1 1\n0 x 1').error).toBe(
+      'Line 2: expected 3 numbers (A, B then O)'
+    );
+    expect(parseCustomDataset(XOR_ARCHITECTURE, '  ').error).toBe('Enter at least one sample');
+  });
+  test('parses CSV files with or without a header row', () => {
+    const csv = 'x,y,label\r\n0.2,0.9,1\r\n0.5,0.1,0\r\n';
+    expect(parseCsvDataset(XOR_ARCHITECTURE, csv).samples).toEqual([
+      { inputs: { A: 0.2, B: 0.9 }, targets: { O: 1 } },
+      { inputs: { A: 0.5, B: 0.1 }, targets: { O: 0 } },
+    ]);
+    expect(parseCsvDataset(XOR_ARCHITECTURE, '1,1,0').samples).toHaveLength(1);
+    expect(parseCsvDataset(XOR_ARCHITECTURE, 'x,label\n1,0').error).toBe(
+      'The header has 2 columns; expected 3 (A, B then O)'
+    );
+    expect(parseCsvDataset(XOR_ARCHITECTURE, 'x,y,label\n1,0').error).toBe('Line 2: expected 3 numbers (A, B then O)');
+  });
+
+  test('evaluates every sample with its error and the accuracy', () => {
+    const architecture = [{ size: 2 }, { size: 1, activation: 'linear' }];
+    const weights = { 'A->O': 1, 'B->O': 0 };
+    const samples = [
+      { inputs: { A: 0.8, B: 0 }, targets: { O: 1 } },
+      { inputs: { A: 0.4, B: 1 }, targets: { O: 1 } },
+    ];
+    const { rows, accuracy, loss } = evaluateDataset(architecture, weights, { O: 0 }, samples);
+    expect(rows.map(({ outputs }) => outputs.O)).toEqual([0.8, 0.4]);
+    expect(rows[0].error).toBeCloseTo(0.04);
+    expect(rows.map(({ correct }) => correct)).toEqual([true, false]);
+    expect(accuracy).toBe(0.5);
+    expect(loss).toBeCloseTo(datasetLoss(architecture, weights, { O: 0 }, samples));
+  });
+});
@@ -3,7 +3,6 @@ import ReactDOM from 'react-dom/client'; // React 18 uses this module
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
-import CssBaseline from '@mui/material/CssBaseline';
 
 // Create the root element
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,7 +10,6 @@ const root = ReactDOM.createRoot(document.getElementById('root'));
 // Render the app
 root.render(
   <React.StrictMode>
-    <CssBaseline />
     <App />
   </React.StrictMode>
 );
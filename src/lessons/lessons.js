@@ -0,0 +1,128 @@
+// src/lessons/lessons.js
+
+import { createNetwork, forwardPass, getLayerNodes } from '../engine';
+
+// Every input combination of a two-input network, in truth-table order
+const CORNERS = [
+  { A: 0, B: 0 },
+  { A: 0, B: 1 },
+  { A: 1, B: 0 },
+  { A: 1, B: 1 },
+];
+
+const describeInputs = (inputs) =>
+  Object.entries(inputs)
+    .map(([id, value]) => `${id} = ${value}`)
+    .join(', ');
+
+// A lesson starts from a fixed network and unlocks only the sliders it is about.
+// Its goal lists input cases the network must handle; each case expects the output
+// to be `above` or `below` a threshold. Cases are checked with their own inputs,
+// whatever the input sliders are set to.
+export const LESSONS = [
+  {
+    id: 'weights',
+    title: 'Weights Amplify Signals',
+    intro:
+      'Both inputs are on, and both hidden neurons are fairly active. The two connections into the output decide how much of that activity reaches it. Only those two weights are unlocked.',
+    goal: 'Make the output greater than 0.8.',
+    architecture: [{ size: 2 }, { size: 2, activation: 'sigmoid' }, { size: 1, activation: 'sigmoid' }],
+    start: { inputs: { A: 1, B: 1 } },
+    unlocked: { inputs: [], weights: ['H1->O', 'H2->O'], biases: [] },
+    cases: [{ inputs: { A: 1, B: 1 }, above: 0.8 }],
+  },
+  {
+    id: 'biases',
+    title: 'Biases Set the Threshold',
+    intro:
+      'A bias is added to the weighted sum before the activation function, so it moves how easily a neuron fires regardless of its inputs. This time the weights are fixed and only the output bias is unlocked.',
+    goal: 'Make the output less than 0.25 even though both inputs are on.',
+    architecture: [{ size: 2 }, { size: 2, activation: 'sigmoid' }, { size: 1, activation: 'sigmoid' }],
+    start: { inputs: { A: 1, B: 1 } },
+    unlocked: { inputs: [], weights: [], biases: ['O'] },
+    cases: [{ inputs: { A: 1, B: 1 }, below: 0.25 }],
+  },
+  {
+    id: 'inverted',
+    title: 'Negative Weights Invert Signals',
+    intro:
+      'Negative weights turn a strong signal into a suppressing one. Every weight and bias is unlocked, and you can move the inputs to test your network, but the goal is checked on both cases below no matter where the input sliders are.',
+    goal: 'Make the output less than 0.5 when both inputs are on, and greater than 0.5 when both are off.',
+    architecture: [{ size: 2 }, { size: 2, activation: 'sigmoid' }, { size: 1, activation: 'sigmoid' }],
+    start: {},
+    unlocked: { inputs: ['A', 'B'], weights: ['A->H1', 'A->H2', 'B->H1', 'B->H2', 'H1->O', 'H2->O'], biases: ['H1', 'H2', 'O'] },
+    cases: [
+      { inputs: { A: 1, B: 1 }, below: 0.5 },
+      { inputs: { A: 0, B: 0 }, above: 0.5 },
+    ],
+  },
+  {
+    id: 'and-gate',
+    title: 'A Single Neuron AND Gate',
+    intro:
+      'This network has no hidden layer: one step neuron looks directly at both inputs and fires when its weighted sum reaches 0. Choose weights and a bias so it fires only when both inputs are on.',
+    goal: 'Make the output greater than 0.9 only when both inputs are on, and less than 0.1 otherwise.',
+    architecture: [{ size: 2 }, { size: 1, activation: 'step' }],
+    start: {},
+    unlocked: { inputs: ['A', 'B'], weights: ['A->O', 'B->O'], biases: ['O'] },
+    cases: CORNERS.map((inputs) => (inputs.A && inputs.B ? { inputs, above: 0.9 } : { inputs, below: 0.1 })),
+  },
+  {
+    id: 'xor',
+    title: 'Exactly One: XOR',
+    intro:
+      'No single neuron can fire for exactly one input, because no straight line separates those cases from the others. Two hidden step neurons can: let one detect "at least one input is on", the other "both inputs are on", and combine them at the output.',
+    goal: 'Make the output greater than 0.9 only when exactly one input is on, and less than 0.1 otherwise.',
+    architecture: [{ size: 2 }, { size: 2, activation: 'step' }, { size: 1, activation: 'step' }],
+    start: {},
+    unlocked: { inputs: ['A', 'B'], weights: ['A->H1', 'A->H2', 'B->H1', 'B->H2', 'H1->O', 'H2->O'], biases: ['H1', 'H2', 'O'] },
+    cases: CORNERS.map((inputs) => (inputs.A !== inputs.B ? { inputs, above: 0.9 } : { inputs, below: 0.1 })),
+  },
+];
+
+export const getLesson = (id) => LESSONS.find((lesson) => lesson.id === id) ?? null;
+
+export const getNextLesson = (id) => LESSONS[LESSONS.findIndex((lesson) => lesson.id === id) + 1] ?? null;
+
+export const createLessonNetwork = (lesson) => createNetwork(lesson.architecture, lesson.start);
+
+const UNLOCKED_GROUPS = { input: 'inputs', weight: 'weights', bias: 'biases' };
+
+// `kind` is 'input', 'weight' or 'bias'
+export const isParameterUnlocked = (lesson, kind, key) => lesson.unlocked[UNLOCKED_GROUPS[kind]].includes(key);
+
+// A network with the lesson's architecture, with every locked parameter put back to its starting
+// value so a shared link can't open the lesson already solved
+export const applyLessonLocks = (lesson, network) => {
+  const start = createLessonNetwork(lesson);
+  const keepUnlocked = (kind, group) =>
+    Object.fromEntries(
+      Object.entries(start[group]).map(([key, value]) => [key, isParameterUnlocked(lesson, kind, key) ? network[group][key] : value])
+    );
+  return {
+    architecture: start.architecture,
+    inputs: keepUnlocked('input', 'inputs'),
+    weights: keepUnlocked('weight', 'weights'),
+    biases: keepUnlocked('bias', 'biases'),
+  };
+};
+
+/**
+ * Run every case of a lesson's goal through the network.
+ * @returns {{ solved: boolean, cases: Array<{ label: string, expectation: string, output: number, passed: boolean }> }}
+ */
+export const checkLessonGoal = (lesson, { architecture, weights, biases }) => {
+  const layers = getLayerNodes(architecture);
+  const outputId = layers[layers.length - 1][0];
+  const cases = lesson.cases.map(({ inputs, above, below }) => {
+    const output = forwardPass(architecture, weights, biases, inputs)[outputId];
+    const passed = above !== undefined ? output > above : output < below;
+    return {
+      label: describeInputs(inputs),
+      expectation: above !== undefined ? `output > ${above}` : `output < ${below}`,
+      output,
+      passed,
+    };
+  });
+  return { solved: cases.every(({ passed }) => passed), cases };
+};
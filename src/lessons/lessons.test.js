@@ -0,0 +1,81 @@
+import { LESSONS, applyLessonLocks, checkLessonGoal, createLessonNetwork, getNextLesson, isParameterUnlocked } from './lessons';
+import { getConnections } from '../engine';
+
+// One solution per lesson, using only unlocked parameters within the slider ranges
+const SOLUTIONS = {
+  weights: { weights: { 'H1->O': 1, 'H2->O': 1 } },
+  biases: { biases: { O: -2 } },
+  inverted: {
+    weights: { 'A->H1': -1, 'A->H2': -1, 'B->H1': -1, 'B->H2': -1, 'H1->O': 1, 'H2->O': 1 },
+    biases: { O: -0.6 },
+  },
+  'and-gate': { weights: { 'A->O': 1, 'B->O': 1 }, biases: { O: -1.5 } },
+  xor: {
+    weights: { 'A->H1': 1, 'B->H1': 1, 'A->H2': 1, 'B->H2': 1, 'H1->O': 1, 'H2->O': -1 },
+    biases: { H1: -0.5, H2: -1.5, O: -0.5 },
+  },
+};
+
+const applySolution = (network, { weights = {}, biases = {} }) => ({
+  ...network,
+  weights: { ...network.weights, ...weights },
+  biases: { ...network.biases, ...biases },
+});
+
+describe('lessons', () => {
+  test.each(LESSONS.map((lesson) => [lesson.id, lesson]))('%s starts unsolved and can be solved', (id, lesson) => {
+    const network = createLessonNetwork(lesson);
+    expect(checkLessonGoal(lesson, network).solved).toBe(false);
+
+    const solution = SOLUTIONS[id];
+    Object.keys(solution.weights ?? {}).forEach((key) => {
+      expect(isParameterUnlocked(lesson, 'weight', key)).toBe(true);
+    });
+    Object.keys(solution.biases ?? {}).forEach((key) => {
+      expect(isParameterUnlocked(lesson, 'bias', key)).toBe(true);
+    });
+    expect(checkLessonGoal(lesson, applySolution(network, solution)).solved).toBe(true);
+  });
+
+  test('only unlocks parameters that exist in the lesson network', () => {
+    LESSONS.forEach((lesson) => {
+      const network = createLessonNetwork(lesson);
+      const weightKeys = getConnections(lesson.architecture).map(({ key }) => key);
+      lesson.unlocked.weights.forEach((key) => expect(weightKeys).toContain(key));
+      lesson.unlocked.biases.forEach((key) => expect(Object.keys(network.biases)).toContain(key));
+      lesson.unlocked.inputs.forEach((key) => expect(Object.keys(network.inputs)).toContain(key));
+    });
+  });
+
+  test('puts locked parameters back to the lesson start and keeps unlocked ones', () => {
+    const lesson = LESSONS.find(({ id }) => id === 'weights');
+    const start = createLessonNetwork(lesson);
+    const shared = {
+      ...start,
+      inputs: { A: 0, B: 0 },
+      weights: { ...start.weights, 'A->H1': 3, 'H1->O': 1 },
+      biases: { ...start.biases, O: -2 },
+    };
+    const network = applyLessonLocks(lesson, shared);
+    expect(network.inputs).toEqual(start.inputs);
+    expect(network.weights).toEqual({ ...start.weights, 'H1->O': 1 });
+    expect(network.biases).toEqual(start.biases);
+  });
+
+  test('reports every case with the current output', () => {
+    const lesson = LESSONS.find(({ id }) => id === 'and-gate');
+    const { cases } = checkLessonGoal(lesson, createLessonNetwork(lesson));
+    // step(0) = 1, so the untouched neuron fires for every input
+    expect(cases).toEqual([
+      { label: 'A = 0, B = 0', expectation: 'output < 0.1', output: 1, passed: false },
+      { label: 'A = 0, B = 1', expectation: 'output < 0.1', output: 1, passed: false },
+      { label: 'A = 1, B = 0', expectation: 'output < 0.1', output: 1, passed: false },
+      { label: 'A = 1, B = 1', expectation: 'output > 0.9', output: 1, passed: true },
+    ]);
+  });
+
+  test('links each lesson to the next', () => {
+    expect(getNextLesson(LESSONS[0].id)).toBe(LESSONS[1]);
+    expect(getNextLesson(LESSONS[LESSONS.length - 1].id)).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+// src/presets/presets.js
+
+import { createNetwork } from '../engine';
+
+const SINGLE_NEURON = [{ size: 2 }, { size: 1, activation: 'sigmoid' }];
+const ONE_HIDDEN_LAYER = [{ size: 2 }, { size: 2, activation: 'sigmoid' }, { size: 1, activation: 'sigmoid' }];
+
+// Ready-made networks for the presets menu, each with a short explanation of what to look at.
+// Presets are plain data like lessons; the gates use weights of ±6 so their outputs are close to
+// 0 or 1 at the corners of the input space.
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'and',
+    title: 'AND',
+    description:
+      'One neuron with weights of 6 and a bias of -9: a single input only reaches a sum of -3, so the output fires only when both inputs are on.',
+    network: createNetwork(SINGLE_NEURON, {
+      weights: { 'A->O': 6, 'B->O': 6 },
+      biases: { O: -9 },
+      inputs: { A: 1, B: 1 },
+    }),
+  },
+  {
+    id: 'or',
+    title: 'OR',
+    description:
+      'The same weights as AND with a bias of only -3, so either input alone lifts the sum to 3 and the output fires.',
+    network: createNetwork(SINGLE_NEURON, {
+      weights: { 'A->O': 6, 'B->O': 6 },
+      biases: { O: -3 },
+      inputs: { A: 1, B: 0 },
+    }),
+  },
+  {
+    id: 'nand',
+    title: 'NAND',
+    description:
+      'AND turned upside down: negative weights and a positive bias keep the output on until both inputs are on together.',
+    network: createNetwork(SINGLE_NEURON, {
+      weights: { 'A->O': -6, 'B->O': -6 },
+      biases: { O: 9 },
+      inputs: { A: 1, B: 1 },
+    }),
+  },
+  {
+    id: 'xor',
+    title: 'XOR',
+    description:
+      'No single neuron can compute XOR. H1 computes OR and H2 computes NAND, and the output ANDs them: on when at least one input is on but not both.',
+    network: createNetwork(ONE_HIDDEN_LAYER, {
+      weights: { 'A->H1': 6, 'B->H1': 6, 'A->H2': -6, 'B->H2': -6, 'H1->O': 6, 'H2->O': 6 },
+      biases: { H1: -3, H2: 9, O: -9 },
+      inputs: { A: 1, B: 0 },
+    }),
+  },
+  {
+    id: 'all-negative',
+    title: 'All negative weights',
+    description:
+      'Every weight is -1. Raising an input lowers both hidden neurons, and lowering them raises the output: two negative weights in a row cancel out, so the output still grows with the inputs.',
+    network: createNetwork(ONE_HIDDEN_LAYER, {
+      weights: { 'A->H1': -1, 'B->H1': -1, 'A->H2': -1, 'B->H2': -1, 'H1->O': -1, 'H2->O': -1 },
+      inputs: { A: 1, B: 1 },
+    }),
+  },
+  {
+    id: 'dead-neuron',
+    title: 'Dead neuron',
+    description:
+      "H2 is a ReLU neuron whose bias of -2 keeps its weighted sum below 0 for every input, so it always outputs 0. ReLU's slope is 0 there too, so training sends it no error signal and it never recovers. Raise its bias above -1 to bring it back.",
+    network: createNetwork([{ size: 2 }, { size: 2, activation: 'relu' }, { size: 1, activation: 'sigmoid' }], {
+      biases: { H2: -2 },
+      inputs: { A: 1, B: 1 },
+    }),
+  },
+];
@@ -0,0 +1,37 @@
+import { BUILT_IN_PRESETS } from './presets';
+import { buildInputGrid, evaluateInputSets, identifyLogicFunction, parseNetworkState, serializeNetwork } from '../engine';
+
+const getPreset = (id) => BUILT_IN_PRESETS.find((preset) => preset.id === id).network;
+
+// The network's activations at each corner of the input space, in truth-table order
+const evaluateCorners = ({ architecture, weights, biases, inputs }) =>
+  evaluateInputSets(architecture, weights, biases, buildInputGrid(inputs, ['A', 'B']));
+
+describe('built-in presets', () => {
+  test.each(BUILT_IN_PRESETS.map(({ id, network }) => [id, network]))('%s is a valid network', (id, network) => {
+    expect(parseNetworkState(serializeNetwork(network))).toEqual({ state: network });
+  });
+
+  test.each(['AND', 'OR', 'NAND', 'XOR'])('the %s preset computes its gate', (gate) => {
+    const network = getPreset(gate.toLowerCase());
+    const corners = evaluateCorners(network);
+    expect(identifyLogicFunction(network.architecture, corners, 'O')).toBe(gate);
+    // Clearly on or off at every corner, not just on the right side of 0.5
+    corners.forEach(({ activations }) => expect(Math.abs(activations.O - 0.5)).toBeGreaterThan(0.4));
+  });
+
+  test('the all-negative preset still rises with its inputs', () => {
+    const network = getPreset('all-negative');
+    expect(Object.values(network.weights).every((weight) => weight < 0)).toBe(true);
+    const outputs = evaluateCorners(network).map(({ activations }) => activations.O);
+    expect(outputs[3]).toBeGreaterThan(outputs[0]);
+  });
+
+  test('the dead neuron never activates', () => {
+    const corners = evaluateCorners(getPreset('dead-neuron'));
+    corners.forEach(({ sums, activations }) => {
+      expect(sums.H2).toBeLessThan(0);
+      expect(activations.H2).toBe(0);
+    });
+  });
+});
@@ -3,3 +3,33 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+import { installMockCanvas } from './testUtils/mockCanvas';
+
+// react-router 7 expects TextEncoder, which the jsdom version bundled with
+// react-scripts does not provide.
+Object.assign(global, { TextEncoder, TextDecoder });
+
+// jsdom implements neither IntersectionObserver nor the 2D canvas
+global.IntersectionObserver = class IntersectionObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+installMockCanvas();
+
+// Nor scrolling
+Element.prototype.scrollIntoView = () => {};
+
+// Nor PointerEvent, so pointer events would lose their coordinates
+if (!window.PointerEvent) {
+  window.PointerEvent = class PointerEvent extends MouseEvent {
+    constructor(type, params = {}) {
+      super(type, params);
+      this.pointerId = params.pointerId ?? 1;
+    }
+  };
+}
+
+// Each render of the whole explorer is slow in jsdom, so its longer tests outlast the default 5s
+jest.setTimeout(30000);
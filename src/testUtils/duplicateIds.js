@@ -0,0 +1,7 @@
+// src/testUtils/duplicateIds.js
+
+// Element ids used more than once in the document, which break label and aria-controls links
+export const getDuplicateIds = (root = document.body) => {
+  const ids = Array.from(root.querySelectorAll('[id]'), ({ id }) => id);
+  return [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+};
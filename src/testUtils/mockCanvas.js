@@ -0,0 +1,52 @@
+// src/testUtils/mockCanvas.js
+
+// jsdom has no 2D canvas. This stand-in records every drawing call so tests can
+// check what a component drew, e.g. which labels went through fillText.
+const createMockContext = (canvas) => {
+  const calls = [];
+  const target = {
+    canvas,
+    calls,
+    measureText: (text) => ({ width: String(text).length * 7 }),
+    createLinearGradient: () => ({ addColorStop: () => {} }),
+    getLineDash: () => [],
+  };
+  return new Proxy(target, {
+    get: (object, property) => {
+      if (property in object) return object[property];
+      return (...args) => {
+        calls.push({ method: property, args });
+      };
+    },
+  });
+};
+
+export const installMockCanvas = () => {
+  HTMLCanvasElement.prototype.getContext = function getContext() {
+    if (!this.mockContext) {
+      this.mockContext = createMockContext(this);
+    }
+    return this.mockContext;
+  };
+};
+
+// A canvas, or every canvas inside an element (e.g. the layers of a stacked diagram)
+const getCanvases = (element) => (element.tagName === 'CANVAS' ? [element] : [...element.querySelectorAll('canvas')]);
+
+// Text drawn on a canvas (or the canvases inside an element) since its calls were last cleared
+export const getCanvasText = (element) =>
+  getCanvases(element).flatMap((canvas) =>
+    canvas.getContext('2d').calls
+      .filter(({ method }) => method === 'fillText')
+      .map(({ args }) => args[0])
+  );
+
+// Names of the drawing methods called on a canvas (or the canvases inside an element)
+export const getCanvasMethods = (element) =>
+  getCanvases(element).flatMap((canvas) => canvas.getContext('2d').calls.map(({ method }) => method));
+
+export const clearCanvasCalls = (element) => {
+  getCanvases(element).forEach((canvas) => {
+    canvas.getContext('2d').calls.length = 0;
+  });
+};
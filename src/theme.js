@@ -0,0 +1,75 @@
+// src/theme.js
+
+import { createTheme } from '@mui/material';
+import { DEFAULT_PALETTE, getNetworkColors } from './components/NeuralNetworkViz/colors';
+
+const MODE_PALETTES = {
+  light: {
+    primary: {
+      main: '#00796b', // Teal
+    },
+    text: {
+      primary: '#333333', // Darker text for better contrast
+      secondary: '#555555',
+    },
+    background: {
+      default: '#f9f9f9',
+      paper: '#ffffff',
+    },
+  },
+  dark: {
+    primary: {
+      main: '#4db6ac', // Lighter teal, readable on dark backgrounds
+    },
+    text: {
+      primary: '#e0e0e0',
+      secondary: '#b0b0b0',
+    },
+    background: {
+      default: '#121212',
+      paper: '#1e1e1e',
+    },
+  },
+};
+
+/**
+ * Custom MUI theme for better typography and colors, in light or dark mode.
+ * `theme.network` holds the colors for the network diagram, including the weight/activation palette
+ * (one of the ids in PALETTES).
+ * @param {{ mode?: 'light' | 'dark', palette?: string }} options
+ */
+export const createAppTheme = ({ mode = 'light', palette = DEFAULT_PALETTE } = {}) => createTheme({
+  palette: {
+    mode,
+    ...MODE_PALETTES[mode],
+  },
+  network: getNetworkColors({ mode, palette }),
+  typography: {
+    fontFamily: 'Open Sans, sans-serif',
+    body1: {
+      fontSize: '1.1rem',
+      lineHeight: 1.6,
+    },
+    body2: {
+      fontSize: '1rem',
+      lineHeight: 1.5,
+    },
+    h4: {
+      fontSize: '2rem',
+      fontWeight: 700,
+      fontFamily: 'Open Sans, sans-serif',
+    },
+    h5: {
+      fontSize: '1.4rem',
+      fontWeight: 600,
+      fontFamily: 'Open Sans, sans-serif',
+    },
+    caption: {
+      fontSize: '0.9rem',
+    },
+  },
+});
+
+const theme = createAppTheme();
+
+export default theme;
@@ -0,0 +1,27 @@
+// src/utils/storage.js
+
+// localStorage can be unavailable (private browsing, storage disabled) or hold something that
+// isn't JSON. Reading then gives the fallback and writing does nothing, so the app simply doesn't
+// remember anything between visits.
+
+/**
+ * Parsed JSON stored under a key.
+ * @returns {*} the stored value, or `fallback` when there is none or it can't be read
+ */
+export const readJson = (key, fallback = null) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch {
+    return fallback;
+  }
+};
+
+// Store a value as JSON under a key
+export const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Nothing is remembered when storage is unavailable
+  }
+};
@@ -0,0 +1,29 @@
+import { readJson, writeJson } from './storage';
+
+describe('storage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('reads back what it wrote and falls back on what it cannot read', () => {
+    expect(readJson('key', [])).toEqual([]);
+    writeJson('key', { solved: ['and-gate'] });
+    expect(readJson('key', [])).toEqual({ solved: ['and-gate'] });
+    window.localStorage.setItem('key', '{not json');
+    expect(readJson('key', [])).toEqual([]);
+  });
+
+  test('does nothing when storage is unavailable', () => {
+    const getItem = jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    try {
+      expect(readJson('key', 'fallback')).toBe('fallback');
+      expect(() => writeJson('key', 1)).not.toThrow();
+    } finally {
+      getItem.mockRestore();
+      setItem.mockRestore();
+    }
+  });
+});